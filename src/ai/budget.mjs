@@ -0,0 +1,161 @@
+/**
+ * Per-Analysis AI Budget
+ * Caps what one analysis may spend (maxCostUsd and/or maxTokens) and decides how to degrade:
+ * skip the AI page picker, send less content per page, stop visiting pages once spent
+ *
+ * Costs are estimated before each call (~4 characters per token), priced with the
+ * model that answered last, and checked against what the usage tracker has
+ * actually recorded so far. A model without a price can't be held to maxCostUsd:
+ * the report then says `costEnforced: false`
+ */
+
+import { getActiveModel } from './providers.mjs';
+import { calculateCost } from './usage.mjs';
+
+const CHARS_PER_TOKEN = 4;
+
+// Below this, a page extraction isn't worth making
+const MIN_CONTENT_LENGTH = 1000;
+
+/**
+ * Rough token count for a number of characters
+ * @param {number} chars
+ * @returns {number}
+ */
+export const estimateTokens = (chars) => Math.ceil(chars / CHARS_PER_TOKEN);
+
+/**
+ * Create a budget for one analysis
+ *
+ * @param {object} limits
+ * @param {number|null} limits.maxCostUsd - Max AI spend in USD
+ * @param {number|null} limits.maxTokens - Max AI tokens (input + output)
+ * @param {object} usage - The analysis' usage tracker
+ * @param {object} hooks
+ * @param {Function} hooks.onSkip - Called with each { step, url, reason } that gets skipped
+ * @returns {object} Budget
+ */
+export const createBudget = ({ maxCostUsd = null, maxTokens = null } = {}, usage, { onSkip = null } = {}) => {
+    const limited = maxCostUsd !== null || maxTokens !== null;
+    const skipped = [];
+    const contentLimits = [];
+    let exhausted = false;
+
+    // A fallback may have taken over from the first model in the chain
+    const currentModel = () => usage.lastModel() || getActiveModel();
+
+    // USD per input token (null when the model has no price: cost limits can't be enforced)
+    const costPerInputToken = () => {
+        const inputPrice = calculateCost(currentModel(), 1_000_000, 0);
+        return inputPrice === null ? null : inputPrice / 1_000_000;
+    };
+
+    const costOf = ({ inputTokens, outputTokens }) => calculateCost(currentModel(), inputTokens, outputTokens) || 0;
+
+    if (maxCostUsd !== null && costPerInputToken() === null) {
+        console.warn(`[Budget] No price for ${currentModel()}: maxCostUsd can't be enforced (add it to AI_PRICES)`);
+    }
+
+    const remaining = () => {
+        const spent = usage.spent();
+        return {
+            costUsd: maxCostUsd === null ? Infinity : maxCostUsd - spent.costUsd,
+            tokens: maxTokens === null ? Infinity : maxTokens - spent.tokens
+        };
+    };
+
+    return {
+        limited,
+
+        get exhausted() {
+            return exhausted;
+        },
+
+        /**
+         * Whether the estimated calls fit in what's left
+         * @param {...{inputTokens: number, outputTokens: number}} estimates
+         * @returns {boolean}
+         */
+        canAfford(...estimates) {
+            if (!limited) return true;
+
+            const tokens = estimates.reduce((sum, estimate) => sum + estimate.inputTokens + estimate.outputTokens, 0);
+            const cost = estimates.reduce((sum, estimate) => sum + costOf(estimate), 0);
+            const left = remaining();
+
+            return tokens <= left.tokens && cost <= left.costUsd;
+        },
+
+        /**
+         * Characters of page content one extraction can send, sharing what's left
+         * between the pages still to extract. Returns 0 (and marks the budget
+         * exhausted) when not even a minimal extraction fits.
+         *
+         * @param {string} url - Page about to be extracted
+         * @param {{inputTokens: number, outputTokens: number}} overhead - Extraction cost without content
+         * @param {number} maxContentLength - Normal per-page limit
+         * @param {number} pagesLeft - Pages still to extract, including this one
+         * @returns {number}
+         */
+        contentLengthFor(url, overhead, maxContentLength, pagesLeft) {
+            if (!limited) return maxContentLength;
+
+            const affordable = (share) => {
+                const left = remaining();
+                const byTokens = left.tokens / share - overhead.inputTokens - overhead.outputTokens;
+                const pricePerToken = costPerInputToken();
+                const byCost = pricePerToken
+                    ? (left.costUsd / share - costOf(overhead)) / pricePerToken
+                    : Infinity;
+                return Math.floor(Math.min(byTokens, byCost) * CHARS_PER_TOKEN);
+            };
+
+            if (affordable(1) < MIN_CONTENT_LENGTH) {
+                exhausted = true;
+                return 0;
+            }
+
+            // An even share of what's left, but never less than a useful minimum
+            const length = Math.max(affordable(Math.max(1, pagesLeft)), MIN_CONTENT_LENGTH);
+
+            if (length < maxContentLength) {
+                contentLimits.push({ url, maxContentLength: length });
+                return length;
+            }
+
+            return maxContentLength;
+        },
+
+        /**
+         * Record a step skipped to stay within budget
+         * @param {string} step - 'discovery', 'extraction', 'page' or 'logos'
+         * @param {string} reason
+         * @param {string|null} url
+         */
+        skip(step, reason, url = null) {
+            const entry = { step, url, reason };
+            skipped.push(entry);
+            if (onSkip) onSkip(entry);
+        },
+
+        /**
+         * Budget block for the response
+         * costEnforced is false when a call or the current model had no price, so
+         * spentUsd is short and maxCostUsd wasn't (fully) applied; null without maxCostUsd
+         * @returns {object}
+         */
+        report() {
+            const spent = usage.spent();
+            return {
+                maxCostUsd,
+                maxTokens,
+                costEnforced: maxCostUsd === null ? null : spent.unpricedCalls === 0 && costPerInputToken() !== null,
+                spentUsd: spent.costUsd,
+                spentTokens: spent.tokens,
+                exhausted,
+                skipped,
+                contentLimits
+            };
+        }
+    };
+};
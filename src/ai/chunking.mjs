@@ -0,0 +1,75 @@
+/**
+ * Page Chunking
+ * Splits long page text into extraction-sized chunks on section boundaries,
+ * so pricing tables and logo walls far down a landing page still reach the AI
+ *
+ * Boundaries, coarsest first: blank lines (sections), line breaks, sentences,
+ * and a hard cut only for a single sentence longer than a chunk
+ */
+
+// Finer and finer ways to split a block that doesn't fit in a chunk
+const SPLITTERS = [
+    /\n\s*\n/,
+    /\n/,
+    /(?<=[.!?])\s+/
+];
+
+/**
+ * Split a block into pieces no longer than maxLength
+ * @param {string} block
+ * @param {number} maxLength
+ * @param {number} level - Index in SPLITTERS to try
+ * @returns {string[]}
+ */
+const splitBlock = (block, maxLength, level = 0) => {
+    if (block.length <= maxLength) return [block];
+
+    if (level >= SPLITTERS.length) {
+        const pieces = [];
+        for (let start = 0; start < block.length; start += maxLength) {
+            pieces.push(block.slice(start, start + maxLength));
+        }
+        return pieces;
+    }
+
+    return block
+        .split(SPLITTERS[level])
+        .map(part => part.trim())
+        .filter(Boolean)
+        .flatMap(part => splitBlock(part, maxLength, level + 1));
+};
+
+/**
+ * Split page text into chunks of at most chunkLength characters
+ * Neighbouring pieces are packed together until a chunk is full.
+ *
+ * @param {string} content - Page text
+ * @param {number} chunkLength - Maximum characters per chunk
+ * @param {number} maxChunks - Chunks to keep, in page order (the rest of the page is dropped)
+ * @returns {{chunks: string[], truncated: boolean}} truncated = some content didn't fit
+ */
+export const splitIntoChunks = (content, chunkLength, maxChunks) => {
+    const text = (content || '').trim();
+    if (text.length <= chunkLength) {
+        return { chunks: text ? [text] : [], truncated: false };
+    }
+
+    const chunks = [];
+    let current = '';
+
+    for (const piece of splitBlock(text, chunkLength)) {
+        const separator = current ? '\n\n' : '';
+        if (current.length + separator.length + piece.length <= chunkLength) {
+            current += separator + piece;
+        } else {
+            chunks.push(current);
+            current = piece;
+        }
+    }
+    if (current) chunks.push(current);
+
+    return {
+        chunks: chunks.slice(0, maxChunks),
+        truncated: chunks.length > maxChunks
+    };
+};
@@ -0,0 +1,180 @@
+/**
+ * Confidence Scoring
+ * Scores each merged pricing plan and listed name from 0 to 1, so a customer
+ * named once in a blog footer doesn't weigh the same as one listed on three pages.
+ *
+ * Signals (weights are renormalized over the signals that apply to the item):
+ * - mentions:  pages that extracted it (3+ pages = full score)
+ * - verified:  its quote was found on the page (see evidence.mjs)
+ * - logo:      an image alt/title on the site names it (customers and competitors only)
+ * - certainty: the AI's self-reported certainty (0.5 when not given)
+ */
+
+import { EVIDENCE_LISTS, nameKey } from './evidence.mjs';
+import { planKey } from './extractor.mjs';
+
+const WEIGHTS = { mentions: 0.35, verified: 0.3, logo: 0.15, certainty: 0.2 };
+
+// Pages for full marks on the mentions signal
+const FULL_MENTIONS = 3;
+
+// Sections whose names are companies, so may appear as logos
+const LOGO_SECTIONS = ['customers', 'competitors'];
+
+// Longer alt texts are descriptions, not logo labels
+const MAX_LOGO_TEXT_LENGTH = 60;
+
+/**
+ * Normalize a name or alt text for logo matching ("Nike, Inc. logo" → "nike inc")
+ */
+const logoKey = (text) => ` ${String(text).toLowerCase().replace(/\blogo\b/g, ' ').replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+
+/**
+ * Whether a name appears as whole words in one of the image texts
+ */
+const matchesLogo = (name, logoTexts) => {
+    const key = logoKey(name);
+    if (key.trim().length < 2) return false;
+    return logoTexts.some(text => text.includes(key));
+};
+
+/**
+ * Weighted score of the signals that apply
+ * @param {object} signals - { mentions, verified, logo?, certainty }
+ * @returns {number} 0 to 1, two decimals
+ */
+const scoreSignals = (signals) => {
+    const values = {
+        mentions: Math.min(signals.mentions, FULL_MENTIONS) / FULL_MENTIONS,
+        verified: signals.verified ? 1 : 0,
+        logo: signals.logo ? 1 : 0,
+        certainty: signals.certainty ?? 0.5
+    };
+
+    let total = 0;
+    let weights = 0;
+    for (const [signal, weight] of Object.entries(WEIGHTS)) {
+        if (signals[signal] === undefined) continue;
+        total += values[signal] * weight;
+        weights += weight;
+    }
+
+    return Math.round((total / weights) * 100) / 100;
+};
+
+/**
+ * Highest AI certainty among sources (null when none reported one)
+ */
+const maxCertainty = (sources) => {
+    const values = sources.map(source => source?.certainty).filter(value => typeof value === 'number');
+    return values.length > 0 ? Math.min(1, Math.max(0, ...values)) : null;
+};
+
+/**
+ * Add confidence scores to merged intelligence
+ * - pricing plans get `confidence` and `mentions`
+ * - evidence entries of name lists get `confidence`, `mentions` and `logo`
+ *
+ * @param {object} merged - mergeIntelligence result
+ * @param {object[]} results - Per-page extractions (after attachEvidence)
+ * @param {object} options
+ * @param {string[]} options.imageTexts - Image alt/title texts seen while crawling
+ * @returns {object} Merged intelligence with scores
+ */
+export const scoreIntelligence = (merged, results, { imageTexts = [] } = {}) => {
+    const pages = results.filter(result => result && !result.error);
+    const logoTexts = imageTexts
+        .filter(text => text.length <= MAX_LOGO_TEXT_LENGTH)
+        .map(logoKey);
+    const scored = { ...merged };
+
+    if (Array.isArray(merged.pricing?.plans)) {
+        scored.pricing = {
+            ...merged.pricing,
+            plans: merged.pricing.plans.map(plan => {
+                const matches = pages
+                    .map(page => (page.pricing?.plans || []).find(other => planKey(other.name) === planKey(plan.name)))
+                    .filter(Boolean);
+                const signals = {
+                    mentions: matches.length,
+                    verified: matches.some(match => match.source?.verified),
+                    certainty: maxCertainty(matches.map(match => match.source))
+                };
+                return { ...plan, confidence: scoreSignals(signals), mentions: signals.mentions };
+            })
+        };
+    }
+
+    for (const [section, lists] of Object.entries(EVIDENCE_LISTS)) {
+        const value = merged[section];
+        if (!value || !Array.isArray(value.evidence)) continue;
+
+        scored[section] = {
+            ...value,
+            evidence: value.evidence.map(entry => {
+                const key = nameKey(entry.name);
+                const sources = pages
+                    .filter(page => page[section]?.found && lists.some(list => (page[section][list] || []).some(name => nameKey(name) === key)))
+                    .map(page => (page[section].evidence || []).find(other => nameKey(other.name) === key));
+                const signals = {
+                    mentions: sources.length,
+                    verified: sources.some(source => source?.verified),
+                    certainty: maxCertainty(sources),
+                    ...(LOGO_SECTIONS.includes(section) && { logo: matchesLogo(entry.name, logoTexts) })
+                };
+                return {
+                    ...entry,
+                    confidence: scoreSignals(signals),
+                    mentions: signals.mentions,
+                    ...(signals.logo !== undefined && { logo: signals.logo })
+                };
+            })
+        };
+    }
+
+    return scored;
+};
+
+/**
+ * Remove plans and names scored below a threshold (a section left empty is no longer `found`)
+ *
+ * @param {object} intelligence - Scored intelligence
+ * @param {number} minConfidence - 0 to 1
+ * @returns {{intelligence: object, removed: number}}
+ */
+export const filterByConfidence = (intelligence, minConfidence) => {
+    let removed = 0;
+    const keep = (item) => {
+        if (typeof item.confidence !== 'number' || item.confidence >= minConfidence) return true;
+        removed++;
+        return false;
+    };
+
+    const filtered = { ...intelligence };
+
+    if (Array.isArray(intelligence.pricing?.plans)) {
+        const plans = intelligence.pricing.plans.filter(keep);
+        const emptied = plans.length === 0 && intelligence.pricing.plans.length > 0;
+        filtered.pricing = { ...intelligence.pricing, plans, found: intelligence.pricing.found && !emptied };
+    }
+
+    for (const [section, lists] of Object.entries(EVIDENCE_LISTS)) {
+        const value = intelligence[section];
+        if (!value || !Array.isArray(value.evidence)) continue;
+
+        const evidence = value.evidence.filter(keep);
+        const kept = new Set(evidence.map(entry => nameKey(entry.name)));
+        const dropped = new Set(value.evidence.map(entry => nameKey(entry.name)).filter(key => !kept.has(key)));
+        const next = { ...value, evidence };
+
+        for (const list of lists) {
+            next[list] = (value[list] || []).filter(name => !dropped.has(nameKey(name)));
+        }
+        const emptied = dropped.size > 0 && lists.every(list => next[list].length === 0);
+        next.found = value.found && !emptied;
+
+        filtered[section] = next;
+    }
+
+    return { intelligence: filtered, removed };
+};
@@ -0,0 +1,117 @@
+/**
+ * Evidence Verification
+ * The AI backs each listed fact with a verbatim quote from the page; this checks
+ * every quote against the page text and turns it into a source attribution:
+ * { url, quote, verified, certainty }. A quote that can't be found flags the fact as unverified
+ * (paraphrased at best, hallucinated at worst).
+ */
+
+// Name lists that carry an `evidence` array: section → list properties
+export const EVIDENCE_LISTS = {
+    customers: ['names'],
+    competitors: ['names'],
+    whatTheySell: ['products', 'services']
+};
+
+/**
+ * Normalize text for quote matching: case, whitespace, typographic quotes and dashes
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) => text
+    .toLowerCase()
+    .replace(/[‘’‛′]/g, "'")
+    .replace(/[“”″]/g, '"')
+    .replace(/[‐-―]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Whether a quote appears in the (normalized) page text
+ * "..." in a quote may stand for omitted text: each part must appear, in order
+ * @param {string|null} quote
+ * @param {string} normalizedText - Page text passed through normalizeText
+ * @returns {boolean}
+ */
+const isQuoteInText = (quote, normalizedText) => {
+    if (!quote) return false;
+
+    const parts = normalizeText(quote)
+        .split(/\.{3}|…/)
+        .map(part => part.trim().replace(/^["']+|["']+$/g, '').trim())
+        .filter(Boolean);
+
+    if (parts.length === 0) return false;
+
+    let from = 0;
+    for (const part of parts) {
+        const index = normalizedText.indexOf(part, from);
+        if (index === -1) return false;
+        from = index + part.length;
+    }
+
+    return true;
+};
+
+/**
+ * Key for matching names across pages and evidence entries
+ * @param {string} name
+ * @returns {string}
+ */
+export const nameKey = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Attach verified sources to a page's extraction
+ * - each pricing plan's `quote` becomes `source: { url, quote, verified, certainty }`
+ * - each name list section gets `evidence: [{ name, url, quote, verified, certainty }]`, one entry per name
+ *   (a name the AI gave no quote for is unverified)
+ *
+ * @param {object} intel - extractIntelligence result
+ * @param {string} content - Full page text from getPageContent
+ * @param {string} url - Page URL
+ * @returns {object} Extraction with sources, and `evidenceSummary` ({ verified, unverified })
+ */
+export const attachEvidence = (intel, content, url) => {
+    if (intel.error) return intel;
+
+    const text = normalizeText(content || '');
+    const summary = { verified: 0, unverified: 0 };
+
+    const source = (quote, certainty = null) => {
+        const verified = isQuoteInText(quote, text);
+        summary[verified ? 'verified' : 'unverified']++;
+        return { url, quote: quote || null, verified, certainty: certainty ?? null };
+    };
+
+    const result = { ...intel };
+
+    if (Array.isArray(intel.pricing?.plans)) {
+        result.pricing = {
+            ...intel.pricing,
+            plans: intel.pricing.plans.map(({ quote, certainty, ...plan }) => ({ ...plan, source: source(quote, certainty) }))
+        };
+    }
+
+    for (const [section, lists] of Object.entries(EVIDENCE_LISTS)) {
+        const value = intel[section];
+
+        // Sections replaced by a custom schema may not have evidence
+        if (!value || !Array.isArray(value.evidence)) continue;
+
+        const entries = new Map(value.evidence.map(entry => [nameKey(entry.name), entry]));
+
+        result[section] = {
+            ...value,
+            evidence: lists.flatMap(list => (value[list] || []).map(name => {
+                const entry = entries.get(nameKey(name));
+                return { name, ...source(entry?.quote, entry?.certainty) };
+            }))
+        };
+    }
+
+    if (summary.unverified > 0) {
+        console.log(`[Evidence] ${url}: ${summary.unverified} of ${summary.verified + summary.unverified} quotes not found on the page`);
+    }
+
+    return { ...result, evidenceSummary: summary };
+};
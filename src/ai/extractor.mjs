@@ -5,6 +5,10 @@
 
 import { askAI, parseAIJson } from './providers.mjs';
 import { EXTRACTION_SCHEMA } from './schema.mjs';
+import { estimateTokens } from './budget.mjs';
+import { normalizeToSchema, getSchemaDefault } from './validate.mjs';
+import { splitIntoChunks } from './chunking.mjs';
+import { mapWithConcurrency } from '../utils/concurrency.mjs';
 import { config } from '../config/index.mjs';
 
 // System prompt for extraction
@@ -12,149 +16,431 @@ const EXTRACTION_PROMPT = `You are a business analyst AI. Extract key business i
 
 RULES:
 - Respond ONLY with valid JSON matching the provided schema
-- pricing.price = NUMBER only, no currency symbols (e.g. "$29/mo" → 29)
+- pricing.price = NUMBER only, no currency symbols (e.g. "$29/mo" → 29); null for "Contact sales" plans (contactSales = true)
 - pricing.type = "monthly", "annual", "one-time", or "other"
+- pricing.currency = ISO code ("$" → "USD", "€" → "EUR", "£" → "GBP")
+- ONE plan entry per plan: its monthly and annual prices go in the same entry (e.g. "$10/user/month billed annually, $12 monthly" → monthlyPrice 12, annualPrice 10, pricingModel "per-seat", unit "user")
+- usage-based prices keep their unit (e.g. "$0.002 per API call" → price 0.002, pricingModel "usage-based", unit "API call")
+- pricing.isFree = free plan/tier, freeTrialDays = trial length (e.g. "14-day free trial" → 14)
 - customers.names = ONLY real company/brand names (e.g. "Nike", "Spotify"). NO generic terms like "teams", "businesses", "enterprises"
 - companyInfo.userCount = number of CUSTOMERS/USERS on website (e.g. "4M users" → 4000000, "10k customers" → 10000)
 - companyInfo.description = short company description
 - If not found, use empty arrays [] or null as appropriate
-- Do NOT include case studies`;
+- Do NOT include case studies
+- pricing.plans[].quote and evidence[].quote = a short excerpt copied EXACTLY from the page content (no paraphrasing, no translation); give one evidence entry per listed name`;
+
+// System prompt when a custom schema replaces the built-in one
+const CUSTOM_EXTRACTION_PROMPT = `You are a business analyst AI. Extract the requested information from website content.
+
+RULES:
+- Respond ONLY with valid JSON matching the provided schema
+- Only use facts stated on the page, do not guess
+- If not found, use empty arrays [] or null as appropriate`;
+
+// Added to the system prompt with englishOutput
+const ENGLISH_OUTPUT_RULE = `
+- Write every extracted text in English, translating it if the page is in another language. Keep company and brand names as they are
+- quote fields stay in the page's original language, copied exactly`;
+
+// Typical size of an extraction response, quotes included (tokens)
+const EXPECTED_OUTPUT_TOKENS = 1600;
+
+/**
+ * Schema and system prompt for an extraction
+ * @param {object|null} extraction - Custom schema from resolveExtraction (null = built-in)
+ * @param {object} options
+ * @param {boolean} options.englishOutput - Ask for extracted text in English (quotes stay in the original language)
+ * @returns {{schema: object, prompt: string}}
+ */
+export const getExtractionSetup = (extraction = null, { englishOutput = false } = {}) => {
+    const language = englishOutput ? ENGLISH_OUTPUT_RULE : '';
+
+    if (!extraction) {
+        return { schema: EXTRACTION_SCHEMA, prompt: EXTRACTION_PROMPT + language };
+    }
+
+    const instructions = extraction.instructions
+        ? `\n\nADDITIONAL INSTRUCTIONS:\n${extraction.instructions}`
+        : '';
+
+    if (extraction.mode === 'replace') {
+        return { schema: extraction.schema, prompt: CUSTOM_EXTRACTION_PROMPT + language + instructions };
+    }
+
+    // Extend: custom properties sit next to the built-in sections (and may override one)
+    const custom = extraction.schema || { properties: {}, required: [] };
+    return {
+        schema: {
+            ...EXTRACTION_SCHEMA,
+            properties: { ...EXTRACTION_SCHEMA.properties, ...custom.properties },
+            required: [...new Set([...EXTRACTION_SCHEMA.required, ...(custom.required || [])])]
+        },
+        prompt: EXTRACTION_PROMPT + language + instructions
+    };
+};
+
+/**
+ * Estimated tokens of an extraction call (prompt + schema + content, expected output)
+ * @param {number} contentLength - Characters of page content sent
+ * @param {object|null} extraction - Custom schema (null = built-in)
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export const estimateExtractionTokens = (contentLength, extraction = null) => {
+    const { schema, prompt } = getExtractionSetup(extraction);
+    return {
+        inputTokens: estimateTokens(prompt.length + JSON.stringify(schema, null, 2).length + contentLength + 200),
+        outputTokens: EXPECTED_OUTPUT_TOKENS
+    };
+};
 
 /**
  * Extract business intelligence from page content
+ * Content longer than maxContentLength is cut there, or with maxChunks > 1 split on
+ * section boundaries into up to maxChunks chunks that are extracted separately
+ * and merged like pages are (see mergeIntelligence)
+ *
  * @param {string} content - Page text content
  * @param {string} url - Page URL for context
- * @returns {Promise<object>} Extracted intelligence
+ * @param {object} options
+ * @param {object} options.usage - Per-analysis usage tracker (optional)
+ * @param {number} options.maxContentLength - Characters of content per AI call (default: MAX_CONTENT_LENGTH)
+ * @param {number} options.maxChunks - AI calls this page may take (default: 1 = truncate)
+ * @param {object} options.extraction - Custom schema from resolveExtraction (default: built-in)
+ * @param {string} options.language - Detected page language, ISO 639-1 (optional, passed to the AI)
+ * @param {boolean} options.englishOutput - Extracted text in English, quotes in the original language
+ * @param {AbortSignal} options.signal - Cancels pending AI calls; the extraction then rejects (optional)
+ * @returns {Promise<object>} Extracted intelligence, normalized to the schema, with
+ *   `extractedBy` ({ provider, model, failures, chunks }), `validationWarnings` (what normalization changed)
+ *   and `contentTruncated` (part of the page wasn't sent)
  */
-export const extractIntelligence = async (content, url) => {
-    // Limit content to avoid token limits
-    const truncatedContent = content.slice(0, config.extraction.maxContentLength);
+export const extractIntelligence = async (content, url, {
+    usage = null,
+    maxContentLength = config.extraction.maxContentLength,
+    maxChunks = 1,
+    extraction = null,
+    language = null,
+    englishOutput = false,
+    signal = null
+} = {}) => {
+    const setup = getExtractionSetup(extraction, { englishOutput });
 
-    const userPrompt = `URL: ${url}
+    if (maxChunks <= 1 || content.length <= maxContentLength) {
+        // Limit content to avoid token limits
+        const result = await extractChunk(content.slice(0, maxContentLength), url, setup, { usage, language, signal });
+        return { ...result, contentTruncated: content.length > maxContentLength };
+    }
 
-PAGE CONTENT:
-${truncatedContent}
+    const { chunks, truncated } = splitIntoChunks(content, maxContentLength, maxChunks);
+    console.log(`[AI Extractor] ${url}: ${content.length} characters in ${chunks.length} chunks${truncated ? ' (rest of page dropped)' : ''}`);
 
-Extract business intelligence from this page.`;
+    const results = await mapWithConcurrency(chunks, config.extraction.chunkConcurrency, (chunk, index) =>
+        extractChunk(chunk, url, setup, { usage, language, signal, part: { index: index + 1, total: chunks.length } })
+    );
+
+    const extracted = results.filter(result => !result.error);
+    const answered = results.find(result => result.extractedBy.provider);
+    const extractedBy = {
+        provider: answered?.extractedBy.provider || null,
+        model: answered?.extractedBy.model || null,
+        failures: results.flatMap(result => result.extractedBy.failures),
+        chunks: extracted.length
+    };
+    const validationWarnings = results.flatMap((result, index) =>
+        (result.validationWarnings || []).map(warning => `chunk ${index + 1}: ${warning}`)
+    );
+
+    // Every chunk failed: report the first error like an unchunked page would
+    if (extracted.length === 0) {
+        return { ...getEmptyResult(setup.schema, results[0]?.error || 'No content'), extractedBy, validationWarnings, contentTruncated: truncated };
+    }
+
+    if (extracted.length < results.length) {
+        console.warn(`[AI Extractor] ${url}: ${results.length - extracted.length} of ${results.length} chunks failed`);
+    }
+
+    return {
+        ...mergeIntelligence(extracted, setup.schema),
+        extractedBy,
+        validationWarnings,
+        contentTruncated: truncated
+    };
+};
+
+/**
+ * Run one extraction call
+ * @param {string} text - Content to send
+ * @param {string} url - Page URL
+ * @param {{schema: object, prompt: string}} setup - From getExtractionSetup
+ * @param {object} options
+ * @param {object} options.usage - Usage tracker
+ * @param {string} options.language - Page language (optional)
+ * @param {AbortSignal} options.signal - Cancels the AI call (optional)
+ * @param {{index: number, total: number}} options.part - Which chunk of the page (omitted when unchunked)
+ * @returns {Promise<object>} Normalized result with extractedBy ({ provider, model, failures, chunks }) and validationWarnings
+ */
+const extractChunk = async (text, url, { schema, prompt }, { usage = null, language = null, signal = null, part = null } = {}) => {
+    const userPrompt = `URL: ${url}${language ? `\nPAGE LANGUAGE: ${language}` : ''}
+
+PAGE CONTENT${part ? ` (part ${part.index} of ${part.total})` : ''}:
+${text}
+
+Extract business intelligence from this page${part ? ' part' : ''}.`;
 
     try {
-        const response = await askAI(EXTRACTION_PROMPT, userPrompt, EXTRACTION_SCHEMA);
-        return parseAIJson(response);
+        const response = await askAI(prompt, userPrompt, schema, { purpose: 'extraction', url, usage, signal });
+        const extractedBy = { provider: response.provider, model: response.model, failures: response.failures, chunks: 1 };
+
+        let parsed;
+        try {
+            parsed = parseAIJson(response.text);
+        } catch (error) {
+            console.error(`[AI Extractor] Invalid JSON from ${response.provider}/${response.model}: ${error.message}`);
+            return { ...getEmptyResult(schema, error.message), extractedBy };
+        }
+
+        const { value, warnings } = normalizeToSchema(parsed, schema);
+        if (Array.isArray(value.pricing?.plans)) {
+            value.pricing.plans = normalizePlans(value.pricing.plans, warnings);
+        }
+        if (warnings.length > 0) {
+            console.warn(`[AI Extractor] ${url}: ${warnings.length} validation warnings (${warnings.slice(0, 3).join('; ')})`);
+        }
+
+        return { ...value, extractedBy, validationWarnings: warnings };
     } catch (error) {
+        // An aborted analysis stops here instead of recording an empty result
+        if (signal?.aborted) throw error;
+
         console.error(`[AI Extractor] Error: ${error.message}`);
-        return getEmptyResult(error.message);
+        return { ...getEmptyResult(schema, error.message), extractedBy: { provider: null, model: null, failures: error.failures || [], chunks: 0 } };
     }
 };
 
+// Currency symbols and abbreviations pages use instead of ISO codes
+const CURRENCY_CODES = {
+    '$': 'USD', 'us$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR',
+    'a$': 'AUD', 'au$': 'AUD', 'c$': 'CAD', 'ca$': 'CAD', 'r$': 'BRL', 'fr': 'CHF', 'zł': 'PLN'
+};
+
+/**
+ * ISO 4217 code for a currency as written on a page ("€" → "EUR", "usd" → "USD")
+ * @param {string|null} text
+ * @returns {string|null} null when unrecognizable
+ */
+export const toCurrencyCode = (text) => {
+    const raw = String(text ?? '').trim();
+    return CURRENCY_CODES[raw.toLowerCase()] || (/^[a-z]{3}$/i.test(raw) ? raw.toUpperCase() : null);
+};
+
+/**
+ * Tidy extracted pricing plans (the built-in plan fields, when present):
+ * - currency as an ISO code ("€" → "EUR", "usd" → "USD"), null when unrecognizable
+ * - monthlyPrice from a monthly headline price, price 0 for a free plan without one
+ * @param {object[]} plans - Normalized plans
+ * @param {string[]} warnings - Normalization warnings (added to)
+ * @returns {object[]}
+ */
+const normalizePlans = (plans, warnings) => plans.map((plan, index) => {
+    const next = { ...plan };
+    const at = `pricing.plans[${index}]`;
+
+    if (typeof plan.currency === 'string') {
+        const raw = plan.currency.trim();
+        const code = toCurrencyCode(raw);
+        if (code !== raw) {
+            warnings.push(`${at}.currency: coerced ${JSON.stringify(raw)} to ${JSON.stringify(code)}`);
+            next.currency = code;
+        }
+    }
+
+    if ('monthlyPrice' in plan && plan.monthlyPrice === null && plan.type === 'monthly' && typeof plan.price === 'number') {
+        next.monthlyPrice = plan.price;
+    }
+    if (plan.isFree === true && plan.price === null) {
+        next.price = 0;
+    }
+
+    return next;
+});
+
 /**
  * Get empty result structure
  */
-const getEmptyResult = (errorMessage = null) => ({
-    pricing: { found: false, plans: [] },
-    customers: { found: false, names: [] },
-    valueProposition: { found: false, main: '', points: [] },
-    whatTheySell: { found: false, products: [], services: [] },
-    competitors: { found: false, names: [] },
-    companyInfo: { found: false, userCount: null, description: null },
+const getEmptyResult = (schema, errorMessage = null) => ({
+    ...getSchemaDefault(schema),
     ...(errorMessage && { error: errorMessage })
 });
 
+/**
+ * Whether a schema describes an object
+ */
+const isObjectSchema = (schema) => [].concat(schema.type || []).includes('object') && !!schema.properties;
+
+/**
+ * Merge one result into the merged value, guided by the schema:
+ * - sections with a `found` flag only count where found is true
+ * - arrays are concatenated (deduplicated afterwards)
+ * - booleans are true if any page says so
+ * - other scalars: the last non-empty value wins
+ */
+const mergeInto = (merged, result, schema) => {
+    if (schema.properties?.found && result.found !== true) return;
+
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        const value = result[key];
+        if (value === undefined || value === null || value === '') continue;
+
+        if (isObjectSchema(propertySchema)) {
+            if (typeof value !== 'object' || Array.isArray(value)) continue;
+            merged[key] = merged[key] && typeof merged[key] === 'object' ? merged[key] : getSchemaDefault(propertySchema);
+            mergeInto(merged[key], value, propertySchema);
+        } else if (Array.isArray(value)) {
+            merged[key] = [...(Array.isArray(merged[key]) ? merged[key] : []), ...value];
+        } else if (typeof value === 'boolean') {
+            merged[key] = merged[key] === true || value;
+        } else {
+            merged[key] = value;
+        }
+    }
+};
+
+/**
+ * Deduplicate every array in a merged value (recursively)
+ * Pricing plans are merged by plan instead (see deduplicatePlans)
+ */
+const deduplicateArrays = (value, schema, path = '') => {
+    if (!isObjectSchema(schema)) return value;
+
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        const propertyPath = path ? `${path}.${key}` : key;
+        if (Array.isArray(value[key])) {
+            value[key] = propertyPath === 'pricing.plans' ? deduplicatePlans(value[key]) : deduplicateItems(value[key]);
+        } else if (value[key] && typeof value[key] === 'object') {
+            deduplicateArrays(value[key], propertySchema, propertyPath);
+        }
+    }
+
+    return value;
+};
+
 /**
  * Merge multiple extraction results
+ * Works for any extraction schema (built-in, extended or replaced)
  * @param {object[]} results - Array of extraction results
+ * @param {object} schema - Schema the results follow (default: EXTRACTION_SCHEMA)
  * @returns {object} Merged intelligence
  */
-export const mergeIntelligence = (results) => {
-    const merged = {
-        pricing: { found: false, plans: [] },
-        customers: { found: false, names: [] },
-        valueProposition: { found: false, main: '', points: [] },
-        whatTheySell: { found: false, products: [], services: [] },
-        competitors: { found: false, names: [] },
-        companyInfo: { found: false, userCount: null, description: null }
-    };
+export const mergeIntelligence = (results, schema = EXTRACTION_SCHEMA) => {
+    const merged = getSchemaDefault(schema);
 
     for (const result of results) {
         if (!result || result.error) continue;
+        mergeInto(merged, result, schema);
+    }
 
-        // Merge pricing
-        if (result.pricing?.found) {
-            merged.pricing.found = true;
-            if (result.pricing.plans?.length) {
-                merged.pricing.plans.push(...result.pricing.plans);
-            }
-        }
+    return deduplicateArrays(merged, schema);
+};
 
-        // Merge customers (company names only)
-        if (result.customers?.found) {
-            merged.customers.found = true;
-            if (result.customers.names?.length) {
-                merged.customers.names.push(...result.customers.names);
-            }
-        }
+/**
+ * Whether an item's quote was found on its page (plans: source.verified, evidence: verified)
+ */
+const isVerified = (item) => (item.source?.verified ?? item.verified) === true;
 
-        // Merge value proposition
-        if (result.valueProposition?.found) {
-            merged.valueProposition.found = true;
-            if (result.valueProposition.main) {
-                merged.valueProposition.main = result.valueProposition.main;
-            }
-            if (result.valueProposition.points?.length) {
-                merged.valueProposition.points.push(...result.valueProposition.points);
-            }
-        }
+/**
+ * Deduplicate array items: strings and numbers by value, objects (e.g. pricing plans) by name.
+ * The first occurrence wins, unless a later duplicate is verified and it isn't.
+ */
+const deduplicateItems = (items) => {
+    const byKey = new Map();
 
-        // Merge products/services
-        if (result.whatTheySell?.found) {
-            merged.whatTheySell.found = true;
-            if (result.whatTheySell.products?.length) {
-                merged.whatTheySell.products.push(...result.whatTheySell.products);
-            }
-            if (result.whatTheySell.services?.length) {
-                merged.whatTheySell.services.push(...result.whatTheySell.services);
-            }
-        }
+    for (const item of items) {
+        const isObject = item && typeof item === 'object';
+        const key = isObject ? item.name || JSON.stringify(item) : JSON.stringify(item);
+        const existing = byKey.get(key);
 
-        // Merge competitors
-        if (result.competitors?.found) {
-            merged.competitors.found = true;
-            if (result.competitors.names?.length) {
-                merged.competitors.names.push(...result.competitors.names);
-            }
+        if (!existing) {
+            byKey.set(key, item);
+        } else if (isObject && !isVerified(existing) && isVerified(item)) {
+            byKey.set(key, item);
         }
+    }
 
-        // Merge company info (userCount and description only)
-        if (result.companyInfo?.found) {
-            merged.companyInfo.found = true;
-            if (result.companyInfo.userCount) {
-                merged.companyInfo.userCount = result.companyInfo.userCount;
-            }
-            if (result.companyInfo.description) {
-                merged.companyInfo.description = result.companyInfo.description;
+    return [...byKey.values()];
+};
+
+/**
+ * Key for matching variants of one plan: "Pro", "Pro plan", "Pro (billed annually)" → "pro"
+ * @param {string} name - Plan name
+ * @returns {string}
+ */
+export const planKey = (name) => {
+    const lower = String(name ?? '').trim().toLowerCase();
+    const key = lower
+        .replace(/\([^)]*\b(?:month|monthly|annual|annually|year|yearly|billed)\b[^)]*\)/g, ' ')
+        .replace(/\b(?:plan|monthly|annual|annually|yearly|billed)\b/g, ' ')
+        .replace(/[^\p{L}\p{N}+]+/gu, ' ')
+        .trim();
+    return key || lower;
+};
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Merge variants of one plan into one: the verified variant (else the first) is the base
+ * and its gaps are filled from the others, so a monthly price seen on one page and an
+ * annual price on another end up on the same plan. Features are combined, flags
+ * (isFree, contactSales) are true if any variant says so, certainty is the highest.
+ * @param {object[]} variants - Plans with the same planKey
+ * @returns {object}
+ */
+const mergePlanVariants = (variants) => {
+    if (variants.length === 1) return variants[0];
+
+    const base = variants.find(isVerified) || variants[0];
+    const names = variants.map(variant => variant.name).filter(Boolean).sort((a, b) => a.length - b.length);
+    const merged = { ...base, name: names[0] ?? base.name };
+
+    for (const variant of variants) {
+        if (variant === base) continue;
+
+        for (const [key, value] of Object.entries(variant)) {
+            if (key === 'source' || key === 'name') continue;
+
+            if (key === 'features' && Array.isArray(value)) {
+                const seen = new Set();
+                merged.features = [...(merged.features || []), ...value].filter(feature => {
+                    const featureKey = String(feature).trim().toLowerCase();
+                    if (seen.has(featureKey)) return false;
+                    seen.add(featureKey);
+                    return true;
+                });
+            } else if (typeof value === 'boolean') {
+                merged[key] = merged[key] === true || value;
+            } else if (key === 'certainty' && typeof value === 'number') {
+                merged.certainty = Math.max(merged.certainty ?? 0, value);
+            } else if (isEmptyValue(merged[key]) && !isEmptyValue(value)) {
+                merged[key] = value;
             }
         }
     }
 
-    // Deduplicate arrays
-    merged.pricing.plans = deduplicatePlans(merged.pricing.plans);
-    merged.customers.names = [...new Set(merged.customers.names)];
-    merged.valueProposition.points = [...new Set(merged.valueProposition.points)];
-    merged.whatTheySell.products = [...new Set(merged.whatTheySell.products)];
-    merged.whatTheySell.services = [...new Set(merged.whatTheySell.services)];
-    merged.competitors.names = [...new Set(merged.competitors.names)];
-
     return merged;
 };
 
 /**
- * Deduplicate pricing plans by name
+ * Deduplicate pricing plans across pages and chunks, merging variants of the same plan
+ * (see planKey) rather than keeping only the first
+ * @param {object[]} plans
+ * @returns {object[]} One plan per planKey, in order of first appearance
  */
-const deduplicatePlans = (plans) => {
-    const seen = new Set();
-    return plans.filter(plan => {
-        const key = plan.name || JSON.stringify(plan);
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-    });
+export const deduplicatePlans = (plans) => {
+    const groups = new Map();
+
+    for (const plan of plans) {
+        if (!plan || typeof plan !== 'object') continue;
+        const key = planKey(plan.name);
+        groups.set(key, [...(groups.get(key) || []), plan]);
+    }
+
+    return [...groups.values()].map(mergePlanVariants);
 };
@@ -0,0 +1,75 @@
+/**
+ * Logo Wall Vision
+ * Names the companies in a screenshot of a logo wall, for walls whose images
+ * have no usable alt text, title or filename. Needs a vision-capable model
+ * in the provider chain (LOGO_VISION=true).
+ */
+
+import { askAI, parseAIJson } from './providers.mjs';
+import { estimateTokens } from './budget.mjs';
+
+const LOGO_VISION_PROMPT = `You identify company logos in a screenshot of a website's customer or partner logo section.
+
+RULES:
+- List the company or brand name of each logo you can read or recognize with confidence
+- Use the name as the company writes it (e.g. "Spotify", "Coca-Cola"), not a description of the image
+- Skip logos you can't identify; never guess
+- Ignore headings, buttons and any text that isn't a logo`;
+
+const LOGO_VISION_SCHEMA = {
+    type: "object",
+    properties: {
+        names: {
+            type: "array",
+            items: { type: "string" },
+            description: "Company/brand names of the logos, one per logo"
+        }
+    },
+    required: ["names"]
+};
+
+// Tokens billed for one screenshot (providers bill images by size; a cropped wall stays under ~1600)
+const IMAGE_TOKENS = 1600;
+
+// Longer "names" are descriptions
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Estimated tokens of one logo wall call
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export const estimateLogoVisionTokens = () => ({
+    inputTokens: estimateTokens(LOGO_VISION_PROMPT.length + 200) + IMAGE_TOKENS,
+    outputTokens: 200
+});
+
+/**
+ * Ask a vision model to name the logos of a logo wall screenshot
+ *
+ * @param {Buffer} image - JPEG screenshot of the wall
+ * @param {string} url - Page the wall is on
+ * @param {object} options
+ * @param {string|null} options.heading - The wall's heading ("Trusted by 10,000 teams")
+ * @param {object} options.usage - Per-analysis usage tracker (optional)
+ * @param {AbortSignal} options.signal - Cancels the AI call (optional)
+ * @returns {Promise<string[]>} Names (empty when the call failed)
+ */
+export const identifyLogos = async (image, url, { heading = null, usage = null, signal = null } = {}) => {
+    const userPrompt = [
+        { type: 'text', text: `Website page: ${url}${heading ? `\nSection heading: ${heading}` : ''}\n\nName the company logos in this image.` },
+        { type: 'image', mediaType: 'image/jpeg', data: image.toString('base64') }
+    ];
+
+    try {
+        const response = await askAI(LOGO_VISION_PROMPT, userPrompt, LOGO_VISION_SCHEMA, { purpose: 'logos', url, usage, signal });
+        const { names } = parseAIJson(response.text);
+
+        return (Array.isArray(names) ? names : [])
+            .filter(name => typeof name === 'string')
+            .map(name => name.trim())
+            .filter(name => name.length >= 2 && name.length <= MAX_NAME_LENGTH);
+    } catch (error) {
+        console.error(`[Logos] Vision error on ${url}: ${error.message}`);
+        return [];
+    }
+};
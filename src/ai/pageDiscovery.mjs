@@ -4,16 +4,38 @@
  */
 
 import { askAI, parseAIJson } from './providers.mjs';
+import { estimateTokens } from './budget.mjs';
+import { estimateExtractionTokens } from './extractor.mjs';
 import { config } from '../config/index.mjs';
 
 // Patterns to look for (ordered by priority - pricing first!)
+// Localized paths are matched without accents ("/fonctionnalités" → "/fonctionnalites")
 const PRIORITY_PATTERNS = [
     // Tier 1: Pricing (highest priority)
-    ['/pricing', '/price', '/plans'],
+    [
+        '/pricing', '/price', '/plans',
+        '/tarifs', '/tarif', '/prix', // French
+        '/preise', '/preis', '/tarife', // German
+        '/precios', '/precio', '/planes', // Spanish
+        '/prezzi', '/prezzo', '/piani', // Italian
+        '/precos', '/preco', // Portuguese
+        '/prijzen', '/prijs' // Dutch
+    ],
     // Tier 2: Product/features info
-    ['/features', '/solutions', '/products', '/services']
+    [
+        '/features', '/solutions', '/products', '/services',
+        '/fonctionnalites', '/produits', '/solution', // French
+        '/funktionen', '/produkte', '/losungen', '/loesungen', '/leistungen', // German
+        '/funcionalidades', '/caracteristicas', '/productos', '/soluciones', '/servicios', // Spanish
+        '/funzionalita', '/prodotti', '/soluzioni', '/servizi', // Italian
+        '/produtos', '/solucoes', '/servicos', // Portuguese
+        '/functies', '/producten', '/oplossingen', '/diensten' // Dutch
+    ]
 ];
 
+// Language codes that may prefix localized paths ("/fr/tarifs", "/de-de/preise")
+const LOCALE_LANGUAGES = ['en', 'fr', 'de', 'es', 'it', 'pt', 'nl', 'sv', 'da', 'no', 'nb', 'fi', 'pl', 'cs', 'ru', 'tr', 'ja', 'zh', 'ko'];
+
 // AI prompt for page selection
 const DISCOVERY_PROMPT = `You are a web analyst. Given a list of URLs from a website, pick the most valuable pages for business intelligence.
 
@@ -22,6 +44,8 @@ PRIORITY ORDER (most important first):
 2. Features/products/solutions
 3. Services offered
 
+Pages may be in any language (e.g. /tarifs, /preise, /precios). When the same page exists in several languages, pick the English one.
+
 Return ONLY a JSON array of URLs. No explanation.`;
 
 /**
@@ -44,6 +68,40 @@ const filterSameDomain = (urls, baseUrl) => {
     });
 };
 
+/**
+ * Path for pattern matching: lowercase, decoded, without accents
+ */
+const normalizePath = (pathname) => {
+    let path = pathname.toLowerCase();
+    try {
+        path = decodeURIComponent(path);
+    } catch {
+        // Keep the encoded path
+    }
+    return path.normalize('NFD').replace(/\p{Diacritic}/gu, '');
+};
+
+/**
+ * Language of a localized path's prefix ("/fr/tarifs" → "fr", "/en-us/pricing" → "en")
+ * @returns {string|null} null when the path has no language prefix
+ */
+const pathLanguage = (url) => {
+    const segment = new URL(url).pathname.toLowerCase().split('/')[1] || '';
+    const match = segment.match(/^([a-z]{2})(?:[-_][a-z]{2})?$/);
+    return match && LOCALE_LANGUAGES.includes(match[1]) ? match[1] : null;
+};
+
+/**
+ * Keep English (or unprefixed) URLs when there are any: "/fr/tarifs" and "/de/preise"
+ * are usually the same page as "/pricing"
+ * @param {string[]} urls
+ * @returns {string[]}
+ */
+const preferEnglishUrls = (urls) => {
+    const english = urls.filter(url => [null, 'en'].includes(pathLanguage(url)));
+    return english.length > 0 ? english : urls;
+};
+
 /**
  * Find URLs matching target patterns (priority-ordered)
  * @param {string[]} urls - URLs to search
@@ -54,7 +112,7 @@ const findPatternMatches = (urls) => {
 
     for (const url of urls) {
         try {
-            const path = new URL(url).pathname.toLowerCase();
+            const path = normalizePath(new URL(url).pathname);
 
             // Check each priority tier
             for (let tier = 0; tier < PRIORITY_PATTERNS.length; tier++) {
@@ -73,18 +131,31 @@ const findPatternMatches = (urls) => {
     }
 
     // Flatten with priority order: pricing first, then features/products
-    const ordered = matchesByTier.flat();
+    const ordered = matchesByTier.map(preferEnglishUrls).flat();
     return [...new Set(ordered)];
 };
 
+/**
+ * Estimated tokens of a page-picker call
+ * @param {string[]} candidates - Candidate URLs
+ * @param {number} maxPages - Pages to pick
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+const estimateDiscoveryTokens = (candidates, maxPages) => ({
+    inputTokens: estimateTokens(DISCOVERY_PROMPT.length + candidates.join('\n').length + 300),
+    outputTokens: 30 * maxPages + 20
+});
+
 /**
  * Ask AI to pick valuable pages from a list of URLs
  * @param {string[]} urls - Candidate URLs
  * @param {string} baseUrl - Website base URL
  * @param {number} maxPages - Maximum pages to select
+ * @param {object} usage - Per-analysis usage tracker (optional)
+ * @param {AbortSignal} signal - Cancels the AI call (optional)
  * @returns {Promise<string[]>} Selected URLs
  */
-const askAIToPickPages = async (urls, baseUrl, maxPages) => {
+const askAIToPickPages = async (urls, baseUrl, maxPages, usage = null, signal = null) => {
     // Limit candidates to avoid token bloat
     const candidates = urls.slice(0, 100);
 
@@ -101,8 +172,8 @@ Pick up to ${maxPages} URLs that would have the most valuable business informati
 Return JSON array: ["url1", "url2", ...]`;
 
     try {
-        const response = await askAI(DISCOVERY_PROMPT, userPrompt);
-        const selected = parseAIJson(response);
+        const response = await askAI(DISCOVERY_PROMPT, userPrompt, null, { purpose: 'discovery', url: baseUrl, usage, signal });
+        const selected = parseAIJson(response.text);
 
         // Validate returned URLs exist in our list
         return selected.filter(url => candidates.includes(url)).slice(0, maxPages);
@@ -119,10 +190,17 @@ Return JSON array: ["url1", "url2", ...]`;
  * @param {string[]} homepageLinks - Links found on homepage
  * @param {string} baseUrl - Website base URL
  * @param {string[]} sitemapUrls - URLs from sitemap (optional)
+ * @param {number} maxPages - Maximum pages to return (default: MAX_PAGES_TO_VISIT)
+ * @param {object} options
+ * @param {object} options.usage - Per-analysis usage tracker (optional)
+ * @param {object} options.budget - Per-analysis budget (optional): the AI picker is skipped
+ *                                  unless it still leaves room to extract the homepage and one page
+ * @param {AbortSignal} options.signal - Cancels the AI picker (optional)
  * @returns {Promise<string[]>} URLs to visit
  */
-export const getPagesToVisit = async (homepageLinks, baseUrl, sitemapUrls = []) => {
-    const maxPages = config.browser.maxPagesToVisit;
+export const getPagesToVisit = async (homepageLinks, baseUrl, sitemapUrls = [], maxPages = config.browser.maxPagesToVisit, { usage = null, budget = null, signal = null } = {}) => {
+    if (maxPages <= 0) return [];
+
     let selectedPages = [];
 
     // Step 1: Try sitemap pattern matching (FREE - no AI)
@@ -140,11 +218,23 @@ export const getPagesToVisit = async (homepageLinks, baseUrl, sitemapUrls = [])
         return limited;
     }
 
-    // Step 3: Fallback - use AI to pick from homepage links
+    const sameDomainLinks = filterSameDomain(homepageLinks, baseUrl);
+
+    // Step 3: Fallback - use AI to pick from homepage links (if the budget allows)
+    if (budget?.limited) {
+        const extraction = estimateExtractionTokens(config.extraction.maxContentLength);
+        const discovery = estimateDiscoveryTokens(sameDomainLinks.slice(0, 100), maxPages - selectedPages.length);
+
+        if (!budget.canAfford(discovery, extraction, extraction)) {
+            budget.skip('discovery', 'Budget too tight for AI page selection, using sitemap patterns only');
+            console.log(`[Discovery] Budget too tight, skipping AI page selection (${selectedPages.length} pages from sitemap)`);
+            return selectedPages;
+        }
+    }
+
     console.log(`[Discovery] Sitemap patterns insufficient, asking AI to pick from homepage links...`);
 
-    const sameDomainLinks = filterSameDomain(homepageLinks, baseUrl);
-    const aiSelected = await askAIToPickPages(sameDomainLinks, baseUrl, maxPages - selectedPages.length);
+    const aiSelected = await askAIToPickPages(sameDomainLinks, baseUrl, maxPages - selectedPages.length, usage, signal);
 
     console.log(`[Discovery] AI selected ${aiSelected.length} additional pages`);
 
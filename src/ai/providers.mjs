@@ -1,22 +1,47 @@
 /**
  * AI Provider Abstraction
- * Unified interface for Claude and OpenAI
+ * Unified interface for Claude, OpenAI and local OpenAI-compatible servers (Ollama, vLLM, llama.cpp)
+ *
+ * Calls go through a provider chain: AI_PROVIDER first, then each AI_FALLBACKS entry.
+ * Retryable errors (rate limits, overloaded, 5xx, network) are retried with exponential
+ * backoff and jitter; once a provider's retries are used up, or it fails permanently,
+ * the next one in the chain is tried.
  */
 
 import Anthropic from '@anthropic-ai/sdk';
 import OpenAI from 'openai';
 import { config } from '../config/index.mjs';
+import { recordUsage } from './usage.mjs';
+import { validateSchema } from './validate.mjs';
 
 // Provider instances (lazy loaded)
 let claudeClient = null;
 let openaiClient = null;
+let localClient = null;
+
+// Structured output modes for local servers, most to least strict
+const LOCAL_RESPONSE_FORMATS = ['json_schema', 'json_object', 'none'];
+
+// Mode that worked last (auto-detected once, then reused)
+let localResponseFormat = null;
+
+const PROVIDERS = ['claude', 'openai', 'local'];
+
+// Tool Claude is forced to call when a schema is given, and how many times it may fix invalid input
+const CLAUDE_TOOL_NAME = 'extraction_result';
+const CLAUDE_REPAIR_ROUNDS = 1;
+
+let providerChain = null;
 
 /**
  * Get Claude client
  */
 const getClaude = () => {
     if (!claudeClient) {
-        claudeClient = new Anthropic({ apiKey: config.claudeApiKey });
+        claudeClient = new Anthropic({
+            apiKey: config.claudeApiKey,
+            maxRetries: 0 // Retries are handled by askAI
+        });
     }
     return claudeClient;
 };
@@ -26,64 +51,355 @@ const getClaude = () => {
  */
 const getOpenAI = () => {
     if (!openaiClient) {
-        openaiClient = new OpenAI({ apiKey: config.openaiApiKey });
+        openaiClient = new OpenAI({
+            apiKey: config.openaiApiKey,
+            maxRetries: 0 // Retries are handled by askAI
+        });
     }
     return openaiClient;
 };
 
 /**
- * Send a prompt to the configured AI provider
+ * Get client for the local OpenAI-compatible server
+ */
+const getLocal = () => {
+    if (!localClient) {
+        localClient = new OpenAI({
+            baseURL: config.local.baseUrl,
+            // Most local servers ignore the key, but the SDK requires one
+            apiKey: config.local.apiKey || 'not-needed',
+            maxRetries: 0 // Retries are handled by askAI
+        });
+    }
+    return localClient;
+};
+
+/**
+ * Default model of a provider
+ * @param {string} provider
+ * @returns {string}
+ */
+const defaultModel = (provider) => {
+    if (provider === 'openai') return config.openaiModel;
+    if (provider === 'local') return config.local.model;
+    return config.claudeModel;
+};
+
+/**
+ * Providers tried in order: AI_PROVIDER, then AI_FALLBACKS
+ * ("provider" or "provider:model", comma-separated). Throws on an unknown
+ * provider or a fallback without credentials.
+ * @returns {{provider: string, model: string}[]}
+ */
+export const getProviderChain = () => {
+    if (providerChain) return providerChain;
+
+    const chain = [{ provider: config.aiProvider, model: defaultModel(config.aiProvider) }];
+
+    for (const entry of config.aiFallbacks.split(',').map(item => item.trim()).filter(Boolean)) {
+        // Split on the first colon only: local model names often contain one ("llama3.1:8b")
+        const separator = entry.indexOf(':');
+        const provider = separator === -1 ? entry : entry.slice(0, separator);
+        const model = (separator === -1 ? '' : entry.slice(separator + 1).trim()) || defaultModel(provider);
+
+        if (!PROVIDERS.includes(provider)) {
+            throw new Error(`Unknown provider "${provider}" in AI_FALLBACKS (use claude, openai or local)`);
+        }
+        if (provider === 'claude' && !config.claudeApiKey) {
+            throw new Error('CLAUDE_API_KEY is required for the claude fallback');
+        }
+        if (provider === 'openai' && !config.openaiApiKey) {
+            throw new Error('OPENAI_API_KEY is required for the openai fallback');
+        }
+        if (provider === 'local' && (!config.local.baseUrl || !model)) {
+            throw new Error('AI_BASE_URL and a model (AI_MODEL or "local:<model>") are required for the local fallback');
+        }
+
+        if (!chain.some(link => link.provider === provider && link.model === model)) {
+            chain.push({ provider, model });
+        }
+    }
+
+    providerChain = chain;
+    return providerChain;
+};
+
+/**
+ * Model of the first provider in the chain (for cost estimates)
+ * @returns {string}
+ */
+export const getActiveModel = () => getProviderChain()[0].model;
+
+/**
+ * Whether a failed call is worth retrying
+ * Network errors, timeouts, 408, 409, 429 and 5xx (529 = Anthropic overloaded) are retried;
+ * other 4xx (bad key, bad request) are permanent
+ */
+const isRetryable = (error) => {
+    if (!error.status) return true;
+    return [408, 409, 429].includes(error.status) || error.status >= 500;
+};
+
+/**
+ * Backoff before the next attempt: retryDelay * 2^(attempt-1), ±20% jitter,
+ * or the server's Retry-After when it sends one. Capped at maxDelay.
+ */
+const getRetryDelay = (attempt, error) => {
+    const headers = error.headers;
+    const retryAfter = parseFloat(typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']);
+    const delay = Number.isFinite(retryAfter)
+        ? retryAfter * 1000
+        : config.aiRetry.retryDelay * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4);
+    return Math.round(Math.min(delay, config.aiRetry.maxDelay));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error to fail with once the caller's signal is aborted
+ */
+const abortError = (signal) => (signal.reason instanceof Error ? signal.reason : new Error('AI call aborted'));
+
+/**
+ * User message content for Claude: the prompt string, or its text and image parts
+ * @param {string|object[]} prompt - String, or [{ type: 'text', text }, { type: 'image', mediaType, data }] (base64 data)
+ */
+const toClaudeContent = (prompt) => (typeof prompt === 'string'
+    ? prompt
+    : prompt.map(part => (part.type === 'image'
+        ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+        : { type: 'text', text: part.text })));
+
+/**
+ * User message content for OpenAI-compatible servers (images as data URLs)
+ * @param {string|object[]} prompt - Same as toClaudeContent
+ */
+const toOpenAIContent = (prompt) => (typeof prompt === 'string'
+    ? prompt
+    : prompt.map(part => (part.type === 'image'
+        ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+        : { type: 'text', text: part.text })));
+
+/**
+ * Call one provider
+ * @returns {Promise<{text: string, model: string, inputTokens: number, outputTokens: number}>}
+ */
+const callProvider = ({ provider, model }, systemPrompt, userPrompt, jsonSchema, signal) => {
+    if (provider === 'claude') return askClaude(systemPrompt, userPrompt, jsonSchema, model, signal);
+    if (provider === 'openai') return askOpenAI(systemPrompt, userPrompt, jsonSchema, model, signal);
+    if (provider === 'local') return askLocal(systemPrompt, userPrompt, jsonSchema, model, signal);
+    throw new Error(`Unknown AI provider: ${provider}`);
+};
+
+/**
+ * Send a prompt through the provider chain
  * @param {string} systemPrompt - System instructions
- * @param {string} userPrompt - User message/content
+ * @param {string|object[]} userPrompt - User message, or text and image parts for vision models:
+ *   [{ type: 'text', text }, { type: 'image', mediaType: 'image/jpeg', data: '<base64>' }]
  * @param {object} jsonSchema - Optional JSON schema for structured output
- * @returns {Promise<string>} AI response text
+ * @param {object} context - Usage accounting
+ * @param {string} context.purpose - What the call is for ('discovery', 'extraction', ...)
+ * @param {string} context.url - Page the call is about (optional)
+ * @param {object} context.usage - Per-analysis tracker from createUsageTracker (optional)
+ * @param {AbortSignal} context.signal - Cancels the pending request, with no retry or fallback (optional)
+ * @returns {Promise<{text: string, provider: string, model: string, failures: object[]}>}
+ *   Response text, who answered, and the attempts that failed before it
+ * @throws {Error} When every provider failed (`error.failures` lists each attempt), or the signal's reason once aborted
  */
-export const askAI = async (systemPrompt, userPrompt, jsonSchema = null) => {
-    const provider = config.aiProvider;
+export const askAI = async (systemPrompt, userPrompt, jsonSchema = null, { purpose = 'other', url = null, usage = null, signal = null } = {}) => {
+    const chain = getProviderChain();
+    const failures = [];
+
+    for (const [index, link] of chain.entries()) {
+        for (let attempt = 1; attempt <= config.aiRetry.maxRetries + 1; attempt++) {
+            if (signal?.aborted) throw abortError(signal);
+
+            try {
+                const result = await callProvider(link, systemPrompt, userPrompt, jsonSchema, signal);
+
+                recordUsage({
+                    provider: link.provider,
+                    model: result.model,
+                    purpose,
+                    url,
+                    inputTokens: result.inputTokens,
+                    outputTokens: result.outputTokens
+                }, usage);
+
+                return { text: result.text, provider: link.provider, model: result.model, failures };
+            } catch (error) {
+                if (signal?.aborted) throw abortError(signal);
+
+                failures.push({ provider: link.provider, model: link.model, status: error.status || null, error: error.message });
 
-    if (provider === 'claude') {
-        return await askClaude(systemPrompt, userPrompt, jsonSchema);
-    } else if (provider === 'openai') {
-        return await askOpenAI(systemPrompt, userPrompt, jsonSchema);
-    } else {
-        throw new Error(`Unknown AI provider: ${provider}`);
+                const retry = isRetryable(error) && attempt <= config.aiRetry.maxRetries;
+                if (!retry) {
+                    console.error(`[AI] ${link.provider}/${link.model} failed: ${error.message}`);
+                    break;
+                }
+
+                const delay = getRetryDelay(attempt, error);
+                console.warn(`[AI] ${link.provider}/${link.model} failed (${error.message}), retry ${attempt}/${config.aiRetry.maxRetries} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+
+        const next = chain[index + 1];
+        if (next) {
+            console.warn(`[AI] Falling back to ${next.provider}/${next.model}`);
+        }
     }
+
+    const last = failures[failures.length - 1];
+    const error = new Error(chain.length > 1
+        ? `All AI providers failed (last: ${last.provider}/${last.model}: ${last.error})`
+        : last.error);
+    error.status = last.status;
+    error.failures = failures;
+    throw error;
 };
 
 /**
- * Ask Claude (schema included in prompt)
+ * Ask Claude
+ * With a schema, the answer is forced through a tool whose input_schema is the schema,
+ * so Claude returns structured arguments instead of free text. The arguments are
+ * validated against the schema; if they don't conform, the validation errors are sent
+ * back as the tool result and Claude gets one chance to repair its answer.
+ * @returns {Promise<{text: string, model: string, inputTokens: number, outputTokens: number}>}
  */
-const askClaude = async (systemPrompt, userPrompt, jsonSchema = null) => {
+const askClaude = async (systemPrompt, userPrompt, jsonSchema = null, model = config.claudeModel, signal = null) => {
     const client = getClaude();
 
-    // For Claude, include schema in system prompt
-    let finalSystemPrompt = systemPrompt;
-    if (jsonSchema) {
-        finalSystemPrompt += `\n\nYou MUST respond with valid JSON matching this exact schema:\n${JSON.stringify(jsonSchema, null, 2)}`;
+    if (!jsonSchema) {
+        const response = await client.messages.create({
+            model,
+            max_tokens: 4096,
+            system: systemPrompt,
+            messages: [{ role: 'user', content: toClaudeContent(userPrompt) }]
+        }, { signal });
+
+        return {
+            text: response.content.find(block => block.type === 'text')?.text || '',
+            model: response.model || model,
+            inputTokens: response.usage?.input_tokens || 0,
+            outputTokens: response.usage?.output_tokens || 0
+        };
     }
 
-    const response = await client.messages.create({
-        model: config.claudeModel,
-        max_tokens: 4096,
-        system: finalSystemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-    });
+    const tool = {
+        name: CLAUDE_TOOL_NAME,
+        description: 'Record the extracted information. Always call this tool with your answer.',
+        input_schema: jsonSchema
+    };
+    const messages = [{ role: 'user', content: toClaudeContent(userPrompt) }];
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for (let round = 0; ; round++) {
+        const response = await client.messages.create({
+            model,
+            max_tokens: 4096,
+            system: systemPrompt,
+            tools: [tool],
+            tool_choice: { type: 'tool', name: CLAUDE_TOOL_NAME },
+            messages
+        }, { signal });
+
+        inputTokens += response.usage?.input_tokens || 0;
+        outputTokens += response.usage?.output_tokens || 0;
+
+        const toolUse = response.content.find(block => block.type === 'tool_use');
+        if (!toolUse) {
+            throw new Error(`Claude did not call the ${CLAUDE_TOOL_NAME} tool (stop reason: ${response.stop_reason})`);
+        }
+
+        const errors = validateSchema(toolUse.input, jsonSchema);
+        const result = {
+            text: JSON.stringify(toolUse.input),
+            model: response.model || model,
+            inputTokens,
+            outputTokens
+        };
+
+        if (errors.length === 0) return result;
+
+        if (round >= CLAUDE_REPAIR_ROUNDS) {
+            // Hand over what we have: extraction copes with partial results
+            console.warn(`[AI] Claude output still invalid after repair (${errors.length} errors): ${errors.slice(0, 3).join('; ')}`);
+            return result;
+        }
+
+        console.log(`[AI] Claude output failed validation (${errors.length} errors), asking for a repair`);
+        messages.push(
+            { role: 'assistant', content: response.content },
+            {
+                role: 'user',
+                content: [{
+                    type: 'tool_result',
+                    tool_use_id: toolUse.id,
+                    is_error: true,
+                    content: `The input does not match the schema:\n${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}\n\nCall ${CLAUDE_TOOL_NAME} again with the corrected, complete input.`
+                }]
+            }
+        );
+    }
+};
+
+/**
+ * Schema in the form OpenAI's strict structured output accepts: every object closed
+ * (`additionalProperties: false`) and listing all its properties as required, with
+ * the ones that were optional made nullable. normalizeToSchema reads a null optional
+ * property as a missing one, so results match the original schema.
+ * @param {object} schema - JSON schema (built-in or custom)
+ * @returns {object} Converted copy
+ */
+export const toStrictSchema = (schema) => {
+    const strict = { ...schema };
+
+    if (schema.properties) {
+        const required = schema.required || [];
+        strict.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => {
+            const converted = toStrictSchema(property);
+            return [key, required.includes(key) ? converted : toNullable(converted)];
+        }));
+        strict.required = Object.keys(schema.properties);
+        strict.additionalProperties = false;
+    }
+
+    if (schema.items) {
+        strict.items = toStrictSchema(schema.items);
+    }
 
-    return response.content[0].text;
+    return strict;
+};
+
+/**
+ * Allow null in a schema (type and enum)
+ */
+const toNullable = (schema) => {
+    const types = [].concat(schema.type || []);
+    if (types.includes('null')) return schema;
+
+    return {
+        ...schema,
+        type: [...types, 'null'],
+        ...(schema.enum ? { enum: [...schema.enum, null] } : {})
+    };
 };
 
 /**
  * Ask OpenAI (native JSON schema support)
+ * @returns {Promise<{text: string, model: string, inputTokens: number, outputTokens: number}>}
  */
-const askOpenAI = async (systemPrompt, userPrompt, jsonSchema = null) => {
+const askOpenAI = async (systemPrompt, userPrompt, jsonSchema = null, model = config.openaiModel, signal = null) => {
     const client = getOpenAI();
 
     const options = {
-        model: config.openaiModel,
+        model,
         max_tokens: 4096,
         messages: [
             { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
+            { role: 'user', content: toOpenAIContent(userPrompt) }
         ]
     };
 
@@ -94,14 +410,93 @@ const askOpenAI = async (systemPrompt, userPrompt, jsonSchema = null) => {
             json_schema: {
                 name: "extraction_result",
                 strict: true,
-                schema: jsonSchema
+                schema: toStrictSchema(jsonSchema)
             }
         };
     }
 
-    const response = await client.chat.completions.create(options);
+    const response = await client.chat.completions.create(options, { signal });
+
+    return {
+        text: response.choices[0].message.content,
+        model: response.model || model,
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+    };
+};
+
+/**
+ * Whether a local server rejected the requested response_format
+ * (unsupported formats come back as 400/404/422, or 500 on some llama.cpp builds)
+ */
+const isResponseFormatError = (error) => {
+    if ([400, 404, 422].includes(error.status)) return true;
+    return /response_format|json_schema|json_object|grammar/i.test(error.message || '');
+};
+
+/**
+ * Ask a local OpenAI-compatible server
+ * Uses json_schema structured output when the server supports it, otherwise falls back
+ * to JSON mode (with the schema passed along, which llama.cpp turns into a grammar),
+ * then to plain prompting. The schema is always included in the system prompt for
+ * the weaker modes.
+ * @returns {Promise<{text: string, model: string, inputTokens: number, outputTokens: number}>}
+ */
+const askLocal = async (systemPrompt, userPrompt, jsonSchema = null, model = config.local.model, signal = null) => {
+    const client = getLocal();
+
+    const formats = !jsonSchema
+        ? ['none']
+        : config.local.responseFormat !== 'auto'
+            ? [config.local.responseFormat]
+            : LOCAL_RESPONSE_FORMATS.slice(LOCAL_RESPONSE_FORMATS.indexOf(localResponseFormat || 'json_schema'));
 
-    return response.choices[0].message.content;
+    for (const [index, format] of formats.entries()) {
+        const options = {
+            model,
+            max_tokens: 4096,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: toOpenAIContent(userPrompt) }
+            ]
+        };
+
+        if (format === 'json_schema') {
+            options.response_format = {
+                type: "json_schema",
+                json_schema: {
+                    name: "extraction_result",
+                    schema: jsonSchema
+                }
+            };
+        } else if (jsonSchema) {
+            options.messages[0].content += `\n\nYou MUST respond with valid JSON matching this exact schema:\n${JSON.stringify(jsonSchema, null, 2)}`;
+            if (format === 'json_object') {
+                options.response_format = { type: "json_object", schema: jsonSchema };
+            }
+        }
+
+        try {
+            const response = await client.chat.completions.create(options, { signal });
+
+            if (jsonSchema && localResponseFormat !== format) {
+                localResponseFormat = format;
+                console.log(`[AI] Local server structured output mode: ${format}`);
+            }
+
+            return {
+                text: response.choices[0].message.content,
+                model: response.model || model,
+                inputTokens: response.usage?.prompt_tokens || 0,
+                outputTokens: response.usage?.completion_tokens || 0
+            };
+        } catch (error) {
+            const hasFallback = index < formats.length - 1;
+            if (!hasFallback || !isResponseFormatError(error)) throw error;
+
+            console.log(`[AI] Local server rejected response_format "${format}" (${error.message}), falling back`);
+        }
+    }
 };
 
 /**
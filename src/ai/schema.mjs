@@ -1,8 +1,30 @@
 /**
  * JSON Schema for AI extraction output
  * Ensures consistent structure across providers
+ *
+ * Listed facts carry a verbatim quote from the page (plans: `quote`, name lists: `evidence`),
+ * which the pipeline checks against the page text (see evidence.mjs), and the AI's own
+ * certainty, one of the confidence signals (see confidence.mjs)
  */
 
+const QUOTE_DESCRIPTION = "Short excerpt copied EXACTLY from the page content that supports this item (max 200 characters)";
+const CERTAINTY_SCHEMA = { type: ["number", "null"], description: "How certain you are this item is correct, from 0 to 1" };
+
+// { name, quote } for each entry of a name list
+const EVIDENCE_SCHEMA = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            name: { type: "string", description: "The listed name this quote supports" },
+            quote: { type: "string", description: QUOTE_DESCRIPTION },
+            certainty: CERTAINTY_SCHEMA
+        },
+        required: ["name", "quote", "certainty"]
+    },
+    description: "One entry per listed name, with the page excerpt that mentions it"
+};
+
 export const EXTRACTION_SCHEMA = {
     type: "object",
     properties: {
@@ -16,14 +38,36 @@ export const EXTRACTION_SCHEMA = {
                         type: "object",
                         properties: {
                             name: { type: "string", description: "Plan name (e.g. 'Pro', 'Business', 'Enterprise')" },
-                            price: { type: "number", description: "Price as number only, no currency symbol" },
+                            price: { type: ["number", "null"], description: "Headline price as number only, no currency symbol; 0 for free plans, null when not listed" },
                             type: {
                                 type: "string",
                                 enum: ["monthly", "annual", "one-time", "other"],
-                                description: "Billing frequency"
-                            }
+                                description: "Billing frequency of the headline price"
+                            },
+                            currency: { type: ["string", "null"], description: "ISO 4217 currency code (e.g. 'USD', 'EUR', 'GBP'), null when no price is listed" },
+                            pricingModel: {
+                                type: ["string", "null"],
+                                enum: ["flat", "per-seat", "usage-based", "other", null],
+                                description: "flat = fixed price per period, per-seat = per user/seat, usage-based = per unit consumed"
+                            },
+                            unit: { type: ["string", "null"], description: "What a per-seat or usage-based price is per (e.g. 'user', 'seat', 'API call', '1,000 emails')" },
+                            monthlyPrice: { type: ["number", "null"], description: "Price per month when billed monthly (per unit for per-seat/usage-based)" },
+                            annualPrice: { type: ["number", "null"], description: "Price per month when billed annually ('$10/month billed yearly' = 10, '$120/year' = 10)" },
+                            isFree: { type: "boolean", description: "Free plan or free tier" },
+                            freeTrialDays: { type: ["integer", "null"], description: "Length of the free trial in days (e.g. '14-day free trial' = 14)" },
+                            contactSales: { type: "boolean", description: "Price not listed: 'Contact sales', 'Custom pricing', 'Get a quote'" },
+                            features: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "Main features and limits of this plan, short (max 10)"
+                            },
+                            quote: { type: "string", description: QUOTE_DESCRIPTION },
+                            certainty: CERTAINTY_SCHEMA
                         },
-                        required: ["name", "price", "type"]
+                        required: [
+                            "name", "price", "type", "currency", "pricingModel", "unit", "monthlyPrice", "annualPrice",
+                            "isFree", "freeTrialDays", "contactSales", "features", "quote", "certainty"
+                        ]
                     }
                 }
             },
@@ -37,9 +81,10 @@ export const EXTRACTION_SCHEMA = {
                     type: "array",
                     items: { type: "string" },
                     description: "Only real company/brand names (e.g. 'Nike', 'Spotify'). NOT generic terms."
-                }
+                },
+                evidence: EVIDENCE_SCHEMA
             },
-            required: ["found", "names"]
+            required: ["found", "names", "evidence"]
         },
         valueProposition: {
             type: "object",
@@ -67,9 +112,10 @@ export const EXTRACTION_SCHEMA = {
                     type: "array",
                     items: { type: "string" },
                     description: "Service offerings"
-                }
+                },
+                evidence: EVIDENCE_SCHEMA
             },
-            required: ["found", "products", "services"]
+            required: ["found", "products", "services", "evidence"]
         },
         competitors: {
             type: "object",
@@ -79,9 +125,10 @@ export const EXTRACTION_SCHEMA = {
                     type: "array",
                     items: { type: "string" },
                     description: "Competitor company names mentioned"
-                }
+                },
+                evidence: EVIDENCE_SCHEMA
             },
-            required: ["found", "names"]
+            required: ["found", "names", "evidence"]
         },
         companyInfo: {
             type: "object",
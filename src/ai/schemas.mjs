@@ -0,0 +1,204 @@
+/**
+ * Custom Extraction Schemas
+ * Requests can extend or replace the built-in extraction schema, either inline
+ * ({ schema, instructions, schemaMode }) or by name ({ schemaName }), where a named
+ * schema is a JSON file in SCHEMAS_DIR: schemas/<name>.json
+ *
+ * Named schema file: { "description": "...", "mode": "extend", "instructions": "...", "schema": { ... } }
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { config } from '../config/index.mjs';
+
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const SCHEMA_MODES = ['extend', 'replace'];
+
+// Keep custom schemas and instructions from eating the page content's token budget
+const MAX_SCHEMA_LENGTH = 20000;
+const MAX_INSTRUCTIONS_LENGTH = 4000;
+
+// name → parsed schema file
+const namedSchemas = new Map();
+
+/**
+ * Error for an invalid request (answered with 400 by the error handler)
+ */
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+/**
+ * Check that a schema only uses what extraction supports
+ * (type, properties, required, items, enum, description)
+ * @param {*} schema
+ * @param {string} at - Path for messages
+ * @returns {string[]} Problems (empty when usable)
+ */
+export const checkSchema = (schema, at = 'schema') => {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return [`${at} must be an object`];
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length === 0 || !types.every(type => SCHEMA_TYPES.includes(type))) {
+        return [`${at}.type must be one of ${SCHEMA_TYPES.join(', ')}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+        errors.push(`${at}.enum must be a non-empty array`);
+    }
+
+    if (types.includes('object')) {
+        if (!schema.properties || typeof schema.properties !== 'object' || Object.keys(schema.properties).length === 0) {
+            errors.push(`${at}.properties must list the fields to extract`);
+        } else {
+            for (const [key, property] of Object.entries(schema.properties)) {
+                errors.push(...checkSchema(property, `${at}.properties.${key}`));
+            }
+        }
+
+        for (const key of schema.required || []) {
+            if (!schema.properties?.[key]) errors.push(`${at}.required lists unknown property "${key}"`);
+        }
+    }
+
+    if (types.includes('array')) {
+        if (!schema.items) {
+            errors.push(`${at}.items is required for arrays`);
+        } else {
+            errors.push(...checkSchema(schema.items, `${at}.items`));
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validate a schema definition ({ schema, instructions, mode }), schema may be null (instructions only)
+ * @throws {Error} 400 when unusable
+ */
+const checkDefinition = ({ schema, instructions, mode }, source) => {
+    if (!SCHEMA_MODES.includes(mode)) {
+        throw badRequest(`${source}: schemaMode must be "extend" or "replace"`);
+    }
+
+    if (instructions !== null && typeof instructions !== 'string') {
+        throw badRequest(`${source}: instructions must be a string`);
+    }
+    if (instructions && instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+        throw badRequest(`${source}: instructions are too long (max ${MAX_INSTRUCTIONS_LENGTH} characters)`);
+    }
+
+    if (!schema) {
+        if (mode === 'replace') throw badRequest(`${source}: schemaMode "replace" needs a schema`);
+        return;
+    }
+
+    if (JSON.stringify(schema).length > MAX_SCHEMA_LENGTH) {
+        throw badRequest(`${source}: schema is too large (max ${MAX_SCHEMA_LENGTH} characters of JSON)`);
+    }
+
+    const errors = checkSchema(schema);
+    if (errors.length === 0 && ![].concat(schema.type).includes('object')) {
+        errors.push('schema.type must be "object"');
+    }
+    if (errors.length > 0) {
+        throw badRequest(`${source}: invalid schema (${errors.slice(0, 5).join('; ')})`);
+    }
+};
+
+/**
+ * Load a named schema from SCHEMAS_DIR (cached after the first read)
+ * @param {string} name
+ * @returns {{schema: object, instructions: string|null, mode: string}}
+ * @throws {Error} 400 for an unknown name or an unusable file (like an unusable inline schema)
+ */
+const loadNamedSchema = (name) => {
+    if (namedSchemas.has(name)) return namedSchemas.get(name);
+
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+        throw badRequest('schemaName may only contain letters, digits, "-" and "_"');
+    }
+
+    const file = path.join(config.extraction.schemasDir, `${name}.json`);
+    if (!existsSync(file)) {
+        throw badRequest(`Unknown schema "${name}"`);
+    }
+
+    let definition;
+    try {
+        definition = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw badRequest(`Schema "${name}": file is not valid JSON (${error.message})`);
+    }
+
+    if (!definition?.schema) {
+        throw badRequest(`Schema "${name}": file has no "schema"`);
+    }
+
+    const named = {
+        schema: definition.schema,
+        instructions: definition.instructions || null,
+        mode: definition.mode || 'extend'
+    };
+    checkDefinition(named, `Schema "${name}"`);
+
+    namedSchemas.set(name, named);
+    return named;
+};
+
+/**
+ * Resolve a request's schema options
+ *
+ * @param {object} source - Request body or query
+ * @param {object|string} source.schema - Inline JSON schema (a JSON string in query strings)
+ * @param {string} source.schemaName - Named schema from SCHEMAS_DIR
+ * @param {string} source.schemaMode - 'extend' (add to the built-in sections, default) or 'replace'
+ * @param {string} source.instructions - Extra extraction instructions (added to a named schema's own)
+ * @returns {object|null} { name, mode, schema, instructions, key } or null for the built-in schema
+ * @throws {Error} 400 for an invalid or unknown schema
+ */
+export const resolveExtraction = ({ schema, schemaName, schemaMode, instructions } = {}) => {
+    if (!schema && !schemaName && !instructions) return null;
+
+    if (schema && schemaName) {
+        throw badRequest('Use either schema or schemaName, not both');
+    }
+
+    let definition;
+    if (schemaName) {
+        const named = loadNamedSchema(String(schemaName));
+        definition = {
+            name: String(schemaName),
+            mode: named.mode,
+            schema: named.schema,
+            instructions: [named.instructions, instructions].filter(Boolean).join('\n') || null
+        };
+    } else {
+        let parsed = schema || null;
+        if (typeof parsed === 'string') {
+            try {
+                parsed = JSON.parse(parsed);
+            } catch {
+                throw badRequest('schema must be a JSON schema object');
+            }
+        }
+        definition = { name: parsed ? 'custom' : 'default', mode: schemaMode || 'extend', schema: parsed, instructions: instructions || null };
+    }
+
+    checkDefinition(definition, 'Request');
+
+    // Identifies the schema in cache keys
+    const key = createHash('sha256')
+        .update(JSON.stringify([definition.mode, definition.schema, definition.instructions]))
+        .digest('hex')
+        .slice(0, 16);
+
+    return { ...definition, key };
+};
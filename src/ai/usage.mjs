@@ -0,0 +1,198 @@
+/**
+ * AI Usage & Cost Accounting
+ * Token counts for every AI call, priced with a per-model table
+ *
+ * Prices are USD per 1M tokens. Defaults can be overridden or extended with
+ * AI_PRICES='{"my-model": {"input": 1, "output": 2}}'. A model matches the
+ * longest price key it starts with ("claude-sonnet-4" covers "claude-sonnet-4-20250514").
+ * Local models (AI_MODEL and "local:<model>" fallbacks) are priced at 0 by default.
+ */
+
+import { config } from '../config/index.mjs';
+
+const DEFAULT_PRICES = {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-haiku-4': { input: 1, output: 5 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 }
+};
+
+let prices = null;
+const unpricedModels = new Set();
+
+// Totals since startup (GET /metrics)
+const startedAt = new Date().toISOString();
+const totals = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, byModel: {}, byPurpose: {} };
+
+/**
+ * Price table (defaults merged with AI_PRICES)
+ * @returns {object}
+ */
+const getPrices = () => {
+    if (!prices) {
+        // Self-hosted models are free unless AI_PRICES says otherwise
+        const localModels = config.aiFallbacks.split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry.startsWith('local:'))
+            .map(entry => entry.slice('local:'.length).trim());
+        const localPrices = Object.fromEntries([config.local.model, ...localModels]
+            .filter(Boolean)
+            .map(model => [model, { input: 0, output: 0 }]));
+        prices = { ...DEFAULT_PRICES, ...localPrices, ...(config.aiPrices ? JSON.parse(config.aiPrices) : {}) };
+    }
+    return prices;
+};
+
+/**
+ * Cost of a call in USD, or null if the model has no price
+ * @param {string} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number|null}
+ */
+export const calculateCost = (model, inputTokens, outputTokens) => {
+    const table = getPrices();
+    const key = Object.keys(table)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+
+    if (!key) {
+        if (!unpricedModels.has(model)) {
+            unpricedModels.add(model);
+            console.warn(`[Usage] No price for model "${model}", add it to AI_PRICES to track its cost`);
+        }
+        return null;
+    }
+
+    const { input, output } = table[key];
+    return roundCost((inputTokens * input + outputTokens * output) / 1_000_000);
+};
+
+/**
+ * Round to 1/1000000 USD (avoids float noise in responses)
+ */
+const roundCost = (value) => Math.round(value * 1_000_000) / 1_000_000;
+
+/**
+ * Add a call to a { calls, inputTokens, outputTokens, costUsd } bucket
+ */
+const addTo = (bucket, call) => {
+    bucket.calls++;
+    bucket.inputTokens += call.inputTokens;
+    bucket.outputTokens += call.outputTokens;
+    bucket.costUsd = roundCost(bucket.costUsd + (call.costUsd || 0));
+    return bucket;
+};
+
+const emptyBucket = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+/**
+ * Record one AI call in the global totals
+ * @param {object} call - { provider, model, purpose, inputTokens, outputTokens, costUsd }
+ */
+const recordTotals = (call) => {
+    addTo(totals, call);
+    addTo(totals.byModel[call.model] ||= emptyBucket(), call);
+    addTo(totals.byPurpose[call.purpose] ||= emptyBucket(), call);
+};
+
+/**
+ * Create a per-analysis usage tracker
+ * Pass it to askAI (via extractIntelligence / getPagesToVisit) to tag calls with the analysis
+ * @returns {{record: Function, spent: Function, lastModel: Function, summary: Function}}
+ */
+export const createUsageTracker = () => {
+    const calls = [];
+    const spent = { costUsd: 0, tokens: 0, unpricedCalls: 0 };
+
+    return {
+        /**
+         * @param {object} call - { provider, model, purpose, url, inputTokens, outputTokens }
+         * @returns {object} Recorded call (with costUsd)
+         */
+        record(call) {
+            const entry = { ...call, costUsd: calculateCost(call.model, call.inputTokens, call.outputTokens) };
+            calls.push(entry);
+            spent.costUsd = roundCost(spent.costUsd + (entry.costUsd || 0));
+            spent.tokens += entry.inputTokens + entry.outputTokens;
+            if (entry.costUsd === null) spent.unpricedCalls++;
+            return entry;
+        },
+
+        /**
+         * Spend so far (for budgets); unpricedCalls aren't in costUsd
+         * @returns {{costUsd: number, tokens: number, unpricedCalls: number}}
+         */
+        spent() {
+            return { ...spent };
+        },
+
+        /**
+         * Model that answered the latest call (null before any call)
+         * @returns {string|null}
+         */
+        lastModel() {
+            return calls.at(-1)?.model || null;
+        },
+
+        /**
+         * Usage block for the response
+         * @returns {object}
+         */
+        summary() {
+            const byPurpose = {};
+            const total = emptyBucket();
+
+            for (const call of calls) {
+                addTo(total, call);
+                addTo(byPurpose[call.purpose] ||= emptyBucket(), call);
+            }
+
+            return {
+                inputTokens: total.inputTokens,
+                outputTokens: total.outputTokens,
+                totalTokens: total.inputTokens + total.outputTokens,
+                costUsd: total.costUsd,
+                byPurpose,
+                calls
+            };
+        }
+    };
+};
+
+/**
+ * Record a finished AI call
+ * @param {object} call - { provider, model, purpose, url, inputTokens, outputTokens }
+ * @param {object|null} tracker - Per-analysis tracker (optional)
+ */
+export const recordUsage = (call, tracker = null) => {
+    const entry = tracker
+        ? tracker.record(call)
+        : { ...call, costUsd: calculateCost(call.model, call.inputTokens, call.outputTokens) };
+
+    recordTotals(entry);
+    console.log(`[Usage] ${entry.purpose}${entry.url ? ` (${entry.url})` : ''}: ${entry.inputTokens} in / ${entry.outputTokens} out${entry.costUsd !== null ? `, $${entry.costUsd}` : ''}`);
+};
+
+/**
+ * Cumulative AI usage since startup
+ * @returns {object}
+ */
+export const getUsageMetrics = () => ({
+    since: startedAt,
+    calls: totals.calls,
+    inputTokens: totals.inputTokens,
+    outputTokens: totals.outputTokens,
+    totalTokens: totals.inputTokens + totals.outputTokens,
+    costUsd: totals.costUsd,
+    byModel: totals.byModel,
+    byPurpose: totals.byPurpose,
+    unpricedModels: [...unpricedModels]
+});
@@ -0,0 +1,274 @@
+/**
+ * JSON Schema Validation
+ * Checks AI output against the subset of JSON Schema our schemas use:
+ * type (single or list, incl. "null"), properties, required, items and enum,
+ * and normalizes it so the merge step can rely on the schema's shape
+ */
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+/**
+ * Whether a value has one of the allowed types ("number" also accepts integers)
+ */
+const matchesType = (value, types) => {
+    const actual = typeOf(value);
+    return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+};
+
+/**
+ * Validate a value against a JSON schema
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON schema
+ * @param {string} path - Path of the value, for messages (e.g. "pricing.plans[0]")
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export const validateSchema = (value, schema, path = '') => {
+    const at = path || 'root';
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!matchesType(value, types)) {
+            return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+
+    const errors = [];
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${path ? `${path}.` : ''}${key}: required`);
+            }
+        }
+
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) {
+                errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${at}[${index}]`));
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Whether a schema allows null
+ */
+const allowsNull = (schema) => [].concat(schema.type || []).includes('null');
+
+/**
+ * Value a missing or unusable property falls back to (undefined = leave it out)
+ * For an object schema: the empty result ({ found: false, names: [], ... })
+ * @param {object} schema
+ * @returns {*}
+ */
+export const getSchemaDefault = (schema) => {
+    if (allowsNull(schema)) return null;
+
+    const types = [].concat(schema.type || []);
+    if (types.includes('object')) {
+        return Object.fromEntries((schema.required || [])
+            .map(key => [key, getSchemaDefault(schema.properties?.[key] || {})])
+            .filter(([, value]) => value !== undefined));
+    }
+    if (types.includes('array')) return [];
+    if (types.includes('boolean')) return false;
+    if (types.includes('string') && !schema.enum) return '';
+    return undefined;
+};
+
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Try to turn a value into one of the schema's types
+ * @returns {{ok: boolean, value: *}}
+ */
+const coerceType = (value, types) => {
+    if (matchesType(value, types)) return { ok: true, value };
+
+    const wantsNumber = types.includes('number') || types.includes('integer');
+
+    if (typeof value === 'string') {
+        const text = value.trim();
+
+        if (types.includes('null') && (text === '' || /^(null|none|n\/a|unknown)$/i.test(text))) {
+            return { ok: true, value: null };
+        }
+
+        if (wantsNumber) {
+            if (/^free$/i.test(text)) return { ok: true, value: 0 };
+
+            // "$29/mo" → 29, "1,299" → 1299, "4M" → 4000000
+            const match = text.replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*([kmb])?\b/i);
+            if (match) {
+                const number = parseFloat(match[1]) * (NUMBER_SUFFIXES[match[2]?.toLowerCase()] || 1);
+                return { ok: true, value: types.includes('number') ? number : Math.round(number) };
+            }
+        }
+
+        if (types.includes('boolean')) {
+            if (/^(true|yes)$/i.test(text)) return { ok: true, value: true };
+            if (/^(false|no)$/i.test(text)) return { ok: true, value: false };
+        }
+    }
+
+    if (typeof value === 'number' && types.includes('string')) return { ok: true, value: String(value) };
+    if (typeof value === 'number' && types.includes('integer')) return { ok: true, value: Math.round(value) };
+    if (typeof value === 'boolean' && types.includes('string')) return { ok: true, value: String(value) };
+
+    return { ok: false, value };
+};
+
+/**
+ * Enum comparison key: case, spaces, "-" and "_" ignored ("Per Seat" = "per-seat")
+ */
+const enumKey = (value) => String(value).toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Validate a value against a JSON schema and repair what can be repaired:
+ * - scalars are coerced to the schema type ("29" → 29, "$29/mo" → 29, "true" → true)
+ * - enum values are matched ignoring case and separators ("Monthly" → "monthly", "Per seat" → "per-seat"), unknown ones
+ *   become "Other" when the enum has it
+ * - a single value where an array is expected is wrapped, null becomes []
+ * - missing or unusable properties get a default ([] / null / false / "") or are left out, as are optional
+ *   properties sent as null that the schema doesn't allow to be null
+ * - array items that can't be repaired are dropped, as are unknown properties
+ *
+ * @param {*} value - Parsed AI output
+ * @param {object} schema - JSON schema
+ * @returns {{value: *, warnings: string[]}} Normalized value and what was changed
+ */
+export const normalizeToSchema = (value, schema) => {
+    const warnings = [];
+    const normalized = normalizeValue(value, schema, '', warnings, false);
+
+    if (!normalized.ok) {
+        warnings.push('root: unusable output, replaced with an empty result');
+        return { value: getSchemaDefault(schema), warnings };
+    }
+
+    return { value: normalized.value, warnings };
+};
+
+/**
+ * Normalize one value
+ * @param {boolean} strict - Inside an array item: an unusable required property invalidates the item
+ * @returns {{ok: boolean, value: *}}
+ */
+const normalizeValue = (value, schema, path, warnings, strict) => {
+    const at = path || 'root';
+    const types = [].concat(schema.type || []);
+
+    if (types.length > 0) {
+        if (types.includes('array') && !Array.isArray(value)) {
+            if (value === null || value === undefined) {
+                value = [];
+            } else {
+                warnings.push(`${at}: wrapped single value in an array`);
+                value = [value];
+            }
+        }
+
+        const coerced = coerceType(value, types);
+        if (!coerced.ok) {
+            warnings.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return { ok: false, value };
+        }
+        if (coerced.value !== value) {
+            warnings.push(`${at}: coerced ${JSON.stringify(value)} to ${JSON.stringify(coerced.value)}`);
+            value = coerced.value;
+        }
+    }
+
+    if (schema.enum && value !== null && !schema.enum.includes(value)) {
+        const key = enumKey(value);
+        const match = schema.enum.find(option => option !== null && enumKey(option) === key)
+            ?? schema.enum.find(option => String(option).toLowerCase() === 'other');
+
+        if (match === undefined) {
+            warnings.push(`${at}: ${JSON.stringify(value)} is not one of the allowed values`);
+            return { ok: false, value };
+        }
+
+        warnings.push(`${at}: coerced ${JSON.stringify(value)} to ${JSON.stringify(match)}`);
+        value = match;
+    }
+
+    if (typeOf(value) === 'object' && schema.properties) {
+        const result = {};
+
+        for (const key of Object.keys(value)) {
+            if (!(key in schema.properties)) {
+                warnings.push(`${path ? `${path}.` : ''}${key}: unknown property dropped`);
+            }
+        }
+
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            const propertyPath = path ? `${path}.${key}` : key;
+            const required = (schema.required || []).includes(key);
+
+            // A null optional property that can't be null counts as left out (strict structured output sends those)
+            if (value[key] === undefined || (value[key] === null && !required && !allowsNull(propertySchema))) {
+                if (!required) continue;
+                const fallback = getSchemaDefault(propertySchema);
+                warnings.push(`${propertyPath}: missing${fallback === undefined ? '' : `, defaulted to ${JSON.stringify(fallback)}`}`);
+                if (fallback === undefined && strict) return { ok: false, value };
+                if (fallback !== undefined) result[key] = fallback;
+                continue;
+            }
+
+            const normalized = normalizeValue(value[key], propertySchema, propertyPath, warnings, strict);
+            if (normalized.ok) {
+                result[key] = normalized.value;
+                continue;
+            }
+
+            if (required && strict) return { ok: false, value };
+
+            const fallback = getSchemaDefault(propertySchema);
+            if (fallback !== undefined) {
+                warnings.push(`${propertyPath}: defaulted to ${JSON.stringify(fallback)}`);
+                result[key] = fallback;
+            }
+        }
+
+        return { ok: true, value: result };
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        const items = [];
+
+        value.forEach((item, index) => {
+            const normalized = normalizeValue(item, schema.items, `${at}[${index}]`, warnings, true);
+            if (normalized.ok) {
+                items.push(normalized.value);
+            } else {
+                warnings.push(`${at}[${index}]: dropped invalid item`);
+            }
+        });
+
+        return { ok: true, value: items };
+    }
+
+    return { ok: true, value };
+};
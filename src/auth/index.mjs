@@ -0,0 +1,177 @@
+/**
+ * Authentication, Rate Limits & Quotas
+ *
+ * - authenticate: requires a valid API key (Authorization: Bearer <key> or X-API-Key)
+ *   and applies the key's per-minute rate limit
+ * - consumeQuota: counts analyses against the key's daily quota (UTC days)
+ * - refundQuota: gives back analyses that were counted but never ran
+ *
+ * Rate limit windows live in memory; daily usage is persisted in the store
+ * A limit or quota of 0 means unlimited
+ */
+
+import { incrementUsage, listUsage } from '../store/index.mjs';
+import { sendError } from '../utils/response.mjs';
+import { findApiKey, isAuthEnabled } from './keys.mjs';
+
+const RATE_WINDOW = 60000;
+
+// key id → { windowStart, count }
+const rateWindows = new Map();
+
+/**
+ * Current UTC day (YYYY-MM-DD)
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Start of the next UTC day
+ */
+const nextDayStart = () => {
+    const date = new Date();
+    date.setUTCHours(24, 0, 0, 0);
+    return date.toISOString();
+};
+
+/**
+ * API key from the request headers
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+const getPresentedKey = (req) => {
+    const authorization = req.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : req.get('X-API-Key') || null;
+};
+
+/**
+ * Count a request in the key's current rate window
+ * @param {object} apiKey
+ * @returns {{limit: number, remaining: number, resetAt: number, allowed: boolean}}
+ */
+const hitRateLimit = (apiKey) => {
+    const now = Date.now();
+    let window = rateWindows.get(apiKey.id);
+
+    if (!window || now - window.windowStart >= RATE_WINDOW) {
+        window = { windowStart: now, count: 0 };
+        rateWindows.set(apiKey.id, window);
+    }
+
+    const limit = apiKey.rateLimit;
+    const allowed = !limit || window.count < limit;
+    if (allowed) window.count++;
+
+    return {
+        limit,
+        remaining: limit ? limit - window.count : null,
+        resetAt: window.windowStart + RATE_WINDOW,
+        allowed
+    };
+};
+
+/**
+ * Express middleware: require an API key and apply its rate limit
+ * Sets req.apiKey ({ id, rateLimit, dailyQuota }); no-op when no keys are configured
+ */
+export const authenticate = async (req, res, next) => {
+    if (!isAuthEnabled()) return next();
+
+    const presented = getPresentedKey(req);
+    const apiKey = findApiKey(presented);
+
+    if (!apiKey) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendError(res, 401, presented ? 'Invalid API key' : 'API key required');
+    }
+
+    const rate = hitRateLimit(apiKey);
+    if (rate.limit) {
+        res.set('X-RateLimit-Limit', String(rate.limit));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(rate.resetAt / 1000)));
+    }
+
+    if (!rate.allowed) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((rate.resetAt - Date.now()) / 1000))));
+        return sendError(res, 429, `Rate limit exceeded (${rate.limit} requests per minute)`);
+    }
+
+    req.apiKey = apiKey;
+
+    try {
+        await incrementUsage(apiKey.id, today(), { requests: 1 });
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Count analyses against the request's daily quota
+ * Nothing is counted when the quota would be exceeded
+ *
+ * @param {import('express').Request} req
+ * @param {number} count - Analyses about to start
+ * @returns {Promise<string|null>} Error message (send a 429) or null
+ */
+export const consumeQuota = async (req, count = 1) => {
+    const apiKey = req.apiKey;
+    if (!apiKey) return null;
+
+    const date = today();
+    const usage = await incrementUsage(apiKey.id, date, { analyses: count });
+
+    if (apiKey.dailyQuota && usage.analyses > apiKey.dailyQuota) {
+        await incrementUsage(apiKey.id, date, { analyses: -count });
+
+        const remaining = Math.max(0, apiKey.dailyQuota - (usage.analyses - count));
+        return `Daily quota exceeded (${remaining} of ${apiKey.dailyQuota} analyses left today, ${count} requested)`;
+    }
+
+    return null;
+};
+
+/**
+ * Give back analyses counted by consumeQuota that never ran
+ * @param {import('express').Request} req
+ * @param {number} count - Analyses to give back
+ * @returns {Promise<void>}
+ */
+export const refundQuota = async (req, count) => {
+    const apiKey = req.apiKey;
+    if (!apiKey || count <= 0) return;
+
+    await incrementUsage(apiKey.id, today(), { analyses: -count });
+};
+
+/**
+ * Usage summary for a key (GET /usage)
+ * @param {object} apiKey
+ * @param {object} options
+ * @param {number} options.days - Days of history to include
+ * @returns {Promise<object>}
+ */
+export const getKeyUsage = async (apiKey, { days = 30 } = {}) => {
+    const history = await listUsage(apiKey.id, { limit: days });
+    const current = history.find(entry => entry.date === today()) || { requests: 0, analyses: 0 };
+    const window = rateWindows.get(apiKey.id);
+    const windowActive = window && Date.now() - window.windowStart < RATE_WINDOW;
+
+    return {
+        key: apiKey.id,
+        rateLimit: {
+            limit: apiKey.rateLimit || null,
+            remaining: apiKey.rateLimit ? apiKey.rateLimit - (windowActive ? window.count : 0) : null,
+            resetAt: windowActive ? new Date(window.windowStart + RATE_WINDOW).toISOString() : null
+        },
+        dailyQuota: {
+            limit: apiKey.dailyQuota || null,
+            used: current.analyses,
+            remaining: apiKey.dailyQuota ? Math.max(0, apiKey.dailyQuota - current.analyses) : null,
+            resetAt: nextDayStart()
+        },
+        today: { requests: current.requests, analyses: current.analyses },
+        history
+    };
+};
@@ -0,0 +1,120 @@
+/**
+ * API Keys
+ * Loaded once from API_KEYS (env) and API_KEYS_FILE (JSON)
+ *
+ * API_KEYS:      "key" or "name:key", comma-separated
+ * API_KEYS_FILE: [{ "name": "team-a", "key": "...", "rateLimit": 60, "dailyQuota": 500 }]
+ *                ("keyHash": sha256 hex of the key can be used instead of "key")
+ *
+ * Authentication is disabled when no keys are configured. Key names must be unique.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { config } from '../config/index.mjs';
+
+// sha256(key) → key definition
+let keysByHash = null;
+
+/**
+ * @param {string} key
+ * @returns {string} sha256 hex
+ */
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+/**
+ * Parse API_KEYS ("key" or "name:key", comma-separated)
+ * @param {string} value
+ * @returns {object[]}
+ */
+const parseEnvKeys = (value) => {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+            ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+            : { key: entry };
+    });
+};
+
+/**
+ * Read API_KEYS_FILE
+ * @param {string} path
+ * @returns {object[]}
+ */
+const readKeysFile = (path) => {
+    const keys = JSON.parse(readFileSync(path, 'utf8'));
+    if (!Array.isArray(keys)) {
+        throw new Error(`${path} must contain a JSON array of keys`);
+    }
+    return keys;
+};
+
+/**
+ * Build the key table (once)
+ * @returns {Map<string, object>}
+ */
+const loadKeys = () => {
+    if (keysByHash) return keysByHash;
+
+    const definitions = [
+        ...parseEnvKeys(config.auth.apiKeys),
+        ...(config.auth.keysFile ? readKeysFile(config.auth.keysFile) : [])
+    ];
+
+    keysByHash = new Map();
+
+    for (const definition of definitions) {
+        const hash = definition.keyHash?.toLowerCase() || (definition.key && hashKey(definition.key));
+        if (!hash) {
+            throw new Error(`API key "${definition.name || '?'}" has no key or keyHash`);
+        }
+
+        // Never expose the key itself: unnamed keys are identified by a hash prefix
+        const id = definition.name || `key-${hash.slice(0, 8)}`;
+
+        // Rate limits, quotas and usage are counted per id
+        if ([...keysByHash.values()].some(existing => existing.id === id)) {
+            throw new Error(`API key name "${id}" is used more than once`);
+        }
+
+        keysByHash.set(hash, {
+            id,
+            rateLimit: definition.rateLimit ?? config.auth.rateLimit,
+            dailyQuota: definition.dailyQuota ?? config.auth.dailyQuota
+        });
+    }
+
+    return keysByHash;
+};
+
+/**
+ * Whether API key authentication is enabled
+ * @returns {boolean}
+ */
+export const isAuthEnabled = () => loadKeys().size > 0;
+
+/**
+ * Number of configured keys
+ * @returns {number}
+ */
+export const getKeyCount = () => loadKeys().size;
+
+/**
+ * Look up a presented API key
+ * @param {string} key
+ * @returns {{id: string, rateLimit: number, dailyQuota: number}|null}
+ */
+export const findApiKey = (key) => {
+    if (!key) return null;
+    return loadKeys().get(hashKey(key)) || null;
+};
+
+/**
+ * Look up a key by its id (name or hash prefix)
+ * @param {string} id
+ * @returns {{id: string, rateLimit: number, dailyQuota: number}|null}
+ */
+export const getApiKeyById = (id) => {
+    if (!id) return null;
+    return [...loadKeys().values()].find(apiKey => apiKey.id === id) || null;
+};
@@ -7,7 +7,7 @@ export const config = {
     // Server
     port: process.env.PORT || 3002,
 
-    // AI Provider: 'claude' or 'openai'
+    // AI Provider: 'claude', 'openai' or 'local' (any OpenAI-compatible server)
     aiProvider: process.env.AI_PROVIDER || 'claude',
 
     // API Keys
@@ -18,6 +18,28 @@ export const config = {
     claudeModel: process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514',
     openaiModel: process.env.OPENAI_MODEL || 'gpt-4o',
 
+    // Local / self-hosted OpenAI-compatible server (Ollama, vLLM, llama.cpp) for AI_PROVIDER=local
+    local: {
+        baseUrl: process.env.AI_BASE_URL, // e.g. http://localhost:11434/v1 (Ollama)
+        model: process.env.AI_MODEL,
+        apiKey: process.env.AI_API_KEY || null, // Optional
+        responseFormat: process.env.AI_RESPONSE_FORMAT || 'auto' // 'auto', 'json_schema', 'json_object' or 'none'
+    },
+
+    // Fallback chain, tried in order after AI_PROVIDER: comma-separated "provider" or "provider:model"
+    // e.g. "openai:gpt-4o,local:llama3.1" (each entry needs its provider's API key / AI_BASE_URL)
+    aiFallbacks: process.env.AI_FALLBACKS || '',
+
+    // Retries per provider on rate limits, overload, 5xx and network errors (before falling back)
+    aiRetry: {
+        maxRetries: process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES) || 0 : 2,
+        retryDelay: parseInt(process.env.AI_RETRY_DELAY) || 1000, // First retry delay, doubles each retry (ms)
+        maxDelay: parseInt(process.env.AI_RETRY_MAX_DELAY) || 30000 // Cap, also applied to Retry-After (ms)
+    },
+
+    // AI prices, USD per 1M tokens, merged over the built-in table (JSON: {"model": {"input": 3, "output": 15}})
+    aiPrices: process.env.AI_PRICES || null,
+
     // Proxy (optional)
     proxy: process.env.PROXY_SERVER ? {
         server: process.env.PROXY_SERVER,
@@ -29,12 +51,111 @@ export const config = {
     browser: {
         headless: process.env.BROWSER_HEADLESS !== 'false', // Default true, set to 'false' to see browser
         timeout: parseInt(process.env.BROWSER_TIMEOUT) || 20000,
-        maxPagesToVisit: parseInt(process.env.MAX_PAGES_TO_VISIT) || 4 // Default 4 for cost efficiency
+        maxPagesToVisit: parseInt(process.env.MAX_PAGES_TO_VISIT) || 4, // Default 4 for cost efficiency
+
+        // Browser pool (long-lived browsers, one isolated context per analysis)
+        pool: {
+            size: parseInt(process.env.BROWSER_POOL_SIZE) || 2, // Chrome processes kept alive
+            maxConcurrency: parseInt(process.env.BROWSER_MAX_CONCURRENCY) || 4, // Contexts open at once, extra analyses queue
+            maxUses: parseInt(process.env.BROWSER_MAX_USES) || 50, // Recycle a browser after N contexts
+            acquireTimeout: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT) || 120000, // Max wait in the queue (ms)
+            healthCheckInterval: parseInt(process.env.BROWSER_HEALTH_INTERVAL) || 30000 // (ms)
+        }
     },
 
     // AI extraction settings
     extraction: {
-        maxContentLength: parseInt(process.env.MAX_CONTENT_LENGTH) || 15000 // Characters per page sent to AI
+        maxContentLength: parseInt(process.env.MAX_CONTENT_LENGTH) || 15000, // Characters per AI call (longer pages are cut or chunked)
+        maxChunks: parseInt(process.env.MAX_CHUNKS_PER_PAGE) || 1, // AI calls per long page, split on section boundaries (1 = cut at MAX_CONTENT_LENGTH)
+        chunkConcurrency: parseInt(process.env.CHUNK_CONCURRENCY) || 1, // Chunks of one page extracted at once
+        cleanContent: process.env.CONTENT_CLEANING !== 'false', // Send main content without nav/footer/banners and repeated blocks
+        preferEnglish: process.env.PREFER_ENGLISH_PAGES !== 'false', // Switch non-English pages to their hreflang English version
+        englishOutput: process.env.ENGLISH_OUTPUT === 'true', // Default for the englishOutput request option
+        schemasDir: process.env.SCHEMAS_DIR || './schemas' // Named extraction schemas (<name>.json)
+    },
+
+    // Pricing read from the DOM (cards, comparison tables), without AI
+    pricing: {
+        domParser: process.env.DOM_PRICING !== 'false', // Read pricing cards/tables on each page
+        clickToggles: process.env.PRICING_CLICK_TOGGLES !== 'false' // Click monthly/annual toggles to read both prices
+    },
+
+    // Customer logo walls ("Trusted by" sections)
+    logos: {
+        enabled: process.env.LOGO_DETECTION !== 'false', // Name logos from alt text, titles and filenames
+        vision: process.env.LOGO_VISION === 'true', // Send walls without readable names to the AI (needs a vision model)
+        maxVisionCalls: parseInt(process.env.LOGO_VISION_MAX_CALLS) || 2 // Vision calls per analysis
+    },
+
+    // Screenshots of analyzed pages (request option `screenshots`)
+    screenshots: {
+        enabled: process.env.SCREENSHOTS === 'true', // Default for the `screenshots` request option
+        storage: process.env.SCREENSHOT_STORAGE || 'disk', // 'disk' or 's3'
+        dir: process.env.SCREENSHOT_DIR || './data/screenshots', // Disk storage directory
+        publicUrl: process.env.SCREENSHOT_PUBLIC_URL || null, // Base URL of SCREENSHOT_DIR when served elsewhere (default: /screenshots)
+        format: process.env.SCREENSHOT_FORMAT || 'jpeg', // 'jpeg' or 'webp'
+        quality: parseInt(process.env.SCREENSHOT_QUALITY) || 70, // Compression quality, 1-100
+        viewportWidth: parseInt(process.env.SCREENSHOT_VIEWPORT_WIDTH) || 1440, // Browser viewport while screenshotting (px)
+        viewportHeight: parseInt(process.env.SCREENSHOT_VIEWPORT_HEIGHT) || 900, // Also the above-the-fold height (px)
+        maxHeight: parseInt(process.env.SCREENSHOT_MAX_HEIGHT) || 15000, // Full-page screenshots are cut here (px)
+        s3: {
+            endpoint: process.env.S3_ENDPOINT || null, // e.g. https://s3.eu-west-1.amazonaws.com, http://localhost:9000 (MinIO)
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET || null,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false', // endpoint/bucket/key URLs (MinIO); 'false' for bucket.endpoint/key
+            publicUrl: process.env.S3_PUBLIC_URL || null // Base URL objects are served from (CDN), default: the endpoint URL
+        }
+    },
+
+    // API key authentication (disabled when no keys are configured)
+    auth: {
+        apiKeys: process.env.API_KEYS || '', // Comma-separated "key" or "name:key"
+        keysFile: process.env.API_KEYS_FILE || null, // JSON array of { name, key | keyHash, rateLimit, dailyQuota }
+        rateLimit: process.env.RATE_LIMIT_PER_MINUTE !== undefined ? parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 0 : 30, // Requests per key per minute, 0 = unlimited
+        dailyQuota: process.env.DAILY_ANALYSIS_QUOTA !== undefined ? parseInt(process.env.DAILY_ANALYSIS_QUOTA) || 0 : 100 // Analyses per key per UTC day, 0 = unlimited
+    },
+
+    // Result store: 'sqlite' (default), 'memory', or a path to a custom driver module
+    store: {
+        driver: process.env.STORE_DRIVER || 'sqlite',
+        path: process.env.STORE_PATH || './data/company-intel.db' // SQLite database file
+    },
+
+    // Analysis result cache (same URL + options within the TTL reuse the result)
+    cache: {
+        ttl: process.env.CACHE_TTL !== undefined ? parseInt(process.env.CACHE_TTL) || 0 : 3600000, // 1 hour, 0 disables
+        maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 200 // Oldest results are evicted first
+    },
+
+    // Background analysis jobs (POST /jobs)
+    jobs: {
+        concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2, // Analyses running at the same time
+        timeout: parseInt(process.env.JOB_TIMEOUT) || 300000, // Max duration of a single job (ms)
+        retention: parseInt(process.env.JOB_RETENTION) || 3600000 // Keep finished jobs for 1 hour
+    },
+
+    // Scheduled re-crawls (/watches)
+    watches: {
+        enabled: process.env.WATCHES_ENABLED !== 'false', // Set 'false' to disable the scheduler
+        tickInterval: parseInt(process.env.WATCH_TICK_INTERVAL) || 60000 // How often due watches are checked (ms)
+    },
+
+    // Webhook delivery for watches
+    webhooks: {
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+        retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 5000, // First retry delay, doubles each attempt (ms)
+        timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000, // Per attempt (ms)
+        allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true' // Allow localhost and private network webhook URLs
+    },
+
+    // Batch analysis (POST /analyze/batch)
+    batch: {
+        concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 2, // Default analyses running at once
+        maxConcurrency: parseInt(process.env.BATCH_MAX_CONCURRENCY) || 4, // Upper bound for the request's `concurrency`
+        maxUrls: parseInt(process.env.BATCH_MAX_URLS) || 500, // Max URLs per batch
+        timeout: parseInt(process.env.BATCH_TIMEOUT) || 300000 // Max duration of a single domain (ms)
     }
 };
 
@@ -52,5 +173,43 @@ export const validateConfig = () => {
         throw new Error('OPENAI_API_KEY is required when using OpenAI');
     }
 
+    if (aiProvider === 'local') {
+        if (!config.local.baseUrl || !config.local.model) {
+            throw new Error('AI_BASE_URL and AI_MODEL are required when using a local provider');
+        }
+        if (!['auto', 'json_schema', 'json_object', 'none'].includes(config.local.responseFormat)) {
+            throw new Error('AI_RESPONSE_FORMAT must be auto, json_schema, json_object or none');
+        }
+    }
+
+    if (!['claude', 'openai', 'local'].includes(aiProvider)) {
+        throw new Error(`Unknown AI_PROVIDER "${aiProvider}" (use claude, openai or local)`);
+    }
+
+    const { screenshots } = config;
+    if (!['jpeg', 'webp'].includes(screenshots.format)) {
+        throw new Error('SCREENSHOT_FORMAT must be jpeg or webp');
+    }
+    if (screenshots.quality < 1 || screenshots.quality > 100) {
+        throw new Error('SCREENSHOT_QUALITY must be between 1 and 100');
+    }
+    if (!['disk', 's3'].includes(screenshots.storage)) {
+        throw new Error('SCREENSHOT_STORAGE must be disk or s3');
+    }
+    if (screenshots.storage === 's3') {
+        const { endpoint, bucket, accessKeyId, secretAccessKey } = screenshots.s3;
+        if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required when SCREENSHOT_STORAGE=s3');
+        }
+    }
+
+    if (config.aiPrices) {
+        try {
+            JSON.parse(config.aiPrices);
+        } catch {
+            throw new Error('AI_PRICES must be valid JSON, e.g. {"gpt-4o": {"input": 2.5, "output": 10}}');
+        }
+    }
+
     return true;
 };
@@ -0,0 +1,345 @@
+/**
+ * Customer Logo Extractor
+ * "Trusted by" walls show customers as images, which page text never contains.
+ * Finds logo grids and carousels under customer headings and names each logo from
+ * its alt text, title, SVG <title>, filename or link. Logos that have none of these
+ * can be sent as a screenshot to a vision model (see ai/logoVision.mjs).
+ *
+ * Found names are merged into the customers section with `source: "logo"`
+ */
+
+import { normalizeDomain } from '../utils/domain.mjs';
+
+// "Logo" in image labels ("Nike logo", "Logo of Acme")
+const LOGO_WORDS = /\b(?:logo of|logo(?:type)?s?)\b/gi;
+
+// Filename words that aren't part of the company name ("acme-logo-white-full.svg").
+// Labels keep them: "Black Rifle Coffee" and "Light & Wonder" are companies.
+const FILENAME_NOISE_WORDS = /^(?:logo(?:type)?s?|customer|client|partner|icon|wordmark|brandmark|svg|png|jpe?g|webp|img|image)$/i;
+
+// Logo variants, dropped after the name's first word ("black-rifle-coffee-white.svg" → "Black Rifle Coffee")
+const VARIANT_WORDS = /^(?:colou?r(?:ed)?|white|black|dark|light|gr[ae]y|mono(?:chrome)?|full|horizontal|vertical|small|large|primary|secondary|default)$/i;
+
+// Labels that name no company
+const GENERIC_NAMES = /^(?:logo|image|picture|photo|placeholder|company|brand|untitled|group|frame|vector|asset|rectangle|layer|shape|mask|artboard|star|arrow|quote|avatar|background|bg|hero|banner|slide|item)$/i;
+
+const MAX_NAME_LENGTH = 40;
+
+// Wall screenshot for the vision model
+const SCREENSHOT_OPTIONS = { type: 'jpeg', quality: 70, timeout: 5000 };
+
+/**
+ * Find logo walls (runs in the browser)
+ * A wall is the smallest container around a customer heading ("Trusted by", "Our customers")
+ * holding at least 3 images or SVGs, or an element whose class/id says customers/clients.
+ * Each wall gets a data-ci-logo-wall attribute for its screenshot.
+ *
+ * @returns {{index: number, heading: string|null, logos: object[]}[]}
+ */
+const readLogoWalls = () => {
+    const HEADING_PATTERN = /trusted by|our (?:customers|clients)|customers|clients|used by|loved by|powering|(?:companies|teams|brands|businesses|organizations) (?:like|that|who|use|using|of all|around)|join (?:over|more than|\d)|ils nous font confiance|nos clients|unsere kunden|vertrauen uns|nuestros clientes|confían en|i nostri clienti|onze klanten/i;
+    const CONTAINER_PATTERN = /customer|client|trusted|social-?proof/i;
+    const MIN_LOGOS = 3;
+    const MAX_LOGOS = 80;
+    const MAX_DEPTH = 5;
+
+    // Logo walls are mostly images: more text than this is a whole page section
+    const MAX_WALL_TEXT = 3000;
+
+    const isVisible = (element) => (element.checkVisibility ? element.checkVisibility() : element.offsetParent !== null);
+    const textOf = (element) => (element.innerText || '').replace(/\s+/g, ' ').trim();
+
+    const logosIn = (container) => [...container.querySelectorAll('img, svg')].filter(element => {
+        if (element.tagName.toLowerCase() === 'svg' && element.parentElement?.closest('svg')) return false;
+        if (element.closest('nav, header:not(main header), button')) return false;
+        const rect = element.getBoundingClientRect();
+        return rect.width >= 24 && rect.height >= 8;
+    });
+
+    const isWall = (element, logos) => logos.length >= MIN_LOGOS && logos.length <= MAX_LOGOS && textOf(element).length <= MAX_WALL_TEXT;
+
+    const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6, p, span, div, strong')].filter(element => {
+        const text = (element.textContent || '').trim();
+        return text.length > 0 && text.length <= 100 && HEADING_PATTERN.test(text)
+            && ![...element.children].some(child => HEADING_PATTERN.test(child.textContent || ''))
+            && !element.closest('nav, footer') && isVisible(element);
+    });
+
+    const walls = [];
+
+    const addWall = (container, heading, logos) => {
+        if (walls.some(wall => wall.container.contains(container) || container.contains(wall.container))) return;
+        walls.push({ container, heading, logos });
+    };
+
+    for (const heading of headings) {
+        let container = heading.parentElement;
+        for (let depth = 0; container && container !== document.body && depth < MAX_DEPTH; depth++, container = container.parentElement) {
+            const logos = logosIn(container).filter(logo => !heading.contains(logo));
+            if (logos.length >= MIN_LOGOS) {
+                if (isWall(container, logos)) addWall(container, textOf(heading), logos);
+                break;
+            }
+        }
+    }
+
+    for (const container of document.querySelectorAll('[class], [id]')) {
+        if (!CONTAINER_PATTERN.test(`${container.id} ${container.getAttribute('class')}`)) continue;
+        const logos = logosIn(container);
+        if (isWall(container, logos) && isVisible(container)) addWall(container, null, logos);
+    }
+
+    return walls.map(({ container, heading, logos }, index) => {
+        container.setAttribute('data-ci-logo-wall', String(index));
+        return {
+            index,
+            heading,
+            logos: logos.map(logo => {
+                const link = logo.closest('a[href]');
+                const isSvg = logo.tagName.toLowerCase() === 'svg';
+                return {
+                    kind: isSvg ? 'svg' : 'img',
+                    alt: isSvg ? null : logo.getAttribute('alt'),
+                    title: isSvg ? logo.querySelector('title')?.textContent || null : logo.getAttribute('title'),
+                    ariaLabel: logo.getAttribute('aria-label') || link?.getAttribute('aria-label') || null,
+                    src: isSvg ? null : logo.currentSrc || logo.getAttribute('src') || null,
+                    href: link?.href || null
+                };
+            })
+        };
+    });
+};
+
+/**
+ * Company name from an image label ("Nike logo" → "Nike", "Logo of Acme Corp" → "Acme Corp")
+ * @param {string|null} label
+ * @returns {string|null} null when it names no company
+ */
+export const nameFromLabel = (label) => {
+    const name = String(label ?? '')
+        .replace(LOGO_WORDS, ' ')
+        .replace(/['’]s\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s\-–—|:,.]+|[\s\-–—|:,.]+$/g, '')
+        .trim();
+
+    if (name.length < 2 || name.length > MAX_NAME_LENGTH) return null;
+    if (GENERIC_NAMES.test(name) || /^[\d\s\W]+$/.test(name)) return null;
+    return name;
+};
+
+/**
+ * Company name from an image URL ("/logos/acme-corp_white@2x.png" → "Acme Corp")
+ * Image CDN URLs ("/_next/image?url=/logos/nike.svg") are followed to the original file.
+ * @param {string|null} src
+ * @returns {string|null}
+ */
+export const nameFromFilename = (src) => {
+    if (!src || src.startsWith('data:')) return null;
+
+    let url;
+    try {
+        url = new URL(src, 'https://localhost');
+    } catch {
+        return null;
+    }
+
+    const original = url.searchParams.get('url') || url.searchParams.get('src');
+    if (original && original !== src) return nameFromFilename(original);
+
+    let file = url.pathname.split('/').pop() || '';
+    try {
+        file = decodeURIComponent(file);
+    } catch { /* keep as is */ }
+
+    const words = file
+        .replace(/\.[a-z0-9]+$/i, '')
+        .replace(/@\dx$/i, '')
+        .replace(/(?<=\p{Ll})(?:Logo|Icon)(?=$|[-_.])/gu, ' ')
+        .split(/[-_.+\s]+/)
+        // Hashes, sizes and numbering added by build tools and CMSs
+        .filter(word => word && !/^\d+$|^\d+x\d+$|^(?=.*\d)[0-9a-f]{6,}$|^(?=.*\d)[a-z0-9]{12,}$|^v\d+$|^\d+w$/i.test(word))
+        .reduce((kept, word) => (FILENAME_NOISE_WORDS.test(word) || (kept.length > 0 && VARIANT_WORDS.test(word))
+            ? kept
+            : [...kept, word]), []);
+
+    // "logo-white.svg" names no company
+    if (words.every(word => VARIANT_WORDS.test(word))) return null;
+
+    const name = nameFromLabel(words.join(' '));
+    if (!name) return null;
+
+    // Filenames are lowercase: "acme corp" → "Acme Corp"
+    return name === name.toLowerCase()
+        ? name.replace(/\b\p{L}/gu, letter => letter.toUpperCase())
+        : name;
+};
+
+// Second-level labels country domains register under ("acme.co.uk", "acme.com.au")
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'org', 'net', 'ac', 'gov', 'edu', 'ltd', 'plc', 'ne', 'or', 'go', 'gob', 'gouv']);
+
+/**
+ * Company name from a logo's link to the customer's site ("https://www.nike.com/" → "Nike")
+ * Links within the analyzed site (case studies) are ignored.
+ * @param {string|null} href
+ * @param {string} pageUrl
+ * @returns {string|null}
+ */
+export const nameFromLink = (href, pageUrl) => {
+    const domain = href ? normalizeDomain(href) : null;
+    if (!domain || !/^https?:/i.test(href) || domain === normalizeDomain(pageUrl)) return null;
+
+    const labels = domain.split('.');
+    if (labels.length < 2) return null;
+
+    // "acme.co.uk" → "acme", but "cloud.ibm.com" → "ibm"
+    const [secondLevel, topLevel] = labels.slice(-2);
+    const label = labels.length >= 3 && topLevel.length === 2 && SECOND_LEVEL_LABELS.has(secondLevel)
+        ? labels[labels.length - 3]
+        : secondLevel;
+
+    return nameFromLabel(label.replace(/^\p{L}/u, letter => letter.toUpperCase()));
+};
+
+/**
+ * Name one logo from what the page says about it, in order of reliability
+ * @returns {{name: string, method: string, label: string}|null} method = where the name came from
+ */
+const nameLogo = (logo, pageUrl) => {
+    const labels = [
+        ['svg-title', logo.kind === 'svg' ? logo.title : null],
+        ['alt', logo.alt],
+        ['title', logo.kind === 'img' ? logo.title : null],
+        ['aria-label', logo.ariaLabel]
+    ];
+
+    for (const [method, label] of labels) {
+        const name = nameFromLabel(label);
+        if (name) return { name, method, label: label.trim() };
+    }
+
+    const fromFile = nameFromFilename(logo.src);
+    if (fromFile) return { name: fromFile, method: 'filename', label: logo.src };
+
+    const fromLink = nameFromLink(logo.href, pageUrl);
+    if (fromLink) return { name: fromLink, method: 'link', label: logo.href };
+
+    return null;
+};
+
+/**
+ * Add names to a list, skipping ones already in it (case-insensitive)
+ */
+const addNames = (list, entries) => {
+    for (const entry of entries) {
+        if (!list.some(existing => existing.name.toLowerCase() === entry.name.toLowerCase())) {
+            list.push(entry);
+        }
+    }
+};
+
+/**
+ * Find logo walls on the current page and name their logos
+ *
+ * @param {import('playwright').Page} page - Playwright page (already loaded)
+ * @param {string} url - Page URL
+ * @param {object} options
+ * @param {Function} options.identify - async (image, { heading }) => names: reads a screenshot of the
+ *   wall with the most unnamed logos (optional, e.g. identifyLogos)
+ * @returns {Promise<{url: string, walls: object[], names: {name: string, method: string, label: string|null}[]}>}
+ */
+export const extractLogos = async (page, url, { identify = null } = {}) => {
+    try {
+        const found = await page.evaluate(readLogoWalls);
+        const names = [];
+
+        const walls = found.map(({ index, heading, logos }) => {
+            // Carousels repeat their logos for an endless scroll
+            const unique = [...new Map(logos.map(logo => [JSON.stringify(logo), logo])).values()];
+            const named = unique.map(logo => nameLogo(logo, url));
+            const wallNames = [];
+            addNames(wallNames, named.filter(Boolean));
+
+            return { index, heading, logos: unique.length, unnamed: named.filter(name => !name).length, names: wallNames };
+        });
+
+        for (const wall of walls) addNames(names, wall.names);
+
+        const unclear = walls
+            .filter(wall => wall.unnamed >= 2)
+            .sort((a, b) => b.unnamed - a.unnamed)[0];
+
+        if (identify && unclear) {
+            try {
+                const image = await page.locator(`[data-ci-logo-wall="${unclear.index}"]`).first().screenshot(SCREENSHOT_OPTIONS);
+                const seen = await identify(image, { heading: unclear.heading });
+                const entries = seen.map(nameFromLabel).filter(Boolean).map(name => ({ name, method: 'vision', label: null }));
+                addNames(unclear.names, entries);
+                addNames(names, entries);
+            } catch (error) {
+                console.log(`[Logos] Logo wall screenshot failed on ${url}: ${error.message.split('\n')[0]}`);
+            }
+        }
+
+        if (walls.length > 0) {
+            console.log(`[Logos] ${url}: ${walls.length} logo walls, ${names.length} names`);
+        }
+
+        return {
+            url,
+            walls: walls.map(({ index, ...wall }) => ({ ...wall, names: wall.names.map(entry => entry.name) })),
+            names
+        };
+    } catch (error) {
+        console.error(`[Logos] Failed to read logos on ${url}: ${error.message}`);
+        return { url, walls: [], names: [] };
+    }
+};
+
+/**
+ * Merge the logos found on each page for the response
+ * @param {object[]} results - extractLogos results
+ * @returns {{found: boolean, names: string[], walls: object[]}}
+ */
+export const mergeLogoResults = (results) => {
+    const names = [];
+    for (const result of results) addNames(names, result.names);
+
+    return {
+        found: names.length > 0,
+        names: names.map(entry => entry.name),
+        walls: results.flatMap(result => result.walls.map(wall => ({ url: result.url, ...wall })))
+    };
+};
+
+/**
+ * A page's logos as a customers-only extraction, merged and scored like the AI's page results
+ * Evidence entries carry `source: "logo"` and quote the label the name was read from
+ * (`verified` unless the name came from the vision model).
+ *
+ * @param {object} result - extractLogos result
+ * @param {string[]} knownNames - Customer names the AI extracted (their spelling is kept: "HubSpot", not "Hubspot")
+ * @returns {object|null} null when the page had no named logos
+ */
+export const toCustomerResult = ({ url, names }, knownNames = []) => {
+    if (names.length === 0) return null;
+
+    const spelling = new Map(knownNames.map(name => [String(name).toLowerCase(), name]));
+    const entries = names.map(entry => ({ ...entry, name: spelling.get(entry.name.toLowerCase()) || entry.name }));
+
+    return {
+        customers: {
+            found: true,
+            names: entries.map(entry => entry.name),
+            evidence: entries.map(({ name, method, label }) => ({
+                name,
+                url,
+                quote: label,
+                verified: method !== 'vision',
+                certainty: null,
+                source: 'logo',
+                method
+            }))
+        }
+    };
+};
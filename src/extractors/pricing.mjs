@@ -0,0 +1,427 @@
+/**
+ * Pricing Table Extractor
+ * Reads pricing cards and comparison tables straight from the DOM, without AI:
+ * plan names, prices, billing periods and feature rows. A monthly/annual billing
+ * toggle is clicked so both prices are captured.
+ *
+ * Works with useAI: false; with AI, the pipeline cross-checks the AI's
+ * pricing.plans against it (crossCheckPlans)
+ */
+
+import { planKey, deduplicatePlans, toCurrencyCode } from '../ai/extractor.mjs';
+import { config } from '../config/index.mjs';
+
+// Time for a billing toggle to re-render prices (ms)
+const TOGGLE_SETTLE_MS = 800;
+
+// Price comparison tolerance (rounding on the page vs the AI)
+const PRICE_TOLERANCE = 0.01;
+
+// Short words ("an", "yr", "Jahr", "anno") only count after a slash or "per": "an" alone is also English
+const ANNUAL_PATTERN = /\b(?:annual(?:ly)?|year(?:ly)?|jährlich|annuel(?:lement)?|anual(?:mente)?|annuale|jaarlijks)\b/i;
+const MONTHLY_PATTERN = /\b(?:monthly|month|mo|monatlich|monat|mensuel(?:lement)?|mois|mensual(?:mente)?|mes|mensile|mese|maandelijks|maand)\b/i;
+const ONE_TIME_PATTERN = /\b(?:one[- ]time|lifetime|once|einmalig|unique|pago único)\b/i;
+const PER_YEAR_PATTERN = /\/\s*(?:year|yr|an|jahr|año|anno|jaar)(?![\p{L}])|\b(?:per\s+(?:year|yr|anno|jaar)|par\s+an|pro\s+jahr|al\s+año|all'anno)(?![\p{L}])/iu;
+const BILLED_ANNUALLY_PATTERN = /\bbilled\s+(?:annually|yearly)\b|\bfactur[ée]\s+annuellement\b|\bjährlich\s+abgerechnet\b|\bfacturado\s+anualmente\b/i;
+const BILLED_MONTHLY_PATTERN = /\bbilled\s+monthly\b|\bfactur[ée]\s+mensuellement\b|\bmonatlich\s+abgerechnet\b|\bfacturado\s+mensualmente\b/i;
+const PER_SEAT_PATTERN = /(?:\/|\bper\b|\bpar\b|\bpro\b|\bpor\b)\s*(user|seat|member|editor|agent|utilisateur|nutzer|benutzer|usuario|utente)s?\b/i;
+const USAGE_PATTERN = /(?:\/|\bper\b)\s*((?:\d[\d,.]*\s*)?(?:api call|call|request|email|message|contact|credit|minute|token|event|transaction|gb|mb)s?)\b/i;
+const TRIAL_PATTERN = /(\d+)[-\s]?(?:day|jours?|tage?|días?|giorni|dagen)\b[^.\n]{0,20}?\b(?:trial|essai|test|prueba|prova|proef)/i;
+
+// Seat words in other languages → English unit
+const SEAT_UNITS = { utilisateur: 'user', nutzer: 'user', benutzer: 'user', usuario: 'user', utente: 'user', member: 'user', editor: 'user', agent: 'user' };
+
+/**
+ * Read pricing cards, comparison tables and billing toggles from the page (runs in the browser)
+ * Billing toggle elements get a data-ci-billing attribute ("monthly", "annual" or "switch") to click.
+ * @returns {{cards: object[], tables: object[], toggle: {kind: string, active: string|null}|null}}
+ */
+const readPricingDom = () => {
+    const MONEY_PATTERN = /(?:US\$|A\$|C\$|R\$|[$€£¥₹])\s?\d[\d.,]*|\d[\d.,]*\s?(?:[$€£¥₹]|USD|EUR|GBP|CHF|CAD|AUD)(?![a-z])/i;
+    const FREE_PATTERN = /^(?:free|gratuit|kostenlos|gratis|gratuito)$/i;
+    const CONTACT_PATTERN = /contact (?:sales|us)|talk to (?:sales|us)|custom (?:pricing|quote|plan)|get a quote|request a (?:quote|demo)|sur devis|nous contacter|kontakt|contáctanos|contattaci/i;
+    const CHECK_PATTERN = /^(?:✓|✔|✔️|✅|☑|yes|oui|ja|sí|si|included|inclus|inklusive)$/i;
+    const NO_PATTERN = /^(?:[-–—✗✕×❌]|no|non|nein|none)$/i;
+    const ANNUAL_LABEL = /\b(?:annual(?:ly)?|year(?:ly)?|jährlich|annuel(?:lement)?|anual(?:mente)?|annuale|jaarlijks)\b/i;
+    const MONTHLY_LABEL = /\b(?:monthly|month|monatlich|mensuel(?:lement)?|mensual(?:mente)?|mensile|maandelijks)\b/i;
+
+    const isVisible = (element) => (element.checkVisibility ? element.checkVisibility() : element.offsetParent !== null);
+    const textOf = (element) => (element.innerText || '').replace(/\s+/g, ' ').trim();
+    const isPriceText = (text) => text.length > 0 && text.length <= 40 && (MONEY_PATTERN.test(text) || FREE_PATTERN.test(text));
+
+    // Deepest visible elements whose text is a price
+    const candidates = [...document.body.querySelectorAll('*')].filter(element =>
+        !element.closest('nav, footer, header:not(main header), script, style, noscript')
+        && (element.textContent || '').length <= 200
+        && isPriceText(element.textContent.replace(/\s+/g, ' ').trim())
+        && isVisible(element));
+    const prices = candidates.filter(element => !candidates.some(other => other !== element && element.contains(other)));
+    const pricesIn = (element) => prices.filter(price => element.contains(price)).length;
+
+    // A card is the largest ancestor of a price holding no other price
+    const cardOf = (price) => {
+        let card = price;
+        while (card.parentElement && card.parentElement !== document.body && pricesIn(card.parentElement) === 1) {
+            card = card.parentElement;
+        }
+        return card;
+    };
+
+    const headingOf = (card) => {
+        const headings = [...card.querySelectorAll('h1, h2, h3, h4, h5, h6, [class*="name" i], [class*="title" i]')]
+            .map(textOf)
+            .filter(text => text && text.length <= 60 && !isPriceText(text));
+        if (headings[0]) return headings[0];
+        return textOf(card).split(/\n| {2,}/)[0]?.slice(0, 60) || null;
+    };
+
+    // Text around the price ("$29 /user/month billed annually")
+    const contextOf = (price) => {
+        let context = price;
+        while (context.parentElement && textOf(context.parentElement).length <= 120) {
+            context = context.parentElement;
+        }
+        return textOf(context);
+    };
+
+    const featuresOf = (card) => [...card.querySelectorAll('li')]
+        .map(textOf)
+        .filter(text => text && text.length <= 150)
+        .slice(0, 25);
+
+    const cardInfo = (card, price) => ({
+        name: headingOf(card),
+        priceText: price ? textOf(price) : null,
+        priceContext: price ? contextOf(price) : null,
+        cardText: textOf(card).slice(0, 2000),
+        features: featuresOf(card)
+    });
+
+    // Cards that share a parent with another card form a pricing section
+    const cards = prices.map(price => ({ price, card: cardOf(price) }));
+    const byParent = new Map();
+    for (const entry of cards) {
+        const parent = entry.card.parentElement;
+        byParent.set(parent, [...(byParent.get(parent) || []), entry]);
+    }
+
+    const results = [];
+    for (const [parent, entries] of byParent) {
+        const inPricingSection = !!parent?.closest('[class*="pric" i], [id*="pric" i], [class*="plan" i], [id*="plan" i]');
+        if (entries.length < 2 && !inPricingSection) continue;
+
+        results.push(...entries.map(({ card, price }) => cardInfo(card, price)));
+
+        // Siblings without a price: "Contact sales" plans
+        for (const sibling of parent.children) {
+            if (entries.some(entry => entry.card === sibling) || pricesIn(sibling) > 0) continue;
+            const text = textOf(sibling);
+            if (text.length <= 2000 && CONTACT_PATTERN.test(text) && sibling.querySelector('h1, h2, h3, h4, h5, h6')) {
+                results.push({ ...cardInfo(sibling, null), contactSales: true });
+            }
+        }
+    }
+
+    // Comparison tables: plan names in the header row, a row of prices, check rows as features
+    const tables = [];
+    for (const table of document.querySelectorAll('table')) {
+        if (!isVisible(table)) continue;
+        const rows = [...table.querySelectorAll('tr')].map(row => [...row.children]);
+        if (rows.length < 2 || rows[0].length < 3) continue;
+
+        const header = rows[0].map(textOf);
+        const priceRow = rows.find(cells => cells.slice(1).filter(cell => isPriceText(textOf(cell))).length >= 2);
+        if (!priceRow) continue;
+
+        const plans = header.slice(1).map((name, index) => ({
+            name: name.slice(0, 60),
+            priceText: priceRow[index + 1] ? textOf(priceRow[index + 1]) : null,
+            priceContext: priceRow[index + 1] ? textOf(priceRow[index + 1]) : null,
+            cardText: '',
+            features: []
+        }));
+
+        for (const cells of rows.slice(1)) {
+            if (cells === priceRow) continue;
+            const label = textOf(cells[0] || document.createElement('td'));
+            if (!label || label.length > 100) continue;
+
+            cells.slice(1).forEach((cell, index) => {
+                const plan = plans[index];
+                const value = textOf(cell);
+                if (!plan) return;
+                if (CHECK_PATTERN.test(value) || (!value && cell.querySelector('svg, img'))) {
+                    plan.features.push(label);
+                } else if (value && value.length <= 40 && !NO_PATTERN.test(value)) {
+                    plan.features.push(`${label}: ${value}`);
+                }
+            });
+        }
+
+        tables.push(...plans.filter(plan => plan.name));
+    }
+
+    // Billing toggle: "Monthly" / "Annual" buttons or tabs, or a switch between the two words
+    let toggle = null;
+    const isActive = (element) => ['aria-pressed', 'aria-selected', 'aria-checked'].some(name => element.getAttribute(name) === 'true')
+        || element.checked === true
+        || /\b(?:active|selected|checked|current|is-on)\b/i.test(element.getAttribute('class') || '');
+
+    const controls = [...document.querySelectorAll('button, [role="tab"], [role="radio"], [role="switch"], label, input[type="checkbox"], input[type="radio"]')]
+        .filter(element => !element.closest('nav, footer, a[href]') && isVisible(element));
+    const labeled = { monthly: null, annual: null };
+
+    for (const element of controls) {
+        const text = textOf(element) || element.getAttribute('aria-label') || '';
+        if (text.length > 40) continue;
+        const annual = ANNUAL_LABEL.test(text);
+        const monthly = MONTHLY_LABEL.test(text);
+        if (annual !== monthly) {
+            labeled[annual ? 'annual' : 'monthly'] ||= element;
+        } else if (!text && ['switch', 'checkbox'].includes(element.getAttribute('role') || element.type)) {
+            const around = textOf(element.parentElement?.parentElement || element);
+            if (!toggle && around.length <= 80 && ANNUAL_LABEL.test(around) && MONTHLY_LABEL.test(around)) {
+                element.setAttribute('data-ci-billing', 'switch');
+                toggle = { kind: 'switch', active: null };
+            }
+        }
+    }
+
+    if (labeled.monthly && labeled.annual) {
+        labeled.monthly.setAttribute('data-ci-billing', 'monthly');
+        labeled.annual.setAttribute('data-ci-billing', 'annual');
+        const active = isActive(labeled.annual) ? 'annual' : isActive(labeled.monthly) ? 'monthly' : null;
+        toggle = { kind: 'buttons', active };
+    }
+
+    return { cards: results, tables, toggle };
+};
+
+/**
+ * Parse a price as written on a page: "$1,299" → 1299, "1 299 €" → 1299, "29,99 €" → 29.99, "$0.002" → 0.002
+ * @param {string|null} text
+ * @returns {{price: number|null, currency: string|null}}
+ */
+export const parsePrice = (text) => {
+    if (!text) return { price: null, currency: null };
+    if (/^(?:free|gratuit|kostenlos|gratis|gratuito)$/i.test(text.trim())) return { price: 0, currency: null };
+
+    const symbol = text.match(/US\$|A\$|C\$|R\$|[$€£¥₹]|\b(?:USD|EUR|GBP|CHF|CAD|AUD)\b/i)?.[0] || null;
+    const number = text.match(/\d(?:[\d.,]|[ \u00a0\u202f](?=\d{3}\b))*/)?.[0]?.replace(/[ \u00a0\u202f]/g, '');
+    if (!number) return { price: null, currency: toCurrencyCode(symbol) };
+
+    let normalized = number.replace(/[.,]$/, '');
+    const lastComma = normalized.lastIndexOf(',');
+    const lastDot = normalized.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Both: the last one is the decimal separator
+        const decimal = lastComma > lastDot ? ',' : '.';
+        normalized = normalized.split(decimal === ',' ? '.' : ',').join('').replace(',', '.');
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        const separator = lastComma !== -1 ? ',' : '.';
+        const [whole, fraction] = [normalized.slice(0, normalized.lastIndexOf(separator)), normalized.slice(normalized.lastIndexOf(separator) + 1)];
+        // "1,299" / "1.299" are thousands, "29,99" / "0.002" are decimals
+        const isThousands = fraction.length === 3 && whole !== '0' && normalized.split(separator).length >= 2;
+        normalized = isThousands ? normalized.split(separator).join('') : `${whole.split(separator).join('')}.${fraction}`;
+    }
+
+    const price = parseFloat(normalized);
+    return { price: Number.isFinite(price) ? price : null, currency: toCurrencyCode(symbol) };
+};
+
+/**
+ * Billing period of a price from the text around it
+ * @returns {string|null} 'monthly', 'annual', 'one-time' or null
+ */
+export const detectPeriod = (priceContext, cardText) => {
+    const context = priceContext || '';
+    if (BILLED_ANNUALLY_PATTERN.test(context) || BILLED_ANNUALLY_PATTERN.test(cardText)) return 'annual';
+    if (BILLED_MONTHLY_PATTERN.test(context) || BILLED_MONTHLY_PATTERN.test(cardText)) return 'monthly';
+    if (ONE_TIME_PATTERN.test(context)) return 'one-time';
+    if (PER_YEAR_PATTERN.test(context) || ANNUAL_PATTERN.test(context)) return 'annual';
+    if (MONTHLY_PATTERN.test(context)) return 'monthly';
+    return null;
+};
+
+/**
+ * Turn what the page showed into a plan (same fields as the AI's pricing.plans)
+ * @param {object} raw - Card or table column from readPricingDom
+ * @returns {object|null} null when it has no name
+ */
+const toPlan = ({ name, priceText, priceContext, cardText, features, contactSales = false }) => {
+    if (!name) return null;
+
+    const { price, currency } = parsePrice(priceText);
+    const context = priceContext || '';
+    const text = `${context} ${cardText}`;
+    const period = price !== null ? detectPeriod(context, cardText) : null;
+
+    // "$290/year" is 24.17 a month when billed annually
+    const perMonth = price !== null && period === 'annual' && PER_YEAR_PATTERN.test(context)
+        ? Math.round((price / 12) * 100) / 100
+        : price;
+
+    const seat = context.match(PER_SEAT_PATTERN);
+    const usage = !seat && context.match(USAGE_PATTERN);
+    const trial = text.match(TRIAL_PATTERN);
+    const seatUnit = seat?.[1].toLowerCase();
+
+    return {
+        name,
+        price,
+        type: period || 'other',
+        currency,
+        pricingModel: seat ? 'per-seat' : usage ? 'usage-based' : price !== null ? 'flat' : null,
+        unit: seat ? SEAT_UNITS[seatUnit] || seatUnit : usage ? usage[1].trim() : null,
+        monthlyPrice: period === 'monthly' ? price : null,
+        annualPrice: period === 'annual' ? perMonth : null,
+        isFree: price === 0,
+        freeTrialDays: trial ? parseInt(trial[1]) : null,
+        contactSales: contactSales || (price === null && /contact|quote|custom|devis|kontakt/i.test(text)),
+        features
+    };
+};
+
+/**
+ * Plans of one toggle state
+ */
+const toPlans = ({ cards, tables }) => deduplicatePlans([...cards, ...tables].map(toPlan).filter(Boolean));
+
+/**
+ * Combine the plans read before and after clicking the billing toggle
+ * Each state's period comes from the toggle when it's labeled, else from the price text;
+ * when neither tells, the lower of two different prices is taken as the annual one
+ * (annual billing is the discounted one)
+ *
+ * @param {object[]} before - Plans as first shown
+ * @param {object[]} after - Plans after the click
+ * @param {{before: string|null, after: string|null}} periods - Known period of each state
+ * @returns {object[]}
+ */
+const combineBillingStates = (before, after, periods) => {
+    const afterByKey = new Map(after.map(plan => [planKey(plan.name), plan]));
+
+    return before.map(plan => {
+        const other = afterByKey.get(planKey(plan.name));
+        if (!other || other.price === null || plan.price === null || Math.abs(other.price - plan.price) < PRICE_TOLERANCE) {
+            return plan;
+        }
+
+        let firstPeriod = periods.before || (plan.type === 'monthly' || plan.type === 'annual' ? plan.type : null);
+        let secondPeriod = periods.after || (other.type === 'monthly' || other.type === 'annual' ? other.type : null);
+        if (!firstPeriod || !secondPeriod || firstPeriod === secondPeriod) {
+            firstPeriod = plan.price < other.price ? 'annual' : 'monthly';
+            secondPeriod = firstPeriod === 'annual' ? 'monthly' : 'annual';
+        }
+
+        const priceIn = (state, period) => (period === 'annual' ? state.annualPrice ?? state.price : state.price);
+        const merged = { ...plan, features: plan.features.length > 0 ? plan.features : other.features };
+        merged[firstPeriod === 'monthly' ? 'monthlyPrice' : 'annualPrice'] = priceIn(plan, firstPeriod);
+        merged[secondPeriod === 'monthly' ? 'monthlyPrice' : 'annualPrice'] = priceIn(other, secondPeriod);
+        return merged;
+    });
+};
+
+/**
+ * Extract pricing plans from the current page
+ *
+ * @param {import('playwright').Page} page - Playwright page (already loaded)
+ * @param {string} url - Page URL, recorded as each plan's source
+ * @param {object} options
+ * @param {boolean} options.clickToggles - Click a monthly/annual toggle to read both prices (default: PRICING_CLICK_TOGGLES)
+ * @returns {Promise<{url: string, plans: object[], billingToggle: boolean}>} plans empty when none found
+ */
+export const extractPricing = async (page, url, { clickToggles = config.pricing.clickToggles } = {}) => {
+    try {
+        const first = await page.evaluate(readPricingDom);
+        let plans = toPlans(first);
+
+        if (plans.length > 0 && clickToggles && first.toggle) {
+            const { kind, active } = first.toggle;
+            const target = kind === 'switch' ? 'switch' : active === 'annual' ? 'monthly' : 'annual';
+            const pageUrl = page.url();
+
+            try {
+                await page.click(`[data-ci-billing="${target}"]`, { timeout: 2000 });
+                await page.waitForTimeout(TOGGLE_SETTLE_MS);
+
+                // A toggle that navigates away isn't a toggle
+                if (page.url() === pageUrl) {
+                    const second = toPlans(await page.evaluate(readPricingDom));
+                    plans = combineBillingStates(plans, second, {
+                        before: kind === 'buttons' ? active : null,
+                        after: kind === 'buttons' ? target : null
+                    });
+                }
+            } catch (error) {
+                console.log(`[Pricing] Billing toggle on ${url} not clickable: ${error.message.split('\n')[0]}`);
+            }
+        }
+
+        return {
+            url,
+            plans: plans.map(plan => ({ ...plan, source: { url, method: 'dom' } })),
+            billingToggle: !!first.toggle
+        };
+    } catch (error) {
+        console.error(`[Pricing] Failed to read pricing on ${url}: ${error.message}`);
+        return { url, plans: [], billingToggle: false };
+    }
+};
+
+/**
+ * Merge the pricing read on each page
+ * @param {object[]} results - extractPricing results
+ * @returns {{found: boolean, plans: object[], pages: string[]}}
+ */
+export const mergeDomPricing = (results) => {
+    const withPlans = results.filter(result => result.plans.length > 0);
+    return {
+        found: withPlans.length > 0,
+        plans: deduplicatePlans(withPlans.flatMap(result => result.plans)),
+        pages: withPlans.map(result => result.url)
+    };
+};
+
+/**
+ * All prices a plan states (headline, monthly, annual)
+ */
+const pricesOf = (plan) => [...new Set([plan.price, plan.monthlyPrice, plan.annualPrice].filter(price => typeof price === 'number'))];
+
+/**
+ * Cross-check AI-extracted plans against the plans read from the DOM
+ * Each AI plan gets `domCheck: { status, domPrices }`, status being
+ * - "confirmed": the DOM has the plan with a matching price (or both say contact sales)
+ * - "price-mismatch": the DOM has the plan with other prices (domPrices)
+ * - "not-found": no DOM plan with that name
+ *
+ * @param {object[]} aiPlans - intelligence.pricing.plans
+ * @param {object[]} domPlans - mergeDomPricing plans
+ * @returns {{plans: object[], summary: {confirmed: number, priceMismatch: number, notFound: number, missingFromAI: string[]}}}
+ */
+export const crossCheckPlans = (aiPlans, domPlans) => {
+    const domByKey = new Map(domPlans.map(plan => [planKey(plan.name), plan]));
+    const summary = { confirmed: 0, priceMismatch: 0, notFound: 0, missingFromAI: [] };
+
+    const plans = aiPlans.map(plan => {
+        const domPlan = domByKey.get(planKey(plan.name));
+        if (!domPlan) {
+            summary.notFound++;
+            return { ...plan, domCheck: { status: 'not-found', domPrices: [] } };
+        }
+
+        const aiPrices = pricesOf(plan);
+        const domPrices = pricesOf(domPlan);
+        const matches = aiPrices.some(price => domPrices.some(domPrice => Math.abs(domPrice - price) < PRICE_TOLERANCE))
+            || (aiPrices.length === 0 && domPrices.length === 0);
+
+        summary[matches ? 'confirmed' : 'priceMismatch']++;
+        return { ...plan, domCheck: { status: matches ? 'confirmed' : 'price-mismatch', domPrices } };
+    });
+
+    const aiKeys = new Set(aiPlans.map(plan => planKey(plan.name)));
+    summary.missingFromAI = domPlans.filter(plan => !aiKeys.has(planKey(plan.name))).map(plan => plan.name);
+
+    return { plans, summary };
+};
@@ -2,7 +2,7 @@
  * Company Intel AI
  * AI-powered company intelligence extraction
  *
- * Main entry point - Express server with single endpoint
+ * Main entry point - Express server
  */
 
 import 'dotenv/config';
@@ -11,33 +11,36 @@ import express from 'express';
 // Config
 import { config, validateConfig } from './config/index.mjs';
 
-// Extractors (from original project)
-import { extractSocials } from './extractors/socials.mjs';
-import { extractEmails } from './extractors/emails.mjs';
-import { extractMeta } from './extractors/meta.mjs';
-import { setupTechDetection, collectTechnologies } from './extractors/technologies.mjs';
+// Routes
+import { analyzeRouter } from './routes/analyze.mjs';
+import { jobsRouter } from './routes/jobs.mjs';
+import { companiesRouter } from './routes/companies.mjs';
+import { watchesRouter } from './routes/watches.mjs';
+import { usageRouter } from './routes/usage.mjs';
+import { metricsRouter } from './routes/metrics.mjs';
+import { sendError } from './utils/response.mjs';
 
-// AI modules
-import { extractIntelligence, mergeIntelligence } from './ai/extractor.mjs';
-import { getPagesToVisit } from './ai/pageDiscovery.mjs';
+// AI providers
+import { getProviderChain } from './ai/providers.mjs';
 
-// Utilities
-import { fetchSitemapUrls } from './utils/sitemap.mjs';
-import { findLinkedInUrl, extractLinkedInSlug, scrapeLinkedInCompany } from './utils/linkedin.mjs';
+// API keys, rate limits & quotas
+import { authenticate } from './auth/index.mjs';
+import { isAuthEnabled, getKeyCount } from './auth/keys.mjs';
 
-// Browser utilities
-import {
-    launchBrowser,
-    createContext,
-    navigateTo,
-    getPageLinks,
-    getPageContent,
-    closeBrowser
-} from './utils/browser.mjs';
+// Jobs & browser pool
+import { getQueueStats } from './jobs/queue.mjs';
+import { getCacheStats } from './pipeline/cache.mjs';
+import { getPoolStats, closeBrowserPool } from './utils/browserPool.mjs';
+
+// Result store & watch scheduler
+import { getStore, closeStore } from './store/index.mjs';
+import { startScheduler, stopScheduler } from './watches/scheduler.mjs';
 
 // Validate config on startup
 try {
     validateConfig();
+    isAuthEnabled(); // Load API keys now so a bad keys file fails fast
+    getProviderChain(); // Check AI_FALLBACKS entries and their credentials
 } catch (error) {
     console.error(`[Config Error] ${error.message}`);
     process.exit(1);
@@ -47,205 +50,19 @@ try {
 const app = express();
 app.use(express.json());
 
-/**
- * Main API Endpoint
- * POST /analyze
- *
- * Request: { "url": "https://example.com" }
- * Response: Company intelligence data
- */
-app.post('/analyze', async (req, res) => {
-    const { url: targetUrl, useAI = true } = req.body;
-
-    // Validate input
-    if (!targetUrl) {
-        return res.status(400).json({
-            url: null,
-            data: null,
-            error: 'URL is required',
-            statusCode: 400,
-            timestamp: new Date().toISOString()
-        });
-    }
-
-    console.log(`\n[Analyze] Starting analysis of: ${targetUrl}`);
-    console.log(`[Analyze] AI Provider: ${config.aiProvider}`);
-    console.log(`[Analyze] AI Enabled: ${useAI}`);
-
-    let browser = null;
-    let context = null;
-    let sitemapData = { urls: [], found: false };
-
-    try {
-        // Step 0: Fetch sitemap (before browser launch - simple HTTP request)
-        console.log(`[Analyze] Fetching sitemap...`);
-        sitemapData = await fetchSitemapUrls(targetUrl);
-        console.log(`[Analyze] Sitemap: ${sitemapData.found ? sitemapData.urls.length + ' URLs found' : 'not found'}`);
-
-        // Launch browser
-        browser = await launchBrowser();
-        context = await createContext(browser);
-        const page = await context.newPage();
-
-        // Setup technology detection BEFORE navigation (captures network requests)
-        const techCollector = setupTechDetection(page);
-
-        // Step 1: Visit homepage
-        console.log(`[Analyze] Loading homepage...`);
-        const success = await navigateTo(page, targetUrl);
-        if (!success) {
-            throw new Error('Failed to load homepage');
-        }
-
-        // Step 2: Extract basic data from homepage
-        const links = await getPageLinks(page);
-        const homeContent = await getPageContent(page);
-        const meta = await extractMeta(page);
-        const socials = extractSocials(links);
-        const emails = extractEmails(homeContent);
-
-        // Detect technologies (Wappalyzer + network analysis)
-        const techResult = await collectTechnologies(page, techCollector);
-
-        console.log(`[Analyze] Homepage: ${links.length} links, ${socials.allSocialLinksFound.length} socials, ${emails.length} emails`);
-        console.log(`[Analyze] Technologies: ${techResult.detectedTechnologies.length} detected${techResult.cms ? `, CMS: ${techResult.cms}` : ''}`);
-
-        // Step 2b: Try to scrape LinkedIn company page (if found)
-        let linkedinData = null;
-        const linkedinUrl = findLinkedInUrl(socials.socialLinks, socials.allSocialLinksFound);
-        if (linkedinUrl) {
-            const slug = extractLinkedInSlug(linkedinUrl);
-            if (slug) {
-                console.log(`[Analyze] Found LinkedIn company page: ${linkedinUrl}`);
-                linkedinData = await scrapeLinkedInCompany(slug);
-                if (linkedinData) {
-                    console.log(`[Analyze] LinkedIn data extracted successfully`);
-                } else {
-                    console.log(`[Analyze] LinkedIn scrape failed (no proxy or blocked)`);
-                }
-            }
-        } else {
-            console.log(`[Analyze] No LinkedIn company page found in social links`);
-        }
-
-        // Step 3: Discover pages to visit (sitemap patterns first, AI fallback)
-        const pagesToVisit = await getPagesToVisit(links, targetUrl, sitemapData.urls);
-
-        // Step 4: Visit each page and extract intelligence
-        const intelligenceResults = [];
-
-        // First, analyze homepage
-        if (useAI) {
-            console.log(`[Analyze] Extracting intelligence from homepage...`);
-            const homeIntel = await extractIntelligence(homeContent, targetUrl);
-            intelligenceResults.push(homeIntel);
-        }
-
-        // Then, visit additional pages
-        for (const pageUrl of pagesToVisit) {
-            console.log(`[Analyze] Visiting: ${pageUrl}`);
-
-            const pageSuccess = await navigateTo(page, pageUrl);
-            if (!pageSuccess) continue;
-
-            const pageContent = await getPageContent(page);
-
-            // Extract emails from this page too
-            const pageEmails = extractEmails(pageContent);
-            emails.push(...pageEmails);
-
-            // AI extraction if enabled
-            if (useAI) {
-                console.log(`[Analyze] Extracting intelligence...`);
-                const intel = await extractIntelligence(pageContent, pageUrl);
-                intelligenceResults.push(intel);
-            }
-        }
-
-        // Step 5: Merge all intelligence
-        const intelligence = useAI
-            ? mergeIntelligence(intelligenceResults)
-            : null;
-
-        // Step 6: Build response
-        // Enrich intelligence with LinkedIn data if available
-        if (linkedinData && intelligence) {
-            // Keep AI-extracted userCount (customers/users from website)
-            // Only use LinkedIn description as fallback if AI didn't find one
-            if (!intelligence.companyInfo?.description && linkedinData.description) {
-                intelligence.companyInfo = {
-                    ...intelligence.companyInfo,
-                    found: true,
-                    description: linkedinData.description
-                };
-            }
-
-            // Add LinkedIn-specific data (employeeCount lives here)
-            intelligence.linkedinData = {
-                companyName: linkedinData.companyName,
-                logo: linkedinData.logo,
-                website: linkedinData.website,
-                industry: linkedinData.industry,
-                employeeCount: linkedinData.employeeCount,
-                foundedYear: linkedinData.foundedYear,
-                headquarter: linkedinData.headquarter,
-                funding: linkedinData.funding,
-                similarCompanies: linkedinData.similarCompanies,
-                linkedinId: linkedinData.linkedinId
-            };
-        }
-
-        const responseData = {
-            // Original extraction (from find-socials-networks)
-            socialLinks: socials.socialLinks,
-            allSocialLinksFound: socials.allSocialLinksFound,
-            multiplesFound: socials.multiplesFound,
-            emails: [...new Set(emails)],
-            meta,
-
-            // Technology detection (Wappalyzer)
-            cms: techResult.cms,
-            detectedTechnologies: techResult.detectedTechnologies,
-            technologies: techResult.technologies,
-
-            // AI-extracted intelligence (enriched with LinkedIn if available)
-            intelligence,
-
-            // Discovery info
-            pagesAnalyzed: [targetUrl, ...pagesToVisit],
-            sitemapFound: sitemapData.found,
-            linkedinFound: !!linkedinData
-        };
-
-        console.log(`[Analyze] Complete! Analyzed ${responseData.pagesAnalyzed.length} pages`);
-
-        res.status(200).json({
-            url: targetUrl,
-            data: responseData,
-            error: null,
-            statusCode: 200,
-            timestamp: new Date().toISOString()
-        });
-
-    } catch (error) {
-        console.error(`[Analyze] Error: ${error.message}`);
-
-        let statusCode = 500;
-        if (error.message.includes('timeout')) statusCode = 504;
-        if (error.message.includes('net::ERR')) statusCode = 503;
-
-        res.status(statusCode).json({
-            url: targetUrl,
-            data: null,
-            error: error.message,
-            statusCode,
-            timestamp: new Date().toISOString()
-        });
+// Screenshots saved on disk (SCREENSHOT_STORAGE=disk): their URLs hold a random token
+// and are shared as links (dashboards, CRMs), so they need no API key
+if (config.screenshots.storage === 'disk') {
+    app.use('/screenshots', express.static(config.screenshots.dir, { index: false, redirect: false }));
+}
 
-    } finally {
-        await closeBrowser(context, browser);
-    }
-});
+// Everything else except /health requires an API key (when keys are configured)
+app.use('/analyze', authenticate, analyzeRouter);
+app.use('/jobs', authenticate, jobsRouter);
+app.use('/companies', authenticate, companiesRouter);
+app.use('/watches', authenticate, watchesRouter);
+app.use('/usage', authenticate, usageRouter);
+app.use('/metrics', authenticate, metricsRouter);
 
 /**
  * Health check endpoint
@@ -254,22 +71,62 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         aiProvider: config.aiProvider,
+        jobs: getQueueStats(),
+        cache: getCacheStats(),
+        browserPool: getPoolStats(),
         timestamp: new Date().toISOString()
     });
 });
 
+// Unhandled route errors (and malformed JSON bodies) still get the response envelope
+app.use((error, req, res, next) => {
+    const statusCode = error.status || 500;
+    if (statusCode >= 500) console.error(`[Server] Error: ${error.message}`);
+    sendError(res, statusCode, error.message);
+});
+
 // Start server
-app.listen(config.port, () => {
+const server = app.listen(config.port, () => {
     console.log(`
 ========================================
    Company Intel AI Server Started
 ========================================
    Port: ${config.port}
-   AI Provider: ${config.aiProvider}
+   AI Provider: ${getProviderChain().map(({ provider, model }) => `${provider} (${model})`).join(' → ')}
    Proxy: ${config.proxy ? 'Enabled' : 'Disabled'}
+   Store: ${config.store.driver}
+   Auth: ${isAuthEnabled() ? `API keys (${getKeyCount()})` : 'Disabled'}
 ----------------------------------------
-   POST /analyze - Analyze a company
-   GET  /health  - Health check
+   POST /analyze                   - Analyze a company
+   GET  /analyze/stream            - Analyze with SSE progress
+   POST /analyze/batch             - Analyze a list of domains
+   POST /jobs                      - Queue an analysis job
+   GET  /jobs/:id                  - Job status & result
+   GET  /companies/:domain         - Latest stored analysis
+   GET  /companies/:domain/history - Previous analyses
+   GET  /companies/:domain/diff    - Changes between analyses
+   *    /watches                   - Scheduled monitoring & webhooks
+   GET  /usage                     - API key usage & quota
+   GET  /metrics                   - AI token usage & cost
+   GET  /health                    - Health check
 ========================================
 `);
+
+    // Open the store early so configuration errors show up at startup
+    getStore()
+        .then(() => startScheduler())
+        .catch(error => console.error(`[Store] Failed to open store: ${error.message}`));
 });
+
+// Graceful shutdown: close pooled browsers so no Chrome processes are left behind
+const shutdown = async (signal) => {
+    console.log(`\n[Server] ${signal} received, shutting down...`);
+    server.close();
+    stopScheduler();
+    await closeBrowserPool();
+    await closeStore();
+    process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,146 @@
+/**
+ * Analysis Job Queue
+ * In-memory background jobs so clients don't hold a connection open for a full analysis
+ *
+ * Job status: queued → crawling → extracting → done | failed
+ */
+
+import { randomUUID } from 'crypto';
+import { config } from '../config/index.mjs';
+import { getErrorStatusCode } from '../pipeline/analyze.mjs';
+import { runCachedAnalysis } from '../pipeline/cache.mjs';
+import { buildResponse, buildAnalysisResponse } from '../utils/response.mjs';
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+/**
+ * Public view of a job (what GET /jobs/:id returns)
+ * @param {object} job
+ * @returns {object}
+ */
+export const serializeJob = (job) => ({
+    id: job.id,
+    url: job.url,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+});
+
+/**
+ * Create a job and queue it for processing
+ * @param {string} url - Website URL to analyze
+ * @param {object} options - Pipeline options (useAI, maxPages, maxCostUsd, maxTokens, extraction, refresh)
+ * @param {object} hooks
+ * @param {Function} hooks.onComplete - Called with the job once it is done or failed
+ * @returns {object} Created job
+ */
+export const createJob = (url, options = {}, { onComplete = null } = {}) => {
+    const job = {
+        id: randomUUID(),
+        url,
+        options,
+        onComplete,
+        status: 'queued',
+        progress: [],
+        result: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    console.log(`[Jobs] Queued ${job.id} for ${url} (${pending.length} waiting, ${running} running)`);
+
+    processQueue();
+    return job;
+};
+
+/**
+ * Get a job by ID
+ * @param {string} id
+ * @returns {object|null}
+ */
+export const getJob = (id) => jobs.get(id) || null;
+
+/**
+ * Queue statistics
+ * @returns {{queued: number, running: number, total: number}}
+ */
+export const getQueueStats = () => ({
+    queued: pending.length,
+    running,
+    total: jobs.size
+});
+
+/**
+ * Start queued jobs up to the concurrency limit
+ */
+const processQueue = () => {
+    while (running < config.jobs.concurrency && pending.length > 0) {
+        const job = pending.shift();
+        running++;
+        runJob(job).finally(() => {
+            running--;
+            processQueue();
+        });
+    }
+};
+
+/**
+ * Run a single job through the analysis pipeline
+ * @param {object} job
+ */
+const runJob = async (job) => {
+    job.status = 'crawling';
+    job.startedAt = new Date().toISOString();
+
+    const { refresh = false, ...options } = job.options;
+
+    try {
+        const result = await runCachedAnalysis(job.url, {
+            ...options,
+            onProgress: ({ status, step, message }) => {
+                job.status = status;
+                job.progress.push({ step, message, timestamp: new Date().toISOString() });
+            }
+        }, { refresh, timeout: config.jobs.timeout });
+
+        job.status = 'done';
+        job.result = buildAnalysisResponse(job.url, result);
+    } catch (error) {
+        console.error(`[Jobs] ${job.id} failed: ${error.message}`);
+
+        job.status = 'failed';
+        job.result = buildResponse(job.url, null, error.message, getErrorStatusCode(error));
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        console.log(`[Jobs] ${job.id} ${job.status}`);
+    }
+
+    // Not awaited: the hook (e.g. webhook retries) must not hold a queue slot
+    if (job.onComplete) {
+        Promise.resolve()
+            .then(() => job.onComplete(job))
+            .catch(error => console.error(`[Jobs] ${job.id} completion hook error: ${error.message}`));
+    }
+};
+
+/**
+ * Drop finished jobs older than the retention window
+ */
+const cleanupJobs = () => {
+    const cutoff = Date.now() - config.jobs.retention;
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+            jobs.delete(id);
+        }
+    }
+};
+
+setInterval(cleanupJobs, 60000).unref();
@@ -0,0 +1,603 @@
+/**
+ * Analysis Pipeline
+ * Sitemap → homepage → LinkedIn → page discovery → AI extraction → merge
+ *
+ * Shared by /analyze, SSE streaming, batch analysis and background jobs
+ */
+
+import { config } from '../config/index.mjs';
+
+// Extractors
+import { extractSocials } from '../extractors/socials.mjs';
+import { extractEmails } from '../extractors/emails.mjs';
+import { extractMeta } from '../extractors/meta.mjs';
+import { extractPricing, mergeDomPricing, crossCheckPlans } from '../extractors/pricing.mjs';
+import { extractLogos, mergeLogoResults, toCustomerResult } from '../extractors/logos.mjs';
+import { setupTechDetection, collectTechnologies } from '../extractors/technologies.mjs';
+
+// AI modules
+import { extractIntelligence, mergeIntelligence, estimateExtractionTokens, getExtractionSetup } from '../ai/extractor.mjs';
+import { getPagesToVisit } from '../ai/pageDiscovery.mjs';
+import { createUsageTracker } from '../ai/usage.mjs';
+import { createBudget } from '../ai/budget.mjs';
+import { attachEvidence } from '../ai/evidence.mjs';
+import { scoreIntelligence } from '../ai/confidence.mjs';
+import { identifyLogos, estimateLogoVisionTokens } from '../ai/logoVision.mjs';
+
+// Utilities
+import { fetchSitemapUrls } from '../utils/sitemap.mjs';
+import { findLinkedInUrl, extractLinkedInSlug, scrapeLinkedInCompany } from '../utils/linkedin.mjs';
+import { navigateTo, getPageLinks, getPageContent, getMainContent, getImageTexts, getLanguageInfo } from '../utils/browser.mjs';
+import { resolvePageLanguage, findEnglishAlternate } from '../utils/language.mjs';
+import { createBoilerplateFilter } from '../utils/boilerplate.mjs';
+import { acquireContext, releaseContext } from '../utils/browserPool.mjs';
+import { capturePage, getScreenshotPrefix } from '../screenshots/index.mjs';
+
+// Persistence
+import { saveAnalysis } from '../store/index.mjs';
+
+/**
+ * Map a pipeline error to an HTTP status code
+ * @param {Error} error
+ * @returns {number}
+ */
+export const getErrorStatusCode = (error) => {
+    let statusCode = 500;
+    if (error.message.includes('timeout')) statusCode = 504;
+    if (error.message.includes('net::ERR')) statusCode = 503;
+    return statusCode;
+};
+
+/**
+ * Which provider/model produced a page's extraction, what failed before it, how many
+ * chunks it took, what schema normalization had to fix and how many quotes were verified
+ * @param {string} url
+ * @param {object} intel - extractIntelligence result
+ * @param {object|null} cleaning - Characters before/after content cleaning
+ * @returns {object}
+ */
+const describeExtraction = (url, { extractedBy, validationWarnings, contentTruncated, evidenceSummary, error }, cleaning = null) => ({
+    url,
+    provider: extractedBy.provider,
+    model: extractedBy.model,
+    attempts: extractedBy.failures.length + (extractedBy.provider ? extractedBy.chunks : 0),
+    failures: extractedBy.failures,
+    chunks: extractedBy.chunks,
+    contentTruncated: !!contentTruncated,
+    content: cleaning,
+    warnings: validationWarnings || [],
+    evidence: evidenceSummary || null,
+    error: error || null
+});
+
+/**
+ * Read the loaded page's text and language. A page not in English that links an English
+ * hreflang alternate is swapped for that alternate (unless PREFER_ENGLISH_PAGES=false).
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} url - URL just loaded
+ * @returns {Promise<{url: string, content: string, language: string|null, switchedFrom: string|null}>}
+ *   url is the page read (the English alternate when switched), switchedFrom the original URL
+ */
+const readPage = async (page, url) => {
+    const content = await getPageContent(page);
+    const { declared, alternates } = await getLanguageInfo(page);
+    const language = resolvePageLanguage(content, declared);
+    const original = { url, content, language, switchedFrom: null };
+
+    if (!config.extraction.preferEnglish || !language || language === 'en') return original;
+
+    const englishUrl = findEnglishAlternate(alternates, page.url());
+    if (!englishUrl) return original;
+
+    console.log(`[Analyze] ${url} is in "${language}", using its English version: ${englishUrl}`);
+    if (!await navigateTo(page, englishUrl)) {
+        await navigateTo(page, url);
+        return original;
+    }
+
+    const englishContent = await getPageContent(page);
+    return {
+        url: englishUrl,
+        content: englishContent,
+        language: resolvePageLanguage(englishContent, 'en'),
+        switchedFrom: url
+    };
+};
+
+/**
+ * Run the full analysis pipeline for a website
+ *
+ * Progress is reported through `onProgress({ status, step, message, data })` where
+ * status is 'crawling' or 'extracting'. An aborted `signal` closes the page, which
+ * ends a pending page load, cancels pending AI calls, and stops the pipeline before
+ * its next step without saving anything (the browser context is always released).
+ *
+ * @param {string} targetUrl - Website URL to analyze
+ * @param {object} options
+ * @param {boolean} options.useAI - Enable AI extraction (default: true)
+ * @param {number} options.maxPages - Pages to visit beyond the homepage (default: MAX_PAGES_TO_VISIT)
+ * @param {number} options.maxChunks - AI calls per long page (default: MAX_CHUNKS_PER_PAGE)
+ * @param {number} options.maxCostUsd - AI budget in USD (optional)
+ * @param {number} options.maxTokens - AI budget in tokens (optional)
+ * @param {object} options.extraction - Custom extraction schema from resolveExtraction (optional)
+ * @param {boolean} options.englishOutput - Extracted text in English (default: ENGLISH_OUTPUT)
+ * @param {boolean} options.screenshots - Screenshot each page above the fold and in full (default: SCREENSHOTS)
+ * @param {Function} options.onProgress - Optional progress callback
+ * @param {Function} options.onSaved - Called with the stored record once the result is saved (optional)
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {Promise<object>} Response data (the `data` field of /analyze)
+ */
+export const runAnalysis = async (targetUrl, {
+    useAI = true,
+    maxPages = config.browser.maxPagesToVisit,
+    maxChunks = config.extraction.maxChunks,
+    maxCostUsd = null,
+    maxTokens = null,
+    extraction = null,
+    englishOutput = config.extraction.englishOutput,
+    screenshots = config.screenshots.enabled,
+    onProgress = null,
+    onSaved = null,
+    signal = null
+} = {}) => {
+    const progress = (status, step, message, data = null) => {
+        console.log(`[Analyze] ${message}`);
+        if (onProgress) {
+            try {
+                onProgress({ status, step, message, data });
+            } catch (error) {
+                console.error(`[Analyze] Progress callback error: ${error.message}`);
+            }
+        }
+    };
+
+    const checkAborted = () => {
+        if (signal?.aborted) {
+            throw signal.reason instanceof Error ? signal.reason : new Error('Analysis aborted');
+        }
+    };
+
+    console.log(`\n[Analyze] Starting analysis of: ${targetUrl}`);
+    console.log(`[Analyze] AI Provider: ${config.aiProvider}`);
+    console.log(`[Analyze] AI Enabled: ${useAI}`);
+
+    let lease = null;
+    let closePage = null;
+    let sitemapData = { urls: [], found: false };
+    const usage = createUsageTracker();
+
+    // Spending limit: skipped steps are reported as 'budget' progress events
+    const budget = createBudget({ maxCostUsd, maxTokens }, usage, {
+        onSkip: ({ step, url, reason }) => progress('extracting', 'budget', `Skipped ${step}${url ? ` (${url})` : ''}: ${reason}`, { step, url, reason })
+    });
+    const extractionOverhead = estimateExtractionTokens(0, extraction);
+    const boilerplate = createBoilerplateFilter();
+    const pricingResults = [];
+    const logoResults = [];
+    const captures = [];
+    const screenshotPrefix = screenshots ? getScreenshotPrefix(targetUrl) : null;
+    let visionCallsLeft = config.logos.maxVisionCalls;
+
+    /**
+     * Read pricing cards and tables of the current page (clicks a billing toggle, so
+     * run it after the page's text was read)
+     */
+    const readPricing = async (page, url) => {
+        if (!config.pricing.domParser) return;
+
+        const result = await extractPricing(page, url);
+        pricingResults.push(result);
+        if (result.plans.length > 0) {
+            progress('crawling', 'pricing', `Pricing: ${result.plans.length} plans on ${url}${result.billingToggle ? ' (billing toggle)' : ''}`, {
+                url,
+                plans: result.plans
+            });
+        }
+    };
+
+    /**
+     * Vision fallback for logo walls without readable names (AI on and LOGO_VISION=true),
+     * at most LOGO_VISION_MAX_CALLS per analysis and within the budget
+     */
+    const identify = (url) => async (image, { heading }) => {
+        if (visionCallsLeft <= 0) return [];
+        if (!budget.canAfford(estimateLogoVisionTokens())) {
+            budget.skip('logos', 'Budget too tight for logo recognition', url);
+            return [];
+        }
+        visionCallsLeft--;
+        return identifyLogos(image, url, { heading, usage, signal });
+    };
+
+    /**
+     * Name the customer logos of the current page's logo walls
+     * Names also count as image texts for the confidence logo signal.
+     */
+    const readLogos = async (page, url, imageTexts) => {
+        if (!config.logos.enabled) return;
+
+        const result = await extractLogos(page, url, { identify: useAI && config.logos.vision ? identify(url) : null });
+        logoResults.push(result);
+        imageTexts.push(...result.names.map(entry => entry.name));
+        if (result.names.length > 0) {
+            progress('crawling', 'logos', `Logos: ${result.names.length} customer logos on ${url}`, {
+                url,
+                names: result.names.map(entry => entry.name)
+            });
+        }
+    };
+
+    /**
+     * Screenshot the current page (as loaded, before billing toggles are clicked)
+     */
+    const captureScreenshots = async (page, url) => {
+        if (!screenshots) return;
+
+        const capture = await capturePage(page, url, { prefix: screenshotPrefix, index: captures.length });
+        captures.push(capture);
+        progress('crawling', 'screenshot', capture.error ? `Screenshot of ${url} failed: ${capture.error}` : `Screenshots of ${url} saved`, capture);
+    };
+
+    /**
+     * Text to send the AI for the current page: main content without blocks seen on
+     * earlier pages (the raw text when cleaning is off or fails)
+     * @returns {Promise<{text: string, cleaning: object|null}>} cleaning = { rawChars, cleanedChars, savedChars }
+     */
+    const getAIContent = async (page, rawContent) => {
+        if (!config.extraction.cleanContent) return { text: rawContent, cleaning: null };
+
+        const main = await getMainContent(page);
+        const text = boilerplate.clean(main ?? rawContent);
+        const cleaning = { rawChars: rawContent.length, cleanedChars: text.length, savedChars: Math.max(0, rawContent.length - text.length) };
+        console.log(`[Analyze] Content cleaning saved ${cleaning.savedChars} of ${cleaning.rawChars} characters`);
+        return { text, cleaning };
+    };
+
+    /**
+     * Content length per AI call and chunks for the next page's extraction
+     * (maxContentLength 0 when the budget is spent). Each extra chunk repeats the prompt,
+     * which isn't in this estimate but is in what the following pages see as spent.
+     */
+    const budgetedContent = (url, pagesLeft) => {
+        const chunkLength = config.extraction.maxContentLength;
+        const length = budget.contentLengthFor(url, extractionOverhead, chunkLength * maxChunks, pagesLeft);
+        return length > chunkLength
+            ? { maxContentLength: chunkLength, maxChunks: Math.floor(length / chunkLength) }
+            : { maxContentLength: length, maxChunks: 1 };
+    };
+
+    try {
+        // Step 0: Fetch sitemap (before browser launch - simple HTTP request)
+        progress('crawling', 'sitemap', 'Fetching sitemap...');
+        sitemapData = await fetchSitemapUrls(targetUrl);
+        progress('crawling', 'sitemap', `Sitemap: ${sitemapData.found ? sitemapData.urls.length + ' URLs found' : 'not found'}`, {
+            found: sitemapData.found,
+            urlCount: sitemapData.urls.length
+        });
+        checkAborted();
+
+        // Get an isolated context from the browser pool (waits if saturated)
+        lease = await acquireContext({ signal });
+        checkAborted();
+        const page = await lease.context.newPage();
+        if (screenshots) {
+            await page.setViewportSize({ width: config.screenshots.viewportWidth, height: config.screenshots.viewportHeight });
+        }
+
+        // A pending navigation or page read fails at once when the page is closed
+        closePage = () => page.close().catch(() => { });
+        signal?.addEventListener('abort', closePage, { once: true });
+
+        // Setup technology detection BEFORE navigation (captures network requests)
+        const techCollector = setupTechDetection(page);
+
+        // Step 1: Visit homepage
+        progress('crawling', 'homepage', 'Loading homepage...');
+        const success = await navigateTo(page, targetUrl);
+        if (!success) {
+            throw new Error('Failed to load homepage');
+        }
+        checkAborted();
+
+        // Step 2: Extract basic data from homepage (its English version when it has one)
+        const home = await readPage(page, targetUrl);
+        const homeUrl = home.url;
+        const homeContent = home.content;
+        const languages = [{ url: homeUrl, language: home.language, switchedFrom: home.switchedFrom }];
+        await captureScreenshots(page, homeUrl);
+        const links = await getPageLinks(page);
+        const homeAIContent = useAI ? await getAIContent(page, homeContent) : null;
+        const imageTexts = await getImageTexts(page);
+        const meta = await extractMeta(page);
+        const socials = extractSocials(links);
+        const emails = extractEmails(homeContent);
+
+        // Detect technologies (Wappalyzer + network analysis)
+        const techResult = await collectTechnologies(page, techCollector);
+        await readPricing(page, homeUrl);
+        await readLogos(page, homeUrl, imageTexts);
+
+        progress('crawling', 'homepage', `Homepage: ${links.length} links, ${socials.allSocialLinksFound.length} socials, ${emails.length} emails`, {
+            linkCount: links.length,
+            meta,
+            socialLinks: socials.socialLinks,
+            allSocialLinksFound: socials.allSocialLinksFound,
+            emails
+        });
+        progress('crawling', 'technologies', `Technologies: ${techResult.detectedTechnologies.length} detected${techResult.cms ? `, CMS: ${techResult.cms}` : ''}`, {
+            cms: techResult.cms,
+            detectedTechnologies: techResult.detectedTechnologies
+        });
+        checkAborted();
+
+        // Step 2b: Try to scrape LinkedIn company page (if found)
+        let linkedinData = null;
+        const linkedinUrl = findLinkedInUrl(socials.socialLinks, socials.allSocialLinksFound);
+        if (linkedinUrl) {
+            const slug = extractLinkedInSlug(linkedinUrl);
+            if (slug) {
+                progress('crawling', 'linkedin', `Found LinkedIn company page: ${linkedinUrl}`, { url: linkedinUrl });
+                linkedinData = await scrapeLinkedInCompany(slug);
+                if (linkedinData) {
+                    progress('crawling', 'linkedin', 'LinkedIn data extracted successfully', { found: true });
+                } else {
+                    progress('crawling', 'linkedin', 'LinkedIn scrape failed (no proxy or blocked)', { found: false });
+                }
+            }
+        } else {
+            progress('crawling', 'linkedin', 'No LinkedIn company page found in social links', { found: false });
+        }
+        checkAborted();
+
+        // Step 3: Discover pages to visit (sitemap patterns first, AI fallback)
+        const pagesToVisit = await getPagesToVisit(links, homeUrl, sitemapData.urls, maxPages, { usage, budget: useAI ? budget : null, signal });
+        progress('crawling', 'discovery', `Selected ${pagesToVisit.length} pages to visit`, { pages: pagesToVisit });
+        checkAborted();
+
+        // Step 4: Visit each page and extract intelligence
+        const intelligenceResults = [];
+        const visitedPages = [homeUrl];
+        const extractions = [];
+
+        // First, analyze homepage
+        if (useAI) {
+            const content = budgetedContent(homeUrl, pagesToVisit.length + 1);
+            if (content.maxContentLength > 0) {
+                checkAborted();
+                progress('extracting', 'extraction', 'Extracting intelligence from homepage...', { url: homeUrl });
+                const homeIntel = attachEvidence(
+                    await extractIntelligence(homeAIContent.text, homeUrl, { usage, ...content, extraction, language: home.language, englishOutput, signal }),
+                    homeContent,
+                    homeUrl
+                );
+                intelligenceResults.push(homeIntel);
+                extractions.push(describeExtraction(homeUrl, homeIntel, homeAIContent.cleaning));
+                progress('extracting', 'extracted', `Extracted intelligence from: ${homeUrl}`, { url: homeUrl, intelligence: homeIntel });
+            } else {
+                budget.skip('extraction', 'Budget spent', homeUrl);
+            }
+        }
+
+        // Then, visit additional pages
+        for (const [index, pageUrl] of pagesToVisit.entries()) {
+            checkAborted();
+
+            // Budget spent: don't visit the remaining pages
+            if (useAI && budget.exhausted) {
+                for (const skippedUrl of pagesToVisit.slice(index)) {
+                    budget.skip('page', 'Budget spent', skippedUrl);
+                }
+                break;
+            }
+
+            progress('extracting', 'page', `Visiting: ${pageUrl}`, { url: pageUrl });
+
+            const pageSuccess = await navigateTo(page, pageUrl);
+            if (!pageSuccess) {
+                visitedPages.push(pageUrl);
+                continue;
+            }
+
+            // Switched to an English version already analyzed ("/fr/tarifs" → "/pricing")
+            const visit = await readPage(page, pageUrl);
+            if (visitedPages.includes(visit.url)) {
+                console.log(`[Analyze] Skipping ${pageUrl}: same page as ${visit.url}`);
+                continue;
+            }
+
+            const url = visit.url;
+            const pageContent = visit.content;
+            visitedPages.push(url);
+            languages.push({ url, language: visit.language, switchedFrom: visit.switchedFrom });
+            await captureScreenshots(page, url);
+            imageTexts.push(...await getImageTexts(page));
+
+            // Extract emails from this page too
+            const pageEmails = extractEmails(pageContent);
+            emails.push(...pageEmails);
+
+            const aiContent = useAI ? await getAIContent(page, pageContent) : null;
+            await readPricing(page, url);
+            await readLogos(page, url, imageTexts);
+
+            // AI extraction if enabled
+            if (useAI) {
+                const content = budgetedContent(url, pagesToVisit.length - index);
+                if (content.maxContentLength === 0) {
+                    budget.skip('extraction', 'Budget spent', url);
+                    continue;
+                }
+
+                checkAborted();
+                progress('extracting', 'extraction', 'Extracting intelligence...', { url });
+                const intel = attachEvidence(
+                    await extractIntelligence(aiContent.text, url, { usage, ...content, extraction, language: visit.language, englishOutput, signal }),
+                    pageContent,
+                    url
+                );
+                intelligenceResults.push(intel);
+                extractions.push(describeExtraction(url, intel, aiContent.cleaning));
+                progress('extracting', 'extracted', `Extracted intelligence from: ${url}`, { url, intelligence: intel });
+            }
+        }
+
+        // Step 5: Merge all intelligence, then score each plan and name
+        // (pages mentioning it, verified quote, logo alt text, AI certainty)
+        // Logo walls count as customers-only page results, after the AI's
+        const knownCustomers = intelligenceResults.flatMap(result => result.customers?.names || []);
+        const pageResults = [
+            ...intelligenceResults,
+            ...logoResults.map(result => toCustomerResult(result, knownCustomers)).filter(Boolean)
+        ];
+        const intelligence = useAI
+            ? scoreIntelligence(
+                mergeIntelligence(pageResults, getExtractionSetup(extraction).schema),
+                pageResults,
+                { imageTexts }
+            )
+            : null;
+        const logos = config.logos.enabled ? mergeLogoResults(logoResults) : null;
+
+        // Step 5b: Pricing read from the DOM; AI plans are checked against it
+        const domPricing = config.pricing.domParser ? mergeDomPricing(pricingResults) : null;
+        if (domPricing?.found && Array.isArray(intelligence?.pricing?.plans)) {
+            const { plans, summary } = crossCheckPlans(intelligence.pricing.plans, domPricing.plans);
+            intelligence.pricing.plans = plans;
+            domPricing.crossCheck = summary;
+        }
+
+        // Step 6: Build response
+        // Enrich intelligence with LinkedIn data if available
+        if (linkedinData && intelligence) {
+            // Keep AI-extracted userCount (customers/users from website)
+            // Only use LinkedIn description as fallback if AI didn't find one
+            if (intelligence.companyInfo && !intelligence.companyInfo.description && linkedinData.description) {
+                intelligence.companyInfo = {
+                    ...intelligence.companyInfo,
+                    found: true,
+                    description: linkedinData.description
+                };
+            }
+
+            // Add LinkedIn-specific data (employeeCount lives here)
+            intelligence.linkedinData = {
+                companyName: linkedinData.companyName,
+                logo: linkedinData.logo,
+                website: linkedinData.website,
+                industry: linkedinData.industry,
+                employeeCount: linkedinData.employeeCount,
+                foundedYear: linkedinData.foundedYear,
+                headquarter: linkedinData.headquarter,
+                funding: linkedinData.funding,
+                similarCompanies: linkedinData.similarCompanies,
+                linkedinId: linkedinData.linkedinId
+            };
+        }
+
+        const responseData = {
+            // Original extraction (from find-socials-networks)
+            socialLinks: socials.socialLinks,
+            allSocialLinksFound: socials.allSocialLinksFound,
+            multiplesFound: socials.multiplesFound,
+            emails: [...new Set(emails)],
+            meta,
+
+            // Technology detection (Wappalyzer)
+            cms: techResult.cms,
+            detectedTechnologies: techResult.detectedTechnologies,
+            technologies: techResult.technologies,
+
+            // Pricing cards and tables read from the page (null when DOM_PRICING=false)
+            domPricing,
+
+            // Customer logo walls (null when LOGO_DETECTION=false)
+            logos,
+
+            // AI-extracted intelligence (enriched with LinkedIn if available)
+            intelligence,
+
+            // Custom extraction schema used (null = built-in)
+            extractionSchema: useAI && extraction ? { name: extraction.name, mode: extraction.mode } : null,
+
+            // Provider/model behind each page's extraction (null without AI)
+            extractions: useAI ? extractions : null,
+
+            // Discovery info
+            pagesAnalyzed: visitedPages,
+            // Language of each page read (switchedFrom: the non-English URL its English version replaced)
+            languages,
+            // Above-the-fold and full-page screenshots of each page (null when not requested)
+            screenshots: screenshots ? captures : null,
+            sitemapFound: sitemapData.found,
+            linkedinFound: !!linkedinData,
+
+            // AI tokens & cost of this analysis
+            usage: usage.summary(),
+
+            // Spending limit and what was skipped to respect it (null without a limit)
+            budget: useAI && budget.limited ? budget.report() : null
+        };
+
+        console.log(`[Analyze] Complete! Analyzed ${responseData.pagesAnalyzed.length} pages ($${responseData.usage.costUsd} AI cost)`);
+
+        // Step 7: Persist result (a store failure never fails the analysis)
+        // Custom-schema results aren't stored: history and diffs compare like with like
+        // A timed-out or cancelled analysis isn't stored either: its caller already got an error
+        checkAborted();
+        if (!extraction || !useAI) {
+            try {
+                const record = await saveAnalysis(targetUrl, responseData, { useAI });
+                if (onSaved) onSaved(record);
+            } catch (error) {
+                console.error(`[Store] Failed to save analysis: ${error.message}`);
+            }
+        }
+
+        return responseData;
+
+    } finally {
+        if (closePage) signal?.removeEventListener('abort', closePage);
+        await releaseContext(lease);
+    }
+};
+
+/**
+ * Run the pipeline with a time limit
+ * A slow site fails its own analysis instead of occupying a worker forever. The
+ * analysis fails as soon as the time is up, even inside a step that doesn't stop
+ * on abort (an AI call): the pipeline then unwinds in the background.
+ *
+ * @param {string} targetUrl - Website URL to analyze
+ * @param {object} options - Same options as runAnalysis
+ * @param {number} timeout - Time limit (ms)
+ * @returns {Promise<object>} Response data
+ */
+export const runAnalysisWithTimeout = async (targetUrl, options = {}, timeout) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => {
+        controller.abort(new Error(`Analysis timeout after ${timeout}ms`));
+    }, timeout);
+
+    const signal = options.signal
+        ? AbortSignal.any([options.signal, controller.signal])
+        : controller.signal;
+
+    const analysis = runAnalysis(targetUrl, { ...options, signal });
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(signal.reason instanceof Error ? signal.reason : new Error('Analysis aborted'));
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+        return await Promise.race([analysis, aborted]);
+    } finally {
+        clearTimeout(timeoutId);
+        signal.removeEventListener('abort', onAbort);
+        // Ends on its own after an abort; its error was already reported
+        analysis.catch(() => { });
+    }
+};
@@ -0,0 +1,174 @@
+/**
+ * Batch Analysis
+ * Runs a list of domains through the pipeline with a concurrency limit
+ * One bad domain produces an error entry instead of failing the batch
+ */
+
+import { config } from '../config/index.mjs';
+import { getErrorStatusCode } from './analyze.mjs';
+import { runCachedAnalysis } from './cache.mjs';
+import { buildResponse, buildAnalysisResponse } from '../utils/response.mjs';
+import { mapWithConcurrency } from '../utils/concurrency.mjs';
+import { normalizeInputUrl } from '../utils/domain.mjs';
+
+// Column names recognized as the URL column in CSV uploads
+const URL_COLUMNS = ['url', 'domain', 'website', 'site', 'homepage'];
+
+/**
+ * Split a CSV line into cells (handles quoted cells)
+ * @param {string} line
+ * @returns {string[]}
+ */
+const splitCsvLine = (line) => {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if ((char === ',' || char === ';') && !inQuotes) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    cells.push(current.trim());
+    return cells;
+};
+
+/**
+ * Parse URLs from CSV text
+ * Uses the url/domain/website column if there is a header, otherwise the first column
+ * @param {string} text
+ * @returns {string[]}
+ */
+const parseCsv = (text) => {
+    const rows = text.split(/\r?\n/).filter(line => line.trim()).map(splitCsvLine);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const columnIndex = header.findIndex(cell => URL_COLUMNS.includes(cell));
+
+    if (columnIndex >= 0) {
+        return rows.slice(1).map(row => row[columnIndex]);
+    }
+
+    // No recognized header: first column, skipping a header row that isn't a URL
+    const values = rows.map(row => row[0]);
+    return normalizeInputUrl(values[0]) ? values : values.slice(1);
+};
+
+/**
+ * Parse URLs from JSONL text (one string or { url } object per line)
+ * @param {string} text
+ * @returns {string[]}
+ */
+const parseJsonl = (text) => {
+    return text.split(/\r?\n/).filter(line => line.trim()).map(line => {
+        try {
+            const value = JSON.parse(line);
+            if (typeof value === 'string') return value;
+            return value?.url || value?.domain || value?.website || null;
+        } catch {
+            return null;
+        }
+    });
+};
+
+/**
+ * Extract the list of URLs from a batch request
+ * Accepts { urls: [...] } JSON, or a raw CSV/JSONL body
+ *
+ * @param {object|string} body - Parsed request body
+ * @param {string} contentType - Request Content-Type
+ * @returns {{urls: string[], invalid: string[]}} Unique normalized URLs and rejected inputs
+ */
+export const parseBatchInput = (body, contentType = '') => {
+    let raw = [];
+
+    if (typeof body === 'string') {
+        const isJsonl = /ndjson|jsonl/i.test(contentType) || body.trim().startsWith('{') || body.trim().startsWith('"');
+        raw = isJsonl ? parseJsonl(body) : parseCsv(body);
+    } else if (Array.isArray(body?.urls)) {
+        raw = body.urls;
+    } else if (typeof body?.csv === 'string') {
+        raw = parseCsv(body.csv);
+    } else if (typeof body?.jsonl === 'string') {
+        raw = parseJsonl(body.jsonl);
+    }
+
+    const urls = [];
+    const invalid = [];
+
+    for (const value of raw) {
+        const url = normalizeInputUrl(value);
+        if (!url) {
+            invalid.push(value);
+        } else if (!urls.includes(url)) {
+            urls.push(url);
+        }
+    }
+
+    return { urls, invalid };
+};
+
+/**
+ * Analyze a list of URLs
+ *
+ * @param {string[]} urls - Normalized URLs
+ * @param {object} options
+ * @param {boolean} options.useAI - Enable AI extraction
+ * @param {number} options.maxPages - Page limit per domain
+ * @param {number} options.maxChunks - AI calls per long page
+ * @param {number} options.maxCostUsd - AI budget per domain (USD)
+ * @param {number} options.maxTokens - AI budget per domain (tokens)
+ * @param {object} options.extraction - Custom extraction schema (null = built-in)
+ * @param {boolean} options.englishOutput - Extracted text in English
+ * @param {number} options.minConfidence - Drop plans and names scored below this (0-1)
+ * @param {boolean} options.screenshots - Screenshot each page
+ * @param {boolean} options.refresh - Bypass the result cache
+ * @param {number} options.concurrency - Analyses running at once (capped by config)
+ * @param {Function} options.onResult - Called with each per-domain envelope as it finishes
+ * @param {AbortSignal} options.signal - Stops starting new analyses when aborted
+ * @returns {Promise<object[]>} Per-domain envelopes in input order
+ */
+export const runBatch = async (urls, { useAI = true, maxPages, maxChunks, maxCostUsd = null, maxTokens = null, extraction = null, englishOutput, minConfidence = null, screenshots, refresh = false, concurrency, onResult = null, signal = null } = {}) => {
+    const limit = Math.min(
+        parseInt(concurrency) || config.batch.concurrency,
+        config.batch.maxConcurrency
+    );
+
+    console.log(`[Batch] Analyzing ${urls.length} URLs (concurrency: ${limit})`);
+
+    return await mapWithConcurrency(urls, limit, async (url) => {
+        let result;
+
+        if (signal?.aborted) {
+            result = buildResponse(url, null, 'Batch cancelled', 499);
+        } else {
+            try {
+                const analysis = await runCachedAnalysis(url, { useAI, maxPages, maxChunks, maxCostUsd, maxTokens, extraction, englishOutput, minConfidence, screenshots, signal }, {
+                    refresh,
+                    timeout: config.batch.timeout
+                });
+                result = buildAnalysisResponse(url, analysis);
+            } catch (error) {
+                console.error(`[Batch] ${url} failed: ${error.message}`);
+                result = buildResponse(url, null, error.message, getErrorStatusCode(error));
+            }
+        }
+
+        if (onResult) onResult(result);
+        return result;
+    });
+};
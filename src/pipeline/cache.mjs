@@ -0,0 +1,224 @@
+/**
+ * Analysis Cache
+ * Reuses recent results for the same URL + options, and coalesces identical
+ * in-flight analyses so concurrent requests only pay for one crawl and one set of AI calls
+ */
+
+import { config } from '../config/index.mjs';
+import { runAnalysis, runAnalysisWithTimeout } from './analyze.mjs';
+import { filterByConfidence } from '../ai/confidence.mjs';
+
+// key → { data, timestamp, expiresAt } (Map keeps insertion order: oldest first)
+const cache = new Map();
+
+// key → { promise, listeners: Set<Function>, waiting, controller }
+const inflight = new Map();
+
+let hits = 0;
+let misses = 0;
+let coalesced = 0;
+
+/**
+ * Normalize a URL for cache keys (lowercase host, no www, no hash, no trailing slash)
+ * @param {string} url
+ * @returns {string}
+ */
+const normalizeCacheUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const path = parsed.pathname.replace(/\/+$/, '');
+        return `${parsed.protocol}//${hostname}${parsed.port ? ':' + parsed.port : ''}${path}${parsed.search}`;
+    } catch {
+        return url;
+    }
+};
+
+/**
+ * Cache key: normalized URL + everything that changes the result
+ * @param {string} url
+ * @param {object} options
+ * @returns {string}
+ */
+export const getCacheKey = (url, { useAI = true, maxPages = config.browser.maxPagesToVisit, maxChunks = config.extraction.maxChunks, maxCostUsd = null, maxTokens = null, extraction = null, englishOutput = config.extraction.englishOutput, screenshots = config.screenshots.enabled } = {}) => {
+    return JSON.stringify({
+        url: normalizeCacheUrl(url),
+        useAI,
+        maxPages,
+        maxChunks: useAI ? maxChunks : null,
+        maxCostUsd,
+        maxTokens,
+        schema: useAI && extraction ? extraction.key : null,
+        englishOutput: useAI ? englishOutput : null,
+        screenshots,
+        provider: useAI ? config.aiProvider : null
+    });
+};
+
+/**
+ * Cache statistics (exposed on /health)
+ * @returns {object}
+ */
+export const getCacheStats = () => ({
+    entries: cache.size,
+    inflight: inflight.size,
+    ttl: config.cache.ttl,
+    hits,
+    misses,
+    coalesced
+});
+
+/**
+ * Fresh cache entry for a key, or null
+ */
+const getEntry = (key) => {
+    const entry = cache.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+        cache.delete(key);
+        return null;
+    }
+
+    return entry;
+};
+
+/**
+ * Store a result, evicting the oldest entries past the size limit
+ */
+const setEntry = (key, data, timestamp) => {
+    cache.delete(key);
+    cache.set(key, { data, timestamp, expiresAt: Date.now() + config.cache.ttl });
+
+    while (cache.size > config.cache.maxEntries) {
+        cache.delete(cache.keys().next().value);
+    }
+};
+
+/**
+ * Wait for a shared run on behalf of one caller
+ * The caller's signal only rejects its own wait; the shared run is aborted
+ * once every caller waiting on it has gone away
+ */
+const waitForRun = (run, { onProgress, signal }) => {
+    run.waiting++;
+    if (onProgress) run.listeners.add(onProgress);
+
+    const done = () => {
+        if (onProgress) run.listeners.delete(onProgress);
+    };
+
+    if (!signal) {
+        return run.promise.finally(done);
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            done();
+            if (--run.waiting === 0) run.controller.abort(signal.reason);
+            reject(signal.reason instanceof Error ? signal.reason : new Error('Analysis aborted'));
+        };
+
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        run.promise.then(resolve, reject).finally(() => {
+            signal.removeEventListener('abort', onAbort);
+            done();
+        });
+    });
+};
+
+/**
+ * Response data without plans and names scored below minConfidence
+ * (the cache and the store keep the full result)
+ */
+const applyMinConfidence = (data, minConfidence) => {
+    if (!data.intelligence) return data;
+
+    const { intelligence, removed } = filterByConfidence(data.intelligence, minConfidence);
+    return { ...data, intelligence, confidenceFilter: { minConfidence, removed } };
+};
+
+/**
+ * Run an analysis through the cache
+ *
+ * @param {string} targetUrl - Website URL to analyze
+ * @param {object} options - Pipeline options (useAI, maxPages, maxChunks, maxCostUsd, maxTokens, extraction, englishOutput, screenshots, onProgress, signal)
+ *   and minConfidence (filters the returned data only)
+ * @param {object} cacheOptions
+ * @param {boolean} cacheOptions.refresh - Skip cached and in-flight results (the new result is still cached)
+ * @param {number} cacheOptions.timeout - Optional time limit for the analysis (ms)
+ * @returns {Promise<{data: object, cached: boolean, timestamp: string}>}
+ */
+export const runCachedAnalysis = async (targetUrl, { minConfidence = null, ...options } = {}, cacheOptions = {}) => {
+    const result = await runThroughCache(targetUrl, options, cacheOptions);
+    return minConfidence ? { ...result, data: applyMinConfidence(result.data, minConfidence) } : result;
+};
+
+/**
+ * Cached result, in-flight run or a new analysis
+ */
+const runThroughCache = async (targetUrl, options, { refresh = false, timeout = null }) => {
+    const { onProgress = null, signal = null, ...pipelineOptions } = options;
+    const key = getCacheKey(targetUrl, pipelineOptions);
+    const cacheEnabled = config.cache.ttl > 0;
+
+    if (cacheEnabled && !refresh) {
+        const entry = getEntry(key);
+        if (entry) {
+            hits++;
+            console.log(`[Cache] Hit for ${targetUrl} (from ${entry.timestamp})`);
+            return { data: entry.data, cached: true, timestamp: entry.timestamp };
+        }
+
+        const running = inflight.get(key);
+        if (running) {
+            coalesced++;
+            console.log(`[Cache] Joining in-flight analysis of ${targetUrl}`);
+            return await waitForRun(running, { onProgress, signal });
+        }
+    }
+
+    misses++;
+
+    const controller = new AbortController();
+    const run = { promise: null, listeners: new Set(), waiting: 0, controller };
+
+    const runOptions = {
+        ...pipelineOptions,
+        signal: controller.signal,
+        onProgress: (event) => {
+            for (const listener of run.listeners) listener(event);
+        }
+    };
+
+    run.promise = (async () => {
+        const data = timeout
+            ? await runAnalysisWithTimeout(targetUrl, runOptions, timeout)
+            : await runAnalysis(targetUrl, runOptions);
+
+        const timestamp = new Date().toISOString();
+        if (cacheEnabled) setEntry(key, data, timestamp);
+
+        return { data, cached: false, timestamp };
+    })().finally(() => {
+        if (inflight.get(key) === run) inflight.delete(key);
+    });
+
+    inflight.set(key, run);
+
+    return await waitForRun(run, { onProgress, signal });
+};
+
+/**
+ * Drop expired entries
+ */
+const cleanupCache = () => {
+    const now = Date.now();
+    for (const [key, entry] of cache) {
+        if (entry.expiresAt <= now) cache.delete(key);
+    }
+};
+
+setInterval(cleanupCache, 60000).unref();
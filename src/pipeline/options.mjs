@@ -0,0 +1,65 @@
+/**
+ * Analysis Request Options
+ * Parses per-request pipeline options from a JSON body or query string
+ */
+
+import { config } from '../config/index.mjs';
+import { resolveExtraction } from '../ai/schemas.mjs';
+
+/**
+ * Read a boolean from JSON (true/false) or a query string ("true"/"false")
+ */
+const parseBoolean = (value, defaultValue) => {
+    if (value === undefined || value === null || value === '') return defaultValue;
+    return value !== false && value !== 'false';
+};
+
+/**
+ * Read a positive number, or null when absent or invalid
+ */
+const parsePositive = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Read a confidence threshold between 0 and 1, or null when absent or invalid
+ */
+const parseConfidence = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? Math.min(number, 1) : null;
+};
+
+/**
+ * Parse analysis options
+ * @param {object} source - req.body or req.query
+ * @returns {{useAI: boolean, maxPages: number, maxChunks: number, maxCostUsd: number|null, maxTokens: number|null, extraction: object|null, englishOutput: boolean, minConfidence: number|null, screenshots: boolean, refresh: boolean}}
+ * @throws {Error} 400 for an invalid or unknown extraction schema
+ */
+export const parseAnalysisOptions = (source = {}) => {
+    const maxPagesLimit = config.browser.maxPagesToVisit;
+    const requestedPages = parseInt(source.maxPages);
+    const maxChunksLimit = config.extraction.maxChunks;
+    const requestedChunks = parseInt(source.maxChunks);
+    const maxTokens = parsePositive(source.maxTokens);
+
+    return {
+        useAI: parseBoolean(source.useAI, true),
+        // Requests can visit fewer pages than MAX_PAGES_TO_VISIT, never more
+        maxPages: Number.isNaN(requestedPages) ? maxPagesLimit : Math.max(0, Math.min(requestedPages, maxPagesLimit)),
+        // Same for chunks per long page and MAX_CHUNKS_PER_PAGE
+        maxChunks: Number.isNaN(requestedChunks) ? maxChunksLimit : Math.max(1, Math.min(requestedChunks, maxChunksLimit)),
+        // Per-analysis AI budget
+        maxCostUsd: parsePositive(source.maxCostUsd),
+        maxTokens: maxTokens && Math.floor(maxTokens),
+        // Custom extraction schema (schema / schemaName / schemaMode / instructions), null = built-in
+        extraction: resolveExtraction(source),
+        // Extracted text in English (quotes stay in the page's language)
+        englishOutput: parseBoolean(source.englishOutput, config.extraction.englishOutput),
+        // Drop plans and names scored below this (0-1), applied to the response only
+        minConfidence: parseConfidence(source.minConfidence),
+        // Above-the-fold and full-page screenshots of each page
+        screenshots: parseBoolean(source.screenshots, config.screenshots.enabled),
+        refresh: parseBoolean(source.refresh, false)
+    };
+};
@@ -0,0 +1,177 @@
+/**
+ * Analyze Routes
+ * POST /analyze       - Synchronous analysis (connection stays open until done)
+ * GET  /analyze/stream - Same analysis, with progress streamed over Server-Sent Events
+ * POST /analyze/batch - Analyze a list of domains (JSON array, CSV or JSONL upload)
+ */
+
+import express, { Router } from 'express';
+import { config } from '../config/index.mjs';
+import { consumeQuota, refundQuota } from '../auth/index.mjs';
+import { getErrorStatusCode } from '../pipeline/analyze.mjs';
+import { runCachedAnalysis } from '../pipeline/cache.mjs';
+import { parseBatchInput, runBatch } from '../pipeline/batch.mjs';
+import { parseAnalysisOptions } from '../pipeline/options.mjs';
+import { buildResponse, buildAnalysisResponse, sendError } from '../utils/response.mjs';
+import { openEventStream } from '../utils/sse.mjs';
+
+export const analyzeRouter = Router();
+
+// Raw CSV / JSONL uploads for batch analysis
+const batchUpload = express.text({
+    type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl', 'application/ndjson'],
+    limit: '5mb'
+});
+
+/**
+ * Request: { "url": "https://example.com", "useAI": true, "maxPages": 5, "maxCostUsd": 0.05, "refresh": false }
+ * Response: Company intelligence data (cached: true when served from the result cache)
+ */
+analyzeRouter.post('/', async (req, res) => {
+    const { url: targetUrl } = req.body || {};
+    const { refresh, ...options } = parseAnalysisOptions(req.body);
+
+    // Validate input
+    if (!targetUrl) {
+        return sendError(res, 400, 'URL is required');
+    }
+
+    try {
+        const quotaError = await consumeQuota(req);
+        if (quotaError) {
+            return sendError(res, 429, quotaError, targetUrl);
+        }
+
+        const result = await runCachedAnalysis(targetUrl, options, { refresh });
+
+        res.status(200).json(buildAnalysisResponse(targetUrl, result));
+
+    } catch (error) {
+        console.error(`[Analyze] Error: ${error.message}`);
+
+        sendError(res, getErrorStatusCode(error), error.message, targetUrl);
+    }
+});
+
+/**
+ * Request: GET /analyze/stream?url=https://example.com&useAI=true&maxPages=5&refresh=false
+ * Events:
+ *   progress - { status, step, message, data } for each pipeline stage (data holds partial results)
+ *   result   - Final envelope, same shape as POST /analyze
+ *   error    - Error envelope (stream then closes)
+ * A cached result is sent straight away, without progress events
+ */
+analyzeRouter.get('/stream', async (req, res) => {
+    const { url: targetUrl } = req.query;
+    const { refresh, ...options } = parseAnalysisOptions(req.query);
+
+    if (!targetUrl) {
+        return sendError(res, 400, 'URL is required');
+    }
+
+    const quotaError = await consumeQuota(req);
+    if (quotaError) {
+        return sendError(res, 429, quotaError, targetUrl);
+    }
+
+    const stream = openEventStream(req, res);
+
+    try {
+        const result = await runCachedAnalysis(targetUrl, {
+            ...options,
+            signal: stream.signal,
+            onProgress: (event) => stream.send('progress', event)
+        }, { refresh });
+
+        stream.send('result', buildAnalysisResponse(targetUrl, result));
+
+    } catch (error) {
+        console.error(`[Analyze] Stream error: ${error.message}`);
+
+        const statusCode = getErrorStatusCode(error);
+        stream.send('error', buildResponse(targetUrl, null, error.message, statusCode));
+
+    } finally {
+        stream.close();
+    }
+});
+
+/**
+ * Request: { "urls": ["https://a.com", "b.com"], "concurrency": 3, "stream": false }
+ *          or a CSV / JSONL body (options as query params: ?concurrency=3&stream=true)
+ *          useAI, maxPages, maxCostUsd, maxTokens and refresh work as in POST /analyze
+ * Response: { total, succeeded, failed, invalid, results: [envelope, ...] }
+ *           or, when streaming, one NDJSON envelope per domain as each finishes
+ */
+analyzeRouter.post('/batch', batchUpload, async (req, res) => {
+    const body = typeof req.body === 'object' && req.body !== null ? req.body : {};
+    const options = parseAnalysisOptions(typeof req.body === 'string' ? req.query : body);
+    const concurrency = body.concurrency ?? req.query.concurrency;
+    const stream = body.stream === true || req.query.stream === 'true' ||
+        (req.get('Accept') || '').includes('application/x-ndjson');
+
+    const { urls, invalid } = parseBatchInput(req.body, req.get('Content-Type'));
+
+    if (urls.length === 0) {
+        return sendError(res, 400, 'No valid URLs provided');
+    }
+
+    if (urls.length > config.batch.maxUrls) {
+        return sendError(res, 413, `Too many URLs (${urls.length}), maximum is ${config.batch.maxUrls}`);
+    }
+
+    // The whole batch is reserved against the daily quota up front; URLs that
+    // never start an analysis (cache hits, cancelled) are given back once it ends
+    const quotaError = await consumeQuota(req, urls.length);
+    if (quotaError) {
+        return sendError(res, 429, quotaError);
+    }
+
+    // Stop starting new analyses if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    const refundUnstarted = async (results) => {
+        try {
+            await refundQuota(req, results.filter(result => result.cached || result.statusCode === 499).length);
+        } catch (error) {
+            console.error(`[Batch] Failed to refund quota: ${error.message}`);
+        }
+    };
+
+    if (stream) {
+        res.status(200);
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.flushHeaders();
+
+        for (const value of invalid) {
+            res.write(JSON.stringify(buildResponse(value, null, 'Invalid URL', 400)) + '\n');
+        }
+
+        const results = await runBatch(urls, {
+            ...options,
+            concurrency,
+            signal: controller.signal,
+            onResult: (result) => {
+                if (!res.writableEnded) res.write(JSON.stringify(result) + '\n');
+            }
+        });
+        await refundUnstarted(results);
+
+        return res.end();
+    }
+
+    const results = await runBatch(urls, { ...options, concurrency, signal: controller.signal });
+    await refundUnstarted(results);
+    const succeeded = results.filter(result => !result.error).length;
+
+    res.status(200).json(buildResponse(null, {
+        total: urls.length,
+        succeeded,
+        failed: urls.length - succeeded,
+        invalid,
+        results
+    }));
+});
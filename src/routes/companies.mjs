@@ -0,0 +1,142 @@
+/**
+ * Company Routes
+ * GET /companies/:domain             - Latest stored analysis
+ * GET /companies/:domain/history     - Previous runs, newest first
+ * GET /companies/:domain/history/:id - A specific run
+ * GET /companies/:domain/diff        - Changes between two runs (?from=&to=, default: previous → latest)
+ */
+
+import { Router } from 'express';
+import { getLatestAnalysis, getAnalysis, listAnalyses } from '../store/index.mjs';
+import { normalizeDomain } from '../utils/domain.mjs';
+import { diffAnalyses } from '../utils/diff.mjs';
+import { buildResponse, sendError } from '../utils/response.mjs';
+
+export const companiesRouter = Router();
+
+/**
+ * Stored record → response envelope (timestamp is when the analysis ran)
+ */
+const recordResponse = (record) => ({
+    ...buildResponse(record.url, record.data),
+    analysisId: record.id,
+    domain: record.domain,
+    timestamp: record.createdAt
+});
+
+/**
+ * Validate :domain and attach the normalized value
+ */
+companiesRouter.param('domain', (req, res, next, value) => {
+    const domain = normalizeDomain(value);
+    if (!domain) {
+        return sendError(res, 400, `Invalid domain: ${value}`);
+    }
+    req.domain = domain;
+    next();
+});
+
+companiesRouter.get('/:domain', async (req, res) => {
+    try {
+        const record = await getLatestAnalysis(req.domain);
+        if (!record) {
+            return sendError(res, 404, `No analysis found for ${req.domain}`);
+        }
+
+        res.json(recordResponse(record));
+    } catch (error) {
+        console.error(`[Companies] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+companiesRouter.get('/:domain/history', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    try {
+        const { total, analyses } = await listAnalyses(req.domain, { limit, offset });
+
+        res.json(buildResponse(null, {
+            domain: req.domain,
+            total,
+            limit,
+            offset,
+            analyses: analyses.map(record => ({
+                id: record.id,
+                url: record.url,
+                useAI: record.useAI,
+                timestamp: record.createdAt,
+                pagesAnalyzed: record.data?.pagesAnalyzed?.length || 0
+            }))
+        }));
+    } catch (error) {
+        console.error(`[Companies] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+companiesRouter.get('/:domain/history/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (!id) {
+        return sendError(res, 400, `Invalid analysis ID: ${req.params.id}`);
+    }
+
+    try {
+        const record = await getAnalysis(req.domain, id);
+        if (!record) {
+            return sendError(res, 404, `Analysis ${id} not found for ${req.domain}`);
+        }
+
+        res.json(recordResponse(record));
+    } catch (error) {
+        console.error(`[Companies] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+companiesRouter.get('/:domain/diff', async (req, res) => {
+    const fromId = req.query.from ? parseInt(req.query.from) : null;
+    const toId = req.query.to ? parseInt(req.query.to) : null;
+
+    if (Number.isNaN(fromId) || Number.isNaN(toId)) {
+        return sendError(res, 400, 'from and to must be analysis IDs');
+    }
+
+    try {
+        // Default: latest run vs. the one just before it
+        const to = toId ? await getAnalysis(req.domain, toId) : await getLatestAnalysis(req.domain);
+        if (!to) {
+            return sendError(res, 404, toId ? `Analysis ${toId} not found for ${req.domain}` : `No analysis found for ${req.domain}`);
+        }
+
+        let from = null;
+        if (fromId) {
+            from = await getAnalysis(req.domain, fromId);
+        } else {
+            const { analyses } = await listAnalyses(req.domain, { limit: 100, offset: 0 });
+            const index = analyses.findIndex(record => record.id === to.id);
+            from = index >= 0 ? analyses[index + 1] || null : null;
+        }
+
+        if (!from) {
+            return sendError(res, 404, fromId
+                ? `Analysis ${fromId} not found for ${req.domain}`
+                : `No earlier analysis of ${req.domain} to compare with`);
+        }
+
+        const { hasChanges, intelligenceCompared, changes } = diffAnalyses(from.data, to.data);
+
+        res.json(buildResponse(to.url, {
+            domain: req.domain,
+            from: { id: from.id, timestamp: from.createdAt },
+            to: { id: to.id, timestamp: to.createdAt },
+            hasChanges,
+            intelligenceCompared,
+            changes
+        }));
+    } catch (error) {
+        console.error(`[Companies] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
@@ -0,0 +1,43 @@
+/**
+ * Job Routes
+ * POST /jobs     - Queue an analysis, returns a job ID immediately
+ * GET  /jobs/:id - Job status, progress and final result
+ */
+
+import { Router } from 'express';
+import { consumeQuota } from '../auth/index.mjs';
+import { createJob, getJob, serializeJob } from '../jobs/queue.mjs';
+import { parseAnalysisOptions } from '../pipeline/options.mjs';
+import { sendError } from '../utils/response.mjs';
+
+export const jobsRouter = Router();
+
+jobsRouter.post('/', async (req, res) => {
+    const { url: targetUrl } = req.body || {};
+
+    if (!targetUrl) {
+        return sendError(res, 400, 'URL is required');
+    }
+
+    // Before the quota: an invalid request must not use it up
+    const options = parseAnalysisOptions(req.body);
+
+    const quotaError = await consumeQuota(req);
+    if (quotaError) {
+        return sendError(res, 429, quotaError, targetUrl);
+    }
+
+    const job = createJob(targetUrl, options);
+
+    res.status(202).json(serializeJob(job));
+});
+
+jobsRouter.get('/:id', (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return sendError(res, 404, 'Job not found');
+    }
+
+    res.json(serializeJob(job));
+});
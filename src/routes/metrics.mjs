@@ -0,0 +1,14 @@
+/**
+ * Metrics Routes
+ * GET /metrics - Cumulative AI token usage and cost since startup
+ */
+
+import { Router } from 'express';
+import { getUsageMetrics } from '../ai/usage.mjs';
+import { buildResponse } from '../utils/response.mjs';
+
+export const metricsRouter = Router();
+
+metricsRouter.get('/', (req, res) => {
+    res.json(buildResponse(null, { ai: getUsageMetrics() }));
+});
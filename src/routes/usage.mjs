@@ -0,0 +1,25 @@
+/**
+ * Usage Routes
+ * GET /usage - Rate limit, daily quota and usage history for the calling API key
+ */
+
+import { Router } from 'express';
+import { getKeyUsage } from '../auth/index.mjs';
+import { buildResponse, sendError } from '../utils/response.mjs';
+
+export const usageRouter = Router();
+
+usageRouter.get('/', async (req, res) => {
+    if (!req.apiKey) {
+        return sendError(res, 404, 'API key authentication is not enabled');
+    }
+
+    const days = Math.min(parseInt(req.query.days) || 30, 90);
+
+    try {
+        res.json(buildResponse(null, await getKeyUsage(req.apiKey, { days })));
+    } catch (error) {
+        console.error(`[Usage] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
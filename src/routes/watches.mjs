@@ -0,0 +1,245 @@
+/**
+ * Watch Routes
+ * POST   /watches                - Register a domain to re-analyze on a schedule
+ * GET    /watches                - List watches
+ * GET    /watches/:id            - Get a watch
+ * PATCH  /watches/:id            - Update a watch
+ * DELETE /watches/:id            - Delete a watch (and its delivery log)
+ * POST   /watches/:id/run        - Run the analysis now
+ * POST   /watches/:id/test       - Send a signed "ping" webhook
+ * GET    /watches/:id/deliveries - Webhook delivery log
+ */
+
+import { Router } from 'express';
+import { randomBytes, randomUUID } from 'crypto';
+import { consumeQuota } from '../auth/index.mjs';
+import { saveWatch, getWatch, listWatches, deleteWatch, listDeliveries } from '../store/index.mjs';
+import { CHANGE_TYPES, runWatch } from '../watches/scheduler.mjs';
+import { validateSchedule, getNextRunAt } from '../watches/schedule.mjs';
+import { checkWebhookUrl, deliverWebhook } from '../watches/webhooks.mjs';
+import { normalizeDomain, normalizeInputUrl } from '../utils/domain.mjs';
+import { buildResponse, sendError } from '../utils/response.mjs';
+
+export const watchesRouter = Router();
+
+/**
+ * Public view of a watch (the secret is only returned on creation)
+ */
+const serializeWatch = (watch, { includeSecret = false } = {}) => {
+    const { secret, ...rest } = watch;
+    return includeSecret ? { ...rest, secret } : rest;
+};
+
+/**
+ * Validate watch fields present in the body
+ * @param {object} body
+ * @param {boolean} partial - PATCH (fields optional)
+ * @returns {Promise<string|null>} Error message
+ */
+const validateWatchInput = async (body, partial = false) => {
+    if (!partial || body.url !== undefined) {
+        if (!normalizeInputUrl(body.url)) return 'A valid url is required';
+    }
+
+    if (!partial || body.schedule !== undefined) {
+        const scheduleError = validateSchedule(body.schedule);
+        if (scheduleError) return scheduleError;
+    }
+
+    if (!partial || body.webhookUrl !== undefined) {
+        const webhookError = await checkWebhookUrl(body.webhookUrl);
+        if (webhookError) return webhookError;
+    }
+
+    if (body.notifyOn !== undefined) {
+        if (!Array.isArray(body.notifyOn) || body.notifyOn.length === 0) {
+            return `notifyOn must be a non-empty array of: ${CHANGE_TYPES.join(', ')}`;
+        }
+        const unknown = body.notifyOn.filter(type => !CHANGE_TYPES.includes(type));
+        if (unknown.length > 0) {
+            return `Unknown notifyOn type(s): ${unknown.join(', ')}`;
+        }
+    }
+
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+        return 'secret must be a string of at least 16 characters';
+    }
+
+    return null;
+};
+
+/**
+ * Whether the request's API key may see a watch
+ * Watches belong to the key that created them; everything is visible without authentication
+ */
+const ownsWatch = (req, watch) => !req.apiKey || watch.keyId === req.apiKey.id;
+
+/**
+ * Load :id or respond 404 (also for another key's watch)
+ */
+watchesRouter.param('id', async (req, res, next, id) => {
+    try {
+        const watch = await getWatch(id);
+        if (!watch || !ownsWatch(req, watch)) {
+            return sendError(res, 404, 'Watch not found');
+        }
+        req.watch = watch;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+watchesRouter.post('/', async (req, res) => {
+    const body = req.body || {};
+
+    const validationError = await validateWatchInput(body);
+    if (validationError) {
+        return sendError(res, 400, validationError);
+    }
+
+    const url = normalizeInputUrl(body.url);
+    const now = new Date().toISOString();
+
+    const watch = {
+        id: randomUUID(),
+        keyId: req.apiKey?.id || null,
+        url,
+        domain: normalizeDomain(url),
+        schedule: body.schedule,
+        webhookUrl: body.webhookUrl,
+        secret: body.secret || randomBytes(32).toString('hex'),
+        notifyOn: body.notifyOn || CHANGE_TYPES,
+        useAI: body.useAI !== false,
+        enabled: body.enabled !== false,
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null,
+        lastStatus: null,
+        lastError: null,
+        lastChanges: [],
+        lastJobId: null,
+        lastAnalysisId: null,
+        nextRunAt: body.runNow ? now : getNextRunAt(body.schedule)
+    };
+
+    try {
+        await saveWatch(watch);
+        console.log(`[Watches] Created watch ${watch.id} for ${watch.domain} (${watch.schedule})`);
+
+        res.status(201).json(buildResponse(watch.url, serializeWatch(watch, { includeSecret: true }), null, 201));
+    } catch (error) {
+        console.error(`[Watches] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+watchesRouter.get('/', async (req, res) => {
+    try {
+        const watches = (await listWatches()).filter(watch => ownsWatch(req, watch));
+        res.json(buildResponse(null, { total: watches.length, watches: watches.map(watch => serializeWatch(watch)) }));
+    } catch (error) {
+        console.error(`[Watches] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+watchesRouter.get('/:id', (req, res) => {
+    res.json(buildResponse(req.watch.url, serializeWatch(req.watch)));
+});
+
+watchesRouter.patch('/:id', async (req, res) => {
+    const body = req.body || {};
+
+    const validationError = await validateWatchInput(body, true);
+    if (validationError) {
+        return sendError(res, 400, validationError);
+    }
+
+    const watch = req.watch;
+
+    if (body.url !== undefined) {
+        watch.url = normalizeInputUrl(body.url);
+        watch.domain = normalizeDomain(watch.url);
+    }
+    if (body.schedule !== undefined) {
+        watch.schedule = body.schedule;
+        watch.nextRunAt = getNextRunAt(body.schedule);
+    }
+    if (body.webhookUrl !== undefined) watch.webhookUrl = body.webhookUrl;
+    if (body.secret !== undefined) watch.secret = body.secret;
+    if (body.notifyOn !== undefined) watch.notifyOn = body.notifyOn;
+    if (body.useAI !== undefined) watch.useAI = body.useAI !== false;
+    if (body.enabled !== undefined) watch.enabled = body.enabled !== false;
+    watch.updatedAt = new Date().toISOString();
+
+    // Another site or mode: the next run records a new baseline
+    if (body.url !== undefined || body.useAI !== undefined) {
+        watch.lastAnalysisId = null;
+    }
+
+    try {
+        await saveWatch(watch);
+        res.json(buildResponse(watch.url, serializeWatch(watch)));
+    } catch (error) {
+        console.error(`[Watches] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+watchesRouter.delete('/:id', async (req, res) => {
+    try {
+        await deleteWatch(req.watch.id);
+        console.log(`[Watches] Deleted watch ${req.watch.id}`);
+        res.status(204).end();
+    } catch (error) {
+        console.error(`[Watches] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+watchesRouter.post('/:id/run', async (req, res) => {
+    try {
+        const quotaError = await consumeQuota(req);
+        if (quotaError) {
+            return sendError(res, 429, quotaError, req.watch.url);
+        }
+
+        const job = await runWatch(req.watch);
+        if (!job) {
+            return sendError(res, 409, 'Watch is already running', req.watch.url);
+        }
+
+        res.status(202).json(buildResponse(req.watch.url, { watchId: req.watch.id, jobId: job.id }, null, 202));
+    } catch (error) {
+        console.error(`[Watches] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+watchesRouter.post('/:id/test', async (req, res) => {
+    try {
+        const delivery = await deliverWebhook(req.watch, 'ping', {
+            domain: req.watch.domain,
+            url: req.watch.url
+        }, { maxAttempts: 1 });
+
+        res.json(buildResponse(req.watch.url, delivery));
+    } catch (error) {
+        console.error(`[Watches] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
+
+watchesRouter.get('/:id/deliveries', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    try {
+        const deliveries = await listDeliveries(req.watch.id, { limit, offset });
+        res.json(buildResponse(req.watch.url, { watchId: req.watch.id, limit, offset, deliveries }));
+    } catch (error) {
+        console.error(`[Watches] Error: ${error.message}`);
+        sendError(res, 500, error.message);
+    }
+});
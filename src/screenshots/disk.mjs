@@ -0,0 +1,34 @@
+/**
+ * Disk Screenshot Storage
+ * Files under SCREENSHOT_DIR, served by the API at /screenshots without an API key
+ * (or from SCREENSHOT_PUBLIC_URL when another server exposes the directory)
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+
+/**
+ * Create a disk storage
+ * @param {object} options
+ * @param {string} options.dir - Root directory
+ * @param {string|null} options.publicUrl - Base URL of the directory (default: /screenshots on this API)
+ * @returns {{save: Function}}
+ */
+export const createDiskStorage = ({ dir, publicUrl = null }) => {
+    const root = resolve(dir);
+    const base = (publicUrl || '/screenshots').replace(/\/+$/, '');
+
+    return {
+        /**
+         * @param {string} key - Relative path ("example.com/2026-01-01T00-00-00Z/00-home-full.jpg")
+         * @param {Buffer} body
+         * @returns {Promise<{url: string, path: string}>}
+         */
+        async save(key, body) {
+            const path = join(root, key);
+            await mkdir(dirname(path), { recursive: true });
+            await writeFile(path, body);
+            return { url: `${base}/${key}`, path };
+        }
+    };
+};
@@ -0,0 +1,96 @@
+/**
+ * Page Screenshots
+ * Above-the-fold and full-page screenshots of analyzed pages, saved to disk or
+ * an S3-compatible store
+ *
+ * Storage (SCREENSHOT_STORAGE):
+ * - disk (default) - files under SCREENSHOT_DIR, served at /screenshots (unguessable URLs, no API key)
+ * - s3             - S3_BUCKET on S3_ENDPOINT (AWS, MinIO, R2, ...)
+ *
+ * A storage implements: save(key, buffer, contentType) → { url, ... }
+ */
+
+import { randomBytes } from 'crypto';
+import { config } from '../config/index.mjs';
+import { takeScreenshot } from '../utils/browser.mjs';
+import { normalizeDomain } from '../utils/domain.mjs';
+import { createDiskStorage } from './disk.mjs';
+import { createS3Storage } from './s3.mjs';
+
+const EXTENSIONS = { jpeg: 'jpg', webp: 'webp' };
+
+let storage = null;
+
+/**
+ * Get the configured storage (created once)
+ * @returns {{save: Function}}
+ */
+const getStorage = () => {
+    if (!storage) {
+        storage = config.screenshots.storage === 's3'
+            ? createS3Storage(config.screenshots.s3)
+            : createDiskStorage(config.screenshots);
+    }
+    return storage;
+};
+
+/**
+ * File name part for a page ("https://example.com/en/pricing" → "en-pricing", homepage → "home")
+ * @param {string} url
+ * @returns {string}
+ */
+const pageSlug = (url) => {
+    let path = '';
+    try {
+        path = decodeURIComponent(new URL(url).pathname);
+    } catch { /* keep empty */ }
+
+    const slug = path
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{Diacritic}/gu, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+
+    return slug || 'home';
+};
+
+/**
+ * Folder for one analysis' screenshots: "<domain>/<timestamp>-<random token>"
+ * The token makes screenshot URLs unguessable, so /screenshots needs no API key
+ * @param {string} targetUrl - Analyzed website
+ * @returns {string}
+ */
+export const getScreenshotPrefix = (targetUrl) =>
+    `${normalizeDomain(targetUrl) || 'unknown'}/${new Date().toISOString().replace(/[:.]/g, '-')}-${randomBytes(16).toString('hex')}`;
+
+/**
+ * Capture the current page above the fold (the viewport) and in full, and store both
+ * A failure is reported in `error`, never thrown: screenshots don't fail an analysis.
+ *
+ * @param {import('playwright').Page} page - Playwright page (loaded)
+ * @param {string} url - Page URL
+ * @param {object} options
+ * @param {string} options.prefix - From getScreenshotPrefix
+ * @param {number} options.index - Page number in the analysis (homepage = 0), keeps files in visit order
+ * @returns {Promise<{url: string, aboveFold: object|null, fullPage: object|null, error: string|null}>}
+ *   Each screenshot is { url, width, height, bytes } (+ path on disk, key on S3)
+ */
+export const capturePage = async (page, url, { prefix, index }) => {
+    const { format, quality, maxHeight } = config.screenshots;
+    const name = `${prefix}/${String(index).padStart(2, '0')}-${pageSlug(url)}`;
+    const shots = { aboveFold: null, fullPage: null };
+
+    try {
+        for (const [kind, fullPage, suffix] of [['aboveFold', false, 'fold'], ['fullPage', true, 'full']]) {
+            const { buffer, width, height } = await takeScreenshot(page, { fullPage, format, quality, maxHeight });
+            const saved = await getStorage().save(`${name}-${suffix}.${EXTENSIONS[format]}`, buffer, `image/${format}`);
+            shots[kind] = { ...saved, width, height, bytes: buffer.length };
+        }
+        return { url, ...shots, error: null };
+    } catch (error) {
+        console.error(`[Screenshots] Failed on ${url}: ${error.message}`);
+        return { url, ...shots, error: error.message };
+    }
+};
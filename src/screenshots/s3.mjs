@@ -0,0 +1,103 @@
+/**
+ * S3-Compatible Screenshot Storage
+ * AWS S3, MinIO, Cloudflare R2, Backblaze B2, ... Objects are uploaded with a
+ * signed PUT (AWS Signature Version 4), no SDK needed.
+ */
+
+import { createHash, createHmac } from 'crypto';
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+
+/**
+ * Encode an object key for the URL path (each segment, RFC 3986)
+ */
+const encodeKey = (key) => key
+    .split('/')
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+
+/**
+ * Authorization header of a request (AWS Signature Version 4, no query string)
+ *
+ * @param {object} request
+ * @param {string} request.method
+ * @param {URL} request.url
+ * @param {object} request.headers - Headers to sign, lowercase names (host and x-amz-date included)
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {object} credentials - { accessKeyId, secretAccessKey, region }
+ * @returns {string}
+ */
+export const signRequest = ({ method, url, headers, payloadHash }, { accessKeyId, secretAccessKey, region }) => {
+    const amzDate = headers['x-amz-date'];
+    const date = amzDate.slice(0, 8);
+    const names = Object.keys(headers).sort();
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        '',
+        names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+/**
+ * Create an S3-compatible storage
+ * @param {object} options
+ * @param {string} options.endpoint - e.g. https://s3.eu-west-1.amazonaws.com or http://localhost:9000 (MinIO)
+ * @param {string} options.region
+ * @param {string} options.bucket
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {boolean} options.forcePathStyle - endpoint/bucket/key URLs (MinIO) instead of bucket.endpoint/key
+ * @param {string|null} options.publicUrl - Base URL objects are served from (default: their endpoint URL)
+ * @returns {{save: Function}}
+ */
+export const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true, publicUrl = null }) => {
+    const base = new URL(endpoint);
+
+    const objectUrl = (key) => (forcePathStyle
+        ? new URL(`${base.pathname.replace(/\/+$/, '')}/${bucket}/${encodeKey(key)}`, base)
+        : new URL(`/${encodeKey(key)}`, `${base.protocol}//${bucket}.${base.host}`));
+
+    return {
+        /**
+         * @param {string} key - Object key
+         * @param {Buffer} body
+         * @param {string} contentType
+         * @returns {Promise<{url: string, key: string}>}
+         */
+        async save(key, body, contentType) {
+            const url = objectUrl(key);
+            const payloadHash = sha256(body);
+            // fetch sets Host itself: it is signed, not sent
+            const sent = {
+                'content-type': contentType,
+                'x-amz-content-sha256': payloadHash,
+                'x-amz-date': new Date().toISOString().replace(/[-:]|\.\d{3}/g, '')
+            };
+            const authorization = signRequest({ method: 'PUT', url, headers: { host: url.host, ...sent }, payloadHash }, { accessKeyId, secretAccessKey, region });
+
+            const response = await fetch(url, { method: 'PUT', headers: { ...sent, authorization }, body });
+            if (!response.ok) {
+                const detail = (await response.text().catch(() => '')).slice(0, 200);
+                throw new Error(`S3 upload of ${key} failed: ${response.status} ${detail}`);
+            }
+
+            return {
+                url: publicUrl ? `${publicUrl.replace(/\/+$/, '')}/${encodeKey(key)}` : url.href,
+                key
+            };
+        }
+    };
+};
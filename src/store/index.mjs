@@ -0,0 +1,215 @@
+/**
+ * Result Store
+ * Persists every analysis keyed by normalized domain
+ *
+ * Drivers (STORE_DRIVER):
+ * - sqlite (default) - better-sqlite3 file at STORE_PATH
+ * - memory           - lost on restart
+ * - <module path>    - custom driver exporting createStore(config.store)
+ *
+ * A driver implements: saveAnalysis, getLatestAnalysis, getAnalysis, listAnalyses,
+ * saveWatch, getWatch, listWatches, deleteWatch, saveDelivery, listDeliveries,
+ * incrementUsage, listUsage, close
+ */
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { config } from '../config/index.mjs';
+import { normalizeDomain } from '../utils/domain.mjs';
+
+let storePromise = null;
+
+/**
+ * Load the configured driver (once)
+ * @returns {Promise<object>} Store implementation
+ */
+const loadStore = async () => {
+    const { driver } = config.store;
+
+    if (driver === 'sqlite') {
+        const { createSqliteStore } = await import('./sqlite.mjs');
+        return createSqliteStore(config.store);
+    }
+
+    if (driver === 'memory') {
+        const { createMemoryStore } = await import('./memory.mjs');
+        return createMemoryStore(config.store);
+    }
+
+    // Custom driver module
+    const module = await import(pathToFileURL(resolve(driver)).href);
+    if (typeof module.createStore !== 'function') {
+        throw new Error(`Store driver "${driver}" must export createStore()`);
+    }
+
+    console.log(`[Store] Using custom driver: ${driver}`);
+    return await module.createStore(config.store);
+};
+
+/**
+ * Get the store instance
+ * @returns {Promise<object>}
+ */
+export const getStore = () => {
+    if (!storePromise) {
+        storePromise = loadStore().catch(error => {
+            storePromise = null;
+            throw error;
+        });
+    }
+    return storePromise;
+};
+
+/**
+ * Persist an analysis result
+ * @param {string} url - Analyzed URL
+ * @param {object} data - Response data (the `data` field of /analyze)
+ * @param {object} options
+ * @param {boolean} options.useAI - Whether AI extraction ran
+ * @returns {Promise<object>} Stored record ({ id, domain, url, useAI, createdAt, data })
+ */
+export const saveAnalysis = async (url, data, { useAI = true } = {}) => {
+    const domain = normalizeDomain(url);
+    if (!domain) {
+        throw new Error(`Cannot store analysis for invalid URL: ${url}`);
+    }
+
+    const store = await getStore();
+    return await store.saveAnalysis({
+        domain,
+        url,
+        useAI,
+        createdAt: new Date().toISOString(),
+        data
+    });
+};
+
+/**
+ * Latest analysis for a domain
+ * @param {string} domain - Domain or URL (normalized)
+ * @returns {Promise<object|null>}
+ */
+export const getLatestAnalysis = async (domain) => {
+    const store = await getStore();
+    return await store.getLatestAnalysis(normalizeDomain(domain));
+};
+
+/**
+ * A specific analysis of a domain
+ * @param {string} domain - Domain or URL (normalized)
+ * @param {number} id - Analysis ID
+ * @returns {Promise<object|null>}
+ */
+export const getAnalysis = async (domain, id) => {
+    const store = await getStore();
+    return await store.getAnalysis(normalizeDomain(domain), id);
+};
+
+/**
+ * Previous analyses for a domain, newest first
+ * @param {string} domain - Domain or URL (normalized)
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<{total: number, analyses: object[]}>}
+ */
+export const listAnalyses = async (domain, { limit = 20, offset = 0 } = {}) => {
+    const store = await getStore();
+    return await store.listAnalyses(normalizeDomain(domain), { limit, offset });
+};
+
+/**
+ * Create or update a watch
+ * @param {object} watch
+ * @returns {Promise<object>}
+ */
+export const saveWatch = async (watch) => {
+    const store = await getStore();
+    return await store.saveWatch(watch);
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export const getWatch = async (id) => {
+    const store = await getStore();
+    return await store.getWatch(id);
+};
+
+/**
+ * @returns {Promise<object[]>} All watches, oldest first
+ */
+export const listWatches = async () => {
+    const store = await getStore();
+    return await store.listWatches();
+};
+
+/**
+ * Delete a watch and its delivery log
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether the watch existed
+ */
+export const deleteWatch = async (id) => {
+    const store = await getStore();
+    return await store.deleteWatch(id);
+};
+
+/**
+ * Create or update a webhook delivery log entry
+ * @param {object} delivery
+ * @returns {Promise<object>}
+ */
+export const saveDelivery = async (delivery) => {
+    const store = await getStore();
+    return await store.saveDelivery(delivery);
+};
+
+/**
+ * Webhook deliveries for a watch, newest first
+ * @param {string} watchId
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<object[]>}
+ */
+export const listDeliveries = async (watchId, { limit = 20, offset = 0 } = {}) => {
+    const store = await getStore();
+    return await store.listDeliveries(watchId, { limit, offset });
+};
+
+/**
+ * Add to an API key's usage counters for a day
+ * @param {string} keyId - API key ID
+ * @param {string} date - UTC day (YYYY-MM-DD)
+ * @param {object} counts - Amounts to add (may be negative)
+ * @param {number} counts.requests
+ * @param {number} counts.analyses
+ * @returns {Promise<{date: string, requests: number, analyses: number}>} Updated counters
+ */
+export const incrementUsage = async (keyId, date, { requests = 0, analyses = 0 } = {}) => {
+    const store = await getStore();
+    return await store.incrementUsage(keyId, date, { requests, analyses });
+};
+
+/**
+ * Daily usage of an API key, newest first
+ * @param {string} keyId
+ * @param {object} options
+ * @param {number} options.limit - Number of days
+ * @returns {Promise<object[]>} [{ date, requests, analyses }]
+ */
+export const listUsage = async (keyId, { limit = 30 } = {}) => {
+    const store = await getStore();
+    return await store.listUsage(keyId, { limit });
+};
+
+/**
+ * Close the store (graceful shutdown)
+ */
+export const closeStore = async () => {
+    if (!storePromise) return;
+    const store = await storePromise.catch(() => null);
+    await store?.close();
+    storePromise = null;
+};
@@ -0,0 +1,96 @@
+/**
+ * In-Memory Result Store
+ * Lost on restart - useful for development or when persistence isn't wanted
+ */
+
+/**
+ * Create an in-memory store
+ * @returns {object} Store implementation
+ */
+export const createMemoryStore = () => {
+    const analyses = [];
+    const watches = new Map();
+    const deliveries = new Map();
+    const usage = new Map(); // "keyId|date" → { date, requests, analyses }
+    let nextId = 1;
+
+    // Newest first
+    const forDomain = (domain) => analyses
+        .filter(record => record.domain === domain)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+
+    return {
+        async saveAnalysis(analysis) {
+            const record = { id: nextId++, ...analysis };
+            analyses.push(record);
+            return record;
+        },
+
+        async getLatestAnalysis(domain) {
+            return forDomain(domain)[0] || null;
+        },
+
+        async getAnalysis(domain, id) {
+            return analyses.find(record => record.domain === domain && record.id === id) || null;
+        },
+
+        async listAnalyses(domain, { limit, offset }) {
+            const records = forDomain(domain);
+            return {
+                total: records.length,
+                analyses: records.slice(offset, offset + limit)
+            };
+        },
+
+        async saveWatch(watch) {
+            watches.set(watch.id, watch);
+            return watch;
+        },
+
+        async getWatch(id) {
+            return watches.get(id) || null;
+        },
+
+        async listWatches() {
+            return [...watches.values()];
+        },
+
+        async deleteWatch(id) {
+            for (const [deliveryId, delivery] of deliveries) {
+                if (delivery.watchId === id) deliveries.delete(deliveryId);
+            }
+            return watches.delete(id);
+        },
+
+        async saveDelivery(delivery) {
+            deliveries.set(delivery.id, delivery);
+            return delivery;
+        },
+
+        async listDeliveries(watchId, { limit, offset }) {
+            return [...deliveries.values()]
+                .filter(delivery => delivery.watchId === watchId)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(offset, offset + limit);
+        },
+
+        async incrementUsage(keyId, date, { requests, analyses }) {
+            const id = `${keyId}|${date}`;
+            const entry = usage.get(id) || { keyId, date, requests: 0, analyses: 0 };
+            entry.requests += requests;
+            entry.analyses += analyses;
+            usage.set(id, entry);
+            return { date, requests: entry.requests, analyses: entry.analyses };
+        },
+
+        async listUsage(keyId, { limit }) {
+            return [...usage.values()]
+                .filter(entry => entry.keyId === keyId)
+                .sort((a, b) => b.date.localeCompare(a.date))
+                .slice(0, limit)
+                .map(({ date, requests, analyses }) => ({ date, requests, analyses }));
+        },
+
+        async close() { }
+    };
+};
@@ -0,0 +1,156 @@
+/**
+ * SQLite Result Store (default)
+ * One row per analysis, JSON payload, indexed by normalized domain
+ * Watches and webhook deliveries are stored alongside as JSON rows, API key usage as daily counters
+ */
+
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import Database from 'better-sqlite3';
+
+/**
+ * Map a database row to a stored analysis record
+ */
+const toRecord = (row) => row && ({
+    id: row.id,
+    domain: row.domain,
+    url: row.url,
+    useAI: !!row.use_ai,
+    createdAt: row.created_at,
+    data: JSON.parse(row.data)
+});
+
+/**
+ * Create a SQLite-backed store
+ * @param {object} options
+ * @param {string} options.path - Database file path
+ * @returns {object} Store implementation
+ */
+export const createSqliteStore = ({ path }) => {
+    mkdirSync(dirname(path), { recursive: true });
+
+    const db = new Database(path);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS analyses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            domain TEXT NOT NULL,
+            url TEXT NOT NULL,
+            use_ai INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_analyses_domain_created ON analyses (domain, created_at DESC);
+
+        CREATE TABLE IF NOT EXISTS watches (
+            id TEXT PRIMARY KEY,
+            created_at TEXT NOT NULL,
+            data TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS deliveries (
+            id TEXT PRIMARY KEY,
+            watch_id TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_deliveries_watch_created ON deliveries (watch_id, created_at DESC);
+
+        CREATE TABLE IF NOT EXISTS usage (
+            key_id TEXT NOT NULL,
+            date TEXT NOT NULL,
+            requests INTEGER NOT NULL DEFAULT 0,
+            analyses INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (key_id, date)
+        );
+    `);
+
+    const statements = {
+        insert: db.prepare('INSERT INTO analyses (domain, url, use_ai, created_at, data) VALUES (?, ?, ?, ?, ?)'),
+        latest: db.prepare('SELECT * FROM analyses WHERE domain = ? ORDER BY created_at DESC, id DESC LIMIT 1'),
+        byId: db.prepare('SELECT * FROM analyses WHERE domain = ? AND id = ?'),
+        history: db.prepare('SELECT * FROM analyses WHERE domain = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?'),
+        count: db.prepare('SELECT COUNT(*) AS total FROM analyses WHERE domain = ?'),
+
+        upsertWatch: db.prepare('INSERT INTO watches (id, created_at, data) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+        getWatch: db.prepare('SELECT data FROM watches WHERE id = ?'),
+        listWatches: db.prepare('SELECT data FROM watches ORDER BY created_at'),
+        deleteWatch: db.prepare('DELETE FROM watches WHERE id = ?'),
+        deleteWatchDeliveries: db.prepare('DELETE FROM deliveries WHERE watch_id = ?'),
+
+        upsertDelivery: db.prepare('INSERT INTO deliveries (id, watch_id, created_at, data) VALUES (?, ?, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+        listDeliveries: db.prepare('SELECT data FROM deliveries WHERE watch_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?'),
+
+        incrementUsage: db.prepare(`
+            INSERT INTO usage (key_id, date, requests, analyses) VALUES (?, ?, ?, ?)
+            ON CONFLICT(key_id, date) DO UPDATE SET requests = requests + excluded.requests, analyses = analyses + excluded.analyses
+            RETURNING date, requests, analyses
+        `),
+        listUsage: db.prepare('SELECT date, requests, analyses FROM usage WHERE key_id = ? ORDER BY date DESC LIMIT ?')
+    };
+
+    console.log(`[Store] SQLite database: ${path}`);
+
+    return {
+        async saveAnalysis({ domain, url, useAI, createdAt, data }) {
+            const result = statements.insert.run(domain, url, useAI ? 1 : 0, createdAt, JSON.stringify(data));
+            return { id: Number(result.lastInsertRowid), domain, url, useAI, createdAt, data };
+        },
+
+        async getLatestAnalysis(domain) {
+            return toRecord(statements.latest.get(domain)) || null;
+        },
+
+        async getAnalysis(domain, id) {
+            return toRecord(statements.byId.get(domain, id)) || null;
+        },
+
+        async listAnalyses(domain, { limit, offset }) {
+            return {
+                total: statements.count.get(domain).total,
+                analyses: statements.history.all(domain, limit, offset).map(toRecord)
+            };
+        },
+
+        async saveWatch(watch) {
+            statements.upsertWatch.run(watch.id, watch.createdAt, JSON.stringify(watch));
+            return watch;
+        },
+
+        async getWatch(id) {
+            const row = statements.getWatch.get(id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async listWatches() {
+            return statements.listWatches.all().map(row => JSON.parse(row.data));
+        },
+
+        async deleteWatch(id) {
+            statements.deleteWatchDeliveries.run(id);
+            return statements.deleteWatch.run(id).changes > 0;
+        },
+
+        async saveDelivery(delivery) {
+            statements.upsertDelivery.run(delivery.id, delivery.watchId, delivery.createdAt, JSON.stringify(delivery));
+            return delivery;
+        },
+
+        async listDeliveries(watchId, { limit, offset }) {
+            return statements.listDeliveries.all(watchId, limit, offset).map(row => JSON.parse(row.data));
+        },
+
+        async incrementUsage(keyId, date, { requests, analyses }) {
+            return { ...statements.incrementUsage.get(keyId, date, requests, analyses) };
+        },
+
+        async listUsage(keyId, { limit }) {
+            return statements.listUsage.all(keyId, limit).map(row => ({ ...row }));
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+};
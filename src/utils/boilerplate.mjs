@@ -0,0 +1,63 @@
+/**
+ * Cross-Page Boilerplate Removal
+ * Menus, footers and banners that getMainContent doesn't catch repeat on every page
+ * of a site. A filter remembers runs of consecutive lines from the pages it has seen
+ * and drops runs that come back (on a later page, or twice on the same page).
+ *
+ * Only runs count, never single lines: a price or plan name that recurs on
+ * several pages is content, a block of RUN_LENGTH identical lines is boilerplate
+ */
+
+const RUN_LENGTH = 3;
+
+// Runs shorter than this ("✓ ✓ ✓" rows of a comparison table) are never dropped
+const MIN_RUN_CHARS = 30;
+
+const normalizeLine = (line) => line.replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Create a boilerplate filter for one analysis (pages of the same site)
+ * @returns {{clean: (text: string) => string}}
+ */
+export const createBoilerplateFilter = () => {
+    const seen = new Set();
+
+    return {
+        /**
+         * Remove blocks already seen, then remember this page's blocks
+         * @param {string} text - Page text
+         * @returns {string} Text without repeated blocks
+         */
+        clean(text) {
+            const lines = text.split('\n');
+            const indices = lines.map((line, index) => (line.trim() ? index : -1)).filter(index => index >= 0);
+            const keys = indices.map(index => normalizeLine(lines[index]));
+
+            const pageRuns = new Set();
+            const dropped = new Set();
+
+            for (let start = 0; start + RUN_LENGTH <= keys.length; start++) {
+                const run = keys.slice(start, start + RUN_LENGTH);
+                if (run.join('').length < MIN_RUN_CHARS) continue;
+
+                const key = run.join('\n');
+                if (seen.has(key) || pageRuns.has(key)) {
+                    for (let offset = 0; offset < RUN_LENGTH; offset++) {
+                        dropped.add(indices[start + offset]);
+                    }
+                }
+                pageRuns.add(key);
+            }
+
+            for (const key of pageRuns) seen.add(key);
+
+            if (dropped.size === 0) return text;
+
+            return lines
+                .filter((_, index) => !dropped.has(index))
+                .join('\n')
+                .replace(/\n\s*\n(\s*\n)+/g, '\n\n')
+                .trim();
+        }
+    };
+};
@@ -83,6 +83,144 @@ export const getPageContent = async (page) => {
     return await page.evaluate(() => document.body.innerText || '');
 };
 
+/**
+ * Declared language and hreflang alternates of the page
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{declared: string|null, alternates: {hreflang: string, href: string}[]}>}
+ */
+export const getLanguageInfo = async (page) => {
+    try {
+        return await page.evaluate(() => ({
+            declared: document.documentElement.getAttribute('lang') || null,
+            alternates: [...document.querySelectorAll('link[rel="alternate"][hreflang][href]')]
+                .map(link => ({ hreflang: link.getAttribute('hreflang'), href: link.href }))
+        }));
+    } catch {
+        return { declared: null, alternates: [] };
+    }
+};
+
+/**
+ * Main content text of the page, without the boilerplate around it:
+ * - the <main> element when it holds a good share of the page's text, else the body
+ * - minus navigation, site header/footer, sidebars, dialogs, cookie/consent banners
+ *   and link-dense blocks (mega-menus, footer link lists)
+ * Boilerplate is hidden while the text is read (innerText keeps the layout's line breaks), then restored.
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string|null>} Cleaned text, or null when cleaning failed
+ */
+export const getMainContent = async (page) => {
+    try {
+        return await page.evaluate(() => {
+            const BOILERPLATE_SELECTOR = [
+                'nav', 'aside', 'dialog', 'script', 'style', 'noscript', 'iframe', 'svg',
+                '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+                '[role="dialog"]', '[role="alertdialog"]', '[aria-modal="true"]'
+            ].join(', ');
+            const COOKIE_PATTERN = /cookie|consent|gdpr|onetrust|cookiebot|didomi|truste|cmp-banner/i;
+
+            // Below this, the "main content" is likely a misdetection: fall back to all text
+            const MIN_CONTENT_LENGTH = 200;
+
+            const textLength = (element) => (element.innerText || '').trim().length;
+            const bodyText = document.body.innerText || '';
+
+            const main = [...document.querySelectorAll('main, [role="main"]')]
+                .find(element => textLength(element) >= bodyText.trim().length * 0.3);
+            const root = main || document.body;
+
+            const isInContent = (element) => !!element.closest('main, [role="main"], article');
+
+            const boilerplate = new Set([
+                ...root.querySelectorAll(BOILERPLATE_SELECTOR),
+                // Site header/footer (a header inside the content is usually its title)
+                ...[...root.querySelectorAll('header, footer')].filter(element => !isInContent(element)),
+                // Cookie and consent banners
+                ...[...root.querySelectorAll('[id], [class]')].filter(element =>
+                    COOKIE_PATTERN.test(`${element.id} ${element.getAttribute('class')}`) && textLength(element) < 1500),
+                // Blocks that are mostly links
+                ...[...root.querySelectorAll('ul, ol, div, section')].filter(element => {
+                    const links = element.querySelectorAll('a');
+                    if (links.length < 10) return false;
+                    const linkText = [...links].reduce((sum, link) => sum + (link.innerText || '').trim().length, 0);
+                    return linkText / Math.max(1, textLength(element)) > 0.8;
+                })
+            ]);
+
+            const hidden = [];
+            try {
+                for (const element of boilerplate) {
+                    hidden.push([element, element.style.display]);
+                    element.style.display = 'none';
+                }
+                const text = (root.innerText || '').trim();
+                return text.length >= MIN_CONTENT_LENGTH ? text : bodyText;
+            } finally {
+                for (const [element, display] of hidden) {
+                    element.style.display = display;
+                }
+            }
+        });
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Alt and title texts of the page's images (logo walls name their logos this way)
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string[]>} Unique non-empty texts
+ */
+export const getImageTexts = async (page) => {
+    try {
+        return await page.evaluate(() => {
+            const texts = [...document.querySelectorAll('img[alt], img[title]')]
+                .flatMap(image => [image.getAttribute('alt'), image.getAttribute('title')])
+                .map(text => (text || '').trim())
+                .filter(Boolean);
+            return [...new Set(texts)].slice(0, 500);
+        });
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Screenshot of the page from its top, through the DevTools protocol
+ * (Playwright's page.screenshot has no WebP)
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} options
+ * @param {boolean} options.fullPage - Whole page (capped at maxHeight) instead of the viewport
+ * @param {string} options.format - 'jpeg' or 'webp'
+ * @param {number} options.quality - Compression quality, 1-100
+ * @param {number} options.maxHeight - Full-page height cap (px)
+ * @returns {Promise<{buffer: Buffer, width: number, height: number}>}
+ */
+export const takeScreenshot = async (page, { fullPage = false, format = 'jpeg', quality = 70, maxHeight = 15000 } = {}) => {
+    const session = await page.context().newCDPSession(page);
+    try {
+        await page.evaluate(() => window.scrollTo(0, 0));
+        const { cssContentSize, cssLayoutViewport } = await session.send('Page.getLayoutMetrics');
+        const width = Math.ceil(cssLayoutViewport.clientWidth);
+        const height = fullPage
+            ? Math.min(Math.ceil(cssContentSize.height), maxHeight)
+            : Math.ceil(cssLayoutViewport.clientHeight);
+
+        const { data } = await session.send('Page.captureScreenshot', {
+            format,
+            quality,
+            captureBeyondViewport: fullPage,
+            clip: { x: 0, y: 0, width, height, scale: 1 }
+        });
+
+        return { buffer: Buffer.from(data, 'base64'), width, height };
+    } finally {
+        await session.detach().catch(() => { });
+    }
+};
+
 /**
  * Safely close browser resources
  * @param {import('playwright').BrowserContext} context
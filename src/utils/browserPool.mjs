@@ -0,0 +1,253 @@
+/**
+ * Browser Pool
+ * Long-lived Chrome instances shared across analyses
+ *
+ * - Each analysis gets its own isolated context (cookies, storage, proxy auth)
+ * - At most `maxConcurrency` contexts are open at once, extra requests wait in a queue
+ * - Browsers are recycled after `maxUses` contexts (Chrome leaks memory over time)
+ * - Crashed/disconnected browsers are dropped and replaced on demand
+ */
+
+import { config } from '../config/index.mjs';
+import { launchBrowser, createContext, closeBrowser } from './browser.mjs';
+
+// Pool state
+const browsers = []; // { id, browser, active, uses, retiring }
+const waiters = []; // { resolve, reject, cleanup }
+let activeContexts = 0;
+let nextBrowserId = 1;
+let launching = null;
+let closed = false;
+
+/**
+ * Pool statistics (exposed on /health)
+ * @returns {object}
+ */
+export const getPoolStats = () => ({
+    browsers: browsers.length,
+    activeContexts,
+    queued: waiters.length,
+    maxConcurrency: config.browser.pool.maxConcurrency,
+    details: browsers.map(entry => ({
+        id: entry.id,
+        active: entry.active,
+        uses: entry.uses,
+        retiring: entry.retiring,
+        connected: entry.browser.isConnected()
+    }))
+});
+
+/**
+ * Remove a browser from the pool and close it
+ * @param {object} entry
+ */
+const retireBrowser = async (entry) => {
+    const index = browsers.indexOf(entry);
+    if (index >= 0) browsers.splice(index, 1);
+
+    console.log(`[Browser Pool] Retiring browser #${entry.id} after ${entry.uses} uses`);
+    await closeBrowser(null, entry.browser);
+};
+
+/**
+ * Launch a new browser and add it to the pool
+ * Concurrent callers share the same launch
+ * @returns {Promise<object>} Pool entry
+ */
+const addBrowser = async () => {
+    if (!launching) {
+        launching = (async () => {
+            const browser = await launchBrowser();
+            const entry = { id: nextBrowserId++, browser, active: 0, uses: 0, retiring: false };
+
+            browser.on('disconnected', () => {
+                const index = browsers.indexOf(entry);
+                if (index >= 0) {
+                    console.log(`[Browser Pool] Browser #${entry.id} disconnected, removing from pool`);
+                    browsers.splice(index, 1);
+                }
+            });
+
+            browsers.push(entry);
+            console.log(`[Browser Pool] Launched browser #${entry.id} (${browsers.length}/${config.browser.pool.size})`);
+            return entry;
+        })().finally(() => {
+            launching = null;
+        });
+    }
+
+    return await launching;
+};
+
+/**
+ * Pick the browser for a new context
+ * Least-loaded healthy browser, launching a new one while below pool size
+ * @returns {Promise<object>} Pool entry
+ */
+const pickBrowser = async () => {
+    const healthy = browsers
+        .filter(entry => !entry.retiring && entry.browser.isConnected())
+        .sort((a, b) => a.active - b.active);
+
+    const idle = healthy.find(entry => entry.active === 0);
+    if (idle) return idle;
+
+    if (browsers.length < config.browser.pool.size) {
+        return await addBrowser();
+    }
+
+    if (healthy.length > 0) return healthy[0];
+
+    return await addBrowser();
+};
+
+/**
+ * Wait for a free slot (queue when the pool is saturated)
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+const acquireSlot = (signal) => {
+    if (activeContexts < config.browser.pool.maxConcurrency && waiters.length === 0) {
+        activeContexts++;
+        return Promise.resolve();
+    }
+
+    console.log(`[Browser Pool] Saturated, queueing (${waiters.length + 1} waiting)`);
+
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject };
+
+        const timeoutId = setTimeout(() => {
+            removeWaiter(waiter);
+            reject(new Error(`Browser pool timeout after ${config.browser.pool.acquireTimeout}ms`));
+        }, config.browser.pool.acquireTimeout);
+
+        const onAbort = () => {
+            removeWaiter(waiter);
+            reject(signal.reason instanceof Error ? signal.reason : new Error('Analysis aborted'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        waiter.cleanup = () => {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        waiters.push(waiter);
+    });
+};
+
+const removeWaiter = (waiter) => {
+    const index = waiters.indexOf(waiter);
+    if (index >= 0) waiters.splice(index, 1);
+    waiter.cleanup();
+};
+
+/**
+ * Free a slot and hand it to the next waiter
+ */
+const releaseSlot = () => {
+    const next = waiters.shift();
+    if (next) {
+        next.cleanup();
+        next.resolve(); // Slot is handed over, activeContexts unchanged
+    } else {
+        activeContexts--;
+    }
+};
+
+/**
+ * Acquire an isolated browser context from the pool
+ * Always pair with releaseContext() in a finally block
+ *
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Stop waiting in the queue when aborted
+ * @returns {Promise<{context: import('playwright').BrowserContext, entry: object}>} Lease
+ */
+export const acquireContext = async ({ signal = null } = {}) => {
+    if (closed) {
+        throw new Error('Browser pool is closed');
+    }
+
+    await acquireSlot(signal);
+
+    let entry = null;
+    try {
+        entry = await pickBrowser();
+        entry.active++;
+        entry.uses++;
+
+        // Recycle once this browser has served enough contexts
+        if (entry.uses >= config.browser.pool.maxUses) {
+            entry.retiring = true;
+        }
+
+        const context = await createContext(entry.browser);
+        return { context, entry };
+
+    } catch (error) {
+        if (entry) {
+            entry.active--;
+            // A browser that can't open a context is unhealthy
+            entry.retiring = true;
+            if (entry.active === 0) await retireBrowser(entry);
+        }
+        releaseSlot();
+        throw error;
+    }
+};
+
+/**
+ * Close a leased context and return its slot to the pool
+ * @param {{context: import('playwright').BrowserContext, entry: object}|null} lease
+ */
+export const releaseContext = async (lease) => {
+    if (!lease) return;
+
+    const { context, entry } = lease;
+    await closeBrowser(context, null);
+
+    entry.active--;
+    if (entry.retiring && entry.active === 0) {
+        await retireBrowser(entry);
+    }
+
+    releaseSlot();
+};
+
+/**
+ * Periodic health check: drop disconnected browsers, close idle retiring ones
+ */
+const healthCheck = async () => {
+    for (const entry of [...browsers]) {
+        if (!entry.browser.isConnected()) {
+            console.log(`[Browser Pool] Browser #${entry.id} is not connected, removing`);
+            const index = browsers.indexOf(entry);
+            if (index >= 0) browsers.splice(index, 1);
+            continue;
+        }
+
+        if (entry.retiring && entry.active === 0) {
+            await retireBrowser(entry);
+        }
+    }
+};
+
+setInterval(() => {
+    healthCheck().catch(error => console.error(`[Browser Pool] Health check error: ${error.message}`));
+}, config.browser.pool.healthCheckInterval).unref();
+
+/**
+ * Close every browser (graceful shutdown)
+ */
+export const closeBrowserPool = async () => {
+    closed = true;
+
+    for (const waiter of waiters.splice(0)) {
+        waiter.cleanup();
+        waiter.reject(new Error('Browser pool is closed'));
+    }
+
+    await Promise.all(browsers.splice(0).map(entry => closeBrowser(null, entry.browser)));
+    console.log('[Browser Pool] Closed');
+};
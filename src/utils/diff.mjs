@@ -0,0 +1,115 @@
+/**
+ * Analysis Diff
+ * Structured changes between two analyses of the same company
+ */
+
+/**
+ * Case/whitespace-insensitive comparison key
+ */
+const normalizeKey = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Added/removed items between two string lists
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{added: string[], removed: string[]}}
+ */
+const diffList = (before = [], after = []) => {
+    const beforeKeys = new Set(before.map(normalizeKey));
+    const afterKeys = new Set(after.map(normalizeKey));
+
+    return {
+        added: [...new Set(after.filter(item => !beforeKeys.has(normalizeKey(item))))],
+        removed: [...new Set(before.filter(item => !afterKeys.has(normalizeKey(item))))]
+    };
+};
+
+// Plan fields that make a plan "repriced" when they change
+const PRICE_FIELDS = ['price', 'type', 'currency', 'monthlyPrice', 'annualPrice'];
+
+/**
+ * The given price fields of a plan (null when empty)
+ */
+const pickPrice = (plan, fields) => Object.fromEntries(fields.map(field => [field, plan[field] ?? null]));
+
+/**
+ * Pricing plan changes (plans are matched by name)
+ * @param {object[]} before
+ * @param {object[]} after
+ * @returns {{added: object[], removed: object[], repriced: object[]}}
+ */
+const diffPlans = (before = [], after = []) => {
+    const beforeByName = new Map(before.map(plan => [normalizeKey(plan.name), plan]));
+    const afterByName = new Map(after.map(plan => [normalizeKey(plan.name), plan]));
+
+    const added = after.filter(plan => !beforeByName.has(normalizeKey(plan.name)));
+    const removed = before.filter(plan => !afterByName.has(normalizeKey(plan.name)));
+    const repriced = [];
+
+    for (const [key, newPlan] of afterByName) {
+        const oldPlan = beforeByName.get(key);
+        if (!oldPlan) continue;
+
+        // Only compare what both analyses extracted
+        const fields = PRICE_FIELDS.filter(field => field in oldPlan && field in newPlan);
+        if (fields.some(field => (oldPlan[field] ?? null) !== (newPlan[field] ?? null))) {
+            repriced.push({
+                name: newPlan.name,
+                from: pickPrice(oldPlan, fields),
+                to: pickPrice(newPlan, fields)
+            });
+        }
+    }
+
+    return { added, removed, repriced };
+};
+
+/**
+ * Value change, or null if unchanged
+ */
+const diffValue = (before, after) => {
+    if ((before ?? null) === (after ?? null)) return null;
+    return { from: before ?? null, to: after ?? null };
+};
+
+/**
+ * Compare two analyses (the `data` payloads of /analyze)
+ *
+ * @param {object} before - Older analysis data
+ * @param {object} after - Newer analysis data
+ * @returns {{hasChanges: boolean, intelligenceCompared: boolean, changes: object}}
+ */
+export const diffAnalyses = (before, after) => {
+    // AI sections are only comparable when both runs had AI extraction
+    const intelligenceCompared = !!before?.intelligence && !!after?.intelligence;
+    const oldIntel = intelligenceCompared ? before.intelligence : {};
+    const newIntel = intelligenceCompared ? after.intelligence : {};
+
+    const oldEmployees = oldIntel.linkedinData?.employeeCount ?? null;
+    const newEmployees = newIntel.linkedinData?.employeeCount ?? null;
+    const employeeChange = diffValue(oldEmployees, newEmployees);
+
+    const changes = {
+        pricing: diffPlans(oldIntel.pricing?.plans, newIntel.pricing?.plans),
+        customers: diffList(oldIntel.customers?.names, newIntel.customers?.names),
+        competitors: diffList(oldIntel.competitors?.names, newIntel.competitors?.names),
+        technologies: diffList(before?.detectedTechnologies, after?.detectedTechnologies),
+        cms: diffValue(before?.cms, after?.cms),
+        employeeCount: employeeChange && {
+            ...employeeChange,
+            delta: oldEmployees !== null && newEmployees !== null ? newEmployees - oldEmployees : null
+        }
+    };
+
+    const hasChanges =
+        changes.pricing.added.length > 0 ||
+        changes.pricing.removed.length > 0 ||
+        changes.pricing.repriced.length > 0 ||
+        ['customers', 'competitors', 'technologies'].some(key =>
+            changes[key].added.length > 0 || changes[key].removed.length > 0
+        ) ||
+        !!changes.cms ||
+        !!changes.employeeCount;
+
+    return { hasChanges, intelligenceCompared, changes };
+};
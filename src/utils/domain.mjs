@@ -0,0 +1,45 @@
+/**
+ * Domain Helpers
+ */
+
+/**
+ * Normalize a URL or bare domain to a lowercase hostname without www
+ * e.g. "https://www.Stripe.com/pricing" → "stripe.com"
+ *
+ * @param {string} input - URL or domain
+ * @returns {string|null} Normalized domain or null if invalid
+ */
+export const normalizeDomain = (input) => {
+    if (typeof input !== 'string' || !input.trim()) return null;
+
+    const value = input.trim();
+    const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+
+    try {
+        return new URL(withProtocol).hostname.toLowerCase().replace(/^www\./, '') || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Normalize a URL or bare domain ("example.com" → "https://example.com")
+ * @param {string} value
+ * @returns {string|null} Normalized URL or null if invalid
+ */
+export const normalizeInputUrl = (value) => {
+    if (typeof value !== 'string') return null;
+
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+
+    const hasProtocol = /^https?:\/\//i.test(trimmed);
+
+    try {
+        const url = new URL(hasProtocol ? trimmed : `https://${trimmed}`);
+        // Bare values must at least look like a domain
+        return hasProtocol || url.hostname.includes('.') ? url.href : null;
+    } catch {
+        return null;
+    }
+};
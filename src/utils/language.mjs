@@ -0,0 +1,86 @@
+/**
+ * Language Detection
+ * Page language from its text (common-word counts), falling back to <html lang>,
+ * and English hreflang alternates of a page
+ *
+ * Text wins over the declared language: many sites declare "en" in a template
+ * whatever the page is written in
+ */
+
+// Frequent short words that identify a language. Words several of these languages use
+// ("de", "en", "la", "e", "con", "para", ...) are left out: each word counts for one language only
+const STOPWORDS = {
+    en: ['the', 'and', 'for', 'with', 'your', 'you', 'are', 'our', 'this', 'that', 'from', 'have', 'more', 'all', 'get'],
+    fr: ['le', 'les', 'et', 'des', 'aux', 'pour', 'avec', 'vous', 'votre', 'nos', 'est', 'une', 'sur', 'dans', 'plus'],
+    de: ['der', 'die', 'das', 'und', 'für', 'mit', 'sie', 'ihre', 'ist', 'ein', 'eine', 'auf', 'nicht', 'mehr', 'wir'],
+    es: ['el', 'los', 'las', 'y', 'sus', 'es', 'por', 'más', 'nuestro', 'nuestra', 'también', 'está', 'usted', 'cuando', 'puede'],
+    it: ['il', 'gli', 'per', 'che', 'sono', 'della', 'delle', 'degli', 'alla', 'nel', 'più', 'nostro', 'tuo', 'anche', 'questo'],
+    pt: ['o', 'os', 'com', 'seu', 'sua', 'uma', 'mais', 'não', 'nosso', 'você', 'do', 'pelo', 'são', 'também', 'isso'],
+    nl: ['het', 'een', 'voor', 'met', 'van', 'uw', 'jouw', 'onze', 'zijn', 'niet', 'meer', 'ook', 'wij', 'wordt', 'bij']
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Text sampled for detection (characters)
+const SAMPLE_LENGTH = 5000;
+
+// Fewer stopword hits than this: not enough text to tell
+const MIN_HITS = 8;
+
+// The best language must have this many times the hits of the runner-up
+const MIN_MARGIN = 1.5;
+
+/**
+ * Primary language subtag of a language tag ("fr-FR" → "fr", "en_US" → "en")
+ * @param {string|null} tag
+ * @returns {string|null}
+ */
+export const primaryLanguage = (tag) => {
+    const match = String(tag || '').trim().toLowerCase().match(/^([a-z]{2,3})(?:[-_]|$)/);
+    return match ? match[1] : null;
+};
+
+/**
+ * Detect the language of a text from common words
+ * @param {string} text
+ * @returns {string|null} ISO 639-1 code, or null when unsure
+ */
+export const detectLanguage = (text) => {
+    const words = (text || '').slice(0, SAMPLE_LENGTH).toLowerCase().match(/\p{L}+/gu) || [];
+    const hits = Object.fromEntries(Object.keys(STOPWORD_SETS).map(language => [language, 0]));
+
+    for (const word of words) {
+        for (const [language, stopwords] of Object.entries(STOPWORD_SETS)) {
+            if (stopwords.has(word)) hits[language]++;
+        }
+    }
+
+    const [[best, bestHits], [, secondHits]] = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+    if (bestHits < MIN_HITS || bestHits < secondHits * MIN_MARGIN) return null;
+
+    return best;
+};
+
+/**
+ * Language of a page: detected from its text, else its declared <html lang>
+ * @param {string} text - Page text
+ * @param {string|null} declared - <html lang> value
+ * @returns {string|null}
+ */
+export const resolvePageLanguage = (text, declared = null) => detectLanguage(text) || primaryLanguage(declared);
+
+/**
+ * English alternate of a page from its hreflang links ("en" preferred over "en-GB" etc.)
+ * @param {{hreflang: string, href: string}[]} alternates - <link rel="alternate" hreflang> of the page
+ * @param {string} currentUrl - The page itself (never returned)
+ * @returns {string|null} URL of the English version
+ */
+export const findEnglishAlternate = (alternates, currentUrl) => {
+    const english = alternates
+        .filter(({ hreflang, href }) => primaryLanguage(hreflang) === 'en' && href && href !== currentUrl)
+        .sort((a, b) => a.hreflang.length - b.hreflang.length);
+
+    return english[0]?.href || null;
+};
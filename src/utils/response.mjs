@@ -0,0 +1,44 @@
+/**
+ * Response Envelope
+ * Every API response uses the same { url, data, error, statusCode, timestamp } shape
+ */
+
+/**
+ * Build a response envelope
+ * @param {string|null} url - Analyzed URL
+ * @param {object|null} data - Response payload
+ * @param {string|null} error - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {object}
+ */
+export const buildResponse = (url, data, error = null, statusCode = 200) => ({
+    url,
+    data,
+    error,
+    statusCode,
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * Build the envelope for an analysis result
+ * Cached results keep the timestamp of the analysis that produced them
+ * @param {string} url - Analyzed URL
+ * @param {{data: object, cached: boolean, timestamp: string}} result - From runCachedAnalysis
+ * @returns {object}
+ */
+export const buildAnalysisResponse = (url, { data, cached, timestamp }) => ({
+    ...buildResponse(url, data),
+    cached,
+    timestamp
+});
+
+/**
+ * Send an error envelope
+ * @param {import('express').Response} res
+ * @param {number} statusCode
+ * @param {string} error
+ * @param {string|null} url
+ */
+export const sendError = (res, statusCode, error, url = null) => {
+    return res.status(statusCode).json(buildResponse(url, null, error, statusCode));
+};
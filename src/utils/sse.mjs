@@ -0,0 +1,52 @@
+/**
+ * Server-Sent Events
+ * Minimal SSE writer for streaming pipeline progress
+ */
+
+const HEARTBEAT_INTERVAL = 15000; // Keep proxies/load balancers from closing idle streams
+
+/**
+ * Open an SSE stream on an Express response
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {{send: Function, close: Function, signal: AbortSignal}}
+ *          `signal` aborts when the client disconnects
+ */
+export const openEventStream = (req, res) => {
+    const controller = new AbortController();
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    res.flushHeaders();
+
+    let eventId = 0;
+
+    const heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+    });
+
+    /**
+     * Send a named event with a JSON payload
+     * @param {string} event
+     * @param {object} data
+     */
+    const send = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const close = () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
+    };
+
+    return { send, close, signal: controller.signal };
+};
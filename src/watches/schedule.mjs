@@ -0,0 +1,48 @@
+/**
+ * Watch Schedules
+ * "hourly" / "daily" / "weekly" intervals, or a 5-field cron expression (UTC)
+ */
+
+import { CronExpressionParser } from 'cron-parser';
+
+// Interval aliases (ms) - measured from the previous run
+const SCHEDULE_INTERVALS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Check that a schedule is an alias or a valid cron expression
+ * @param {string} schedule
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateSchedule = (schedule) => {
+    if (typeof schedule !== 'string' || !schedule.trim()) {
+        return 'schedule is required';
+    }
+
+    if (SCHEDULE_INTERVALS[schedule]) return null;
+
+    try {
+        CronExpressionParser.parse(schedule, { tz: 'UTC' });
+        return null;
+    } catch (error) {
+        return `Invalid schedule "${schedule}": use hourly, daily, weekly or a cron expression (${error.message})`;
+    }
+};
+
+/**
+ * Next run time for a schedule
+ * @param {string} schedule - Alias or cron expression
+ * @param {Date} from - Reference time (usually now)
+ * @returns {string} ISO timestamp
+ */
+export const getNextRunAt = (schedule, from = new Date()) => {
+    const interval = SCHEDULE_INTERVALS[schedule];
+    if (interval) {
+        return new Date(from.getTime() + interval).toISOString();
+    }
+
+    return CronExpressionParser.parse(schedule, { currentDate: from, tz: 'UTC' }).next().toDate().toISOString();
+};
@@ -0,0 +1,204 @@
+/**
+ * Watch Scheduler
+ * Re-runs the analysis for due watches and sends a webhook when meaningful changes are found
+ * Scheduled runs count against the daily quota of the API key that owns the watch
+ */
+
+import { config } from '../config/index.mjs';
+import { consumeQuota } from '../auth/index.mjs';
+import { getApiKeyById, isAuthEnabled } from '../auth/keys.mjs';
+import { createJob } from '../jobs/queue.mjs';
+import { getAnalysis, getWatch, listWatches, saveWatch } from '../store/index.mjs';
+import { diffAnalyses } from '../utils/diff.mjs';
+import { getNextRunAt } from './schedule.mjs';
+import { deliverWebhook } from './webhooks.mjs';
+
+// Change types a watch can be notified about
+export const CHANGE_TYPES = ['pricing', 'customers', 'competitors', 'technologies', 'cms', 'employeeCount'];
+
+// Watches with an analysis in flight (never run the same watch twice at once)
+const runningWatches = new Set();
+let tickTimer = null;
+
+/**
+ * Keep only the change types a watch cares about, dropping empty ones
+ * @param {object} changes - From diffAnalyses
+ * @param {string[]} notifyOn - Change types
+ * @returns {object} Meaningful changes (empty object if none)
+ */
+const filterChanges = (changes, notifyOn) => {
+    const meaningful = {};
+
+    for (const type of notifyOn) {
+        const change = changes[type];
+        if (!change) continue;
+
+        const isList = Array.isArray(change.added);
+        const hasChange = isList
+            ? change.added.length > 0 || change.removed.length > 0 || change.repriced?.length > 0
+            : true;
+
+        if (hasChange) meaningful[type] = change;
+    }
+
+    return meaningful;
+};
+
+/**
+ * Compare a finished watch run with the watch's previous run and notify
+ * @param {string} watchId
+ * @param {object|null} previous - Stored analysis of the watch's previous run
+ * @param {object} job - Finished job
+ * @param {object|null} saved - Stored analysis of this run (null if it wasn't saved)
+ */
+const handleWatchResult = async (watchId, previous, job, saved) => {
+    runningWatches.delete(watchId);
+
+    // The watch may have been deleted or edited while the job ran
+    const watch = await getWatch(watchId);
+    if (!watch) return;
+
+    watch.lastStatus = job.status;
+    watch.lastError = job.result?.error || null;
+    watch.lastJobId = job.id;
+    // Unless the watch was pointed elsewhere while the job ran
+    if (saved && saved.domain === watch.domain && saved.useAI === watch.useAI) {
+        watch.lastAnalysisId = saved.id;
+    }
+
+    let changes = {};
+    if (job.status === 'done' && previous) {
+        const diff = diffAnalyses(previous.data, job.result.data);
+        changes = filterChanges(diff.changes, watch.notifyOn);
+    }
+
+    const changeTypes = Object.keys(changes);
+    watch.lastChanges = changeTypes;
+    await saveWatch(watch);
+
+    if (changeTypes.length === 0) {
+        console.log(`[Watches] ${watch.domain}: ${job.status === 'done' ? (previous ? 'no meaningful changes' : 'baseline recorded') : 'analysis failed'}`);
+        return;
+    }
+
+    console.log(`[Watches] ${watch.domain}: changes in ${changeTypes.join(', ')}, sending webhook`);
+
+    await deliverWebhook(watch, 'company.changed', {
+        domain: watch.domain,
+        url: watch.url,
+        from: { timestamp: previous.createdAt },
+        to: { timestamp: job.result.timestamp },
+        changes
+    });
+};
+
+/**
+ * Queue an analysis for a watch now
+ * @param {object} watch
+ * @returns {Promise<object|null>} Created job, or null if the watch is already running
+ */
+export const runWatch = async (watch) => {
+    if (runningWatches.has(watch.id)) {
+        return null;
+    }
+    runningWatches.add(watch.id);
+
+    try {
+        // Diff against this watch's own previous run: other analyses of the domain
+        // may have used different options (useAI, maxPages, a custom schema)
+        const previous = watch.lastAnalysisId ? await getAnalysis(watch.domain, watch.lastAnalysisId) : null;
+
+        // Always re-crawl: a cached result would never show a change
+        let saved = null;
+        const job = createJob(watch.url, { useAI: watch.useAI, refresh: true, onSaved: (record) => { saved = record; } }, {
+            onComplete: (finished) => handleWatchResult(watch.id, previous, finished, saved)
+        });
+
+        watch.lastRunAt = new Date().toISOString();
+        watch.nextRunAt = getNextRunAt(watch.schedule);
+        watch.lastJobId = job.id;
+        await saveWatch(watch);
+
+        console.log(`[Watches] Running watch ${watch.id} for ${watch.domain} (job ${job.id})`);
+        return job;
+    } catch (error) {
+        runningWatches.delete(watch.id);
+        throw error;
+    }
+};
+
+/**
+ * Count a scheduled run against the owner key's daily quota
+ * Watches created without authentication have no owner and aren't counted
+ * @param {object} watch
+ * @returns {Promise<string|null>} Why the run can't start, or null
+ */
+const chargeOwner = async (watch) => {
+    if (!watch.keyId || !isAuthEnabled()) return null;
+
+    const apiKey = getApiKeyById(watch.keyId);
+    if (!apiKey) return `API key "${watch.keyId}" no longer exists`;
+
+    return await consumeQuota({ apiKey });
+};
+
+/**
+ * Skip a due run until the watch's next scheduled time
+ * @param {object} watch
+ * @param {string} reason
+ */
+const skipRun = async (watch, reason) => {
+    console.warn(`[Watches] Skipping watch ${watch.id} for ${watch.domain}: ${reason}`);
+
+    watch.lastStatus = 'skipped';
+    watch.lastError = reason;
+    watch.nextRunAt = getNextRunAt(watch.schedule);
+    await saveWatch(watch);
+};
+
+/**
+ * Run every enabled watch that is due
+ */
+const tick = async () => {
+    const now = new Date().toISOString();
+    const watches = await listWatches();
+
+    for (const watch of watches) {
+        if (!watch.enabled || !watch.nextRunAt || watch.nextRunAt > now) continue;
+        if (runningWatches.has(watch.id)) continue;
+
+        try {
+            const skipReason = await chargeOwner(watch);
+            if (skipReason) {
+                await skipRun(watch, skipReason);
+                continue;
+            }
+
+            await runWatch(watch);
+        } catch (error) {
+            console.error(`[Watches] Failed to run watch ${watch.id}: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Start checking for due watches
+ */
+export const startScheduler = () => {
+    if (tickTimer || !config.watches.enabled) return;
+
+    tickTimer = setInterval(() => {
+        tick().catch(error => console.error(`[Watches] Scheduler error: ${error.message}`));
+    }, config.watches.tickInterval);
+    tickTimer.unref();
+
+    console.log(`[Watches] Scheduler started (every ${config.watches.tickInterval / 1000}s)`);
+};
+
+/**
+ * Stop the scheduler (graceful shutdown)
+ */
+export const stopScheduler = () => {
+    clearInterval(tickTimer);
+    tickTimer = null;
+};
@@ -0,0 +1,227 @@
+/**
+ * Webhook Delivery
+ * HMAC-signed POSTs with exponential backoff and a persisted delivery log
+ *
+ * Signature: X-CompanyIntel-Signature = sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * where timestamp is the X-CompanyIntel-Timestamp header (Unix seconds)
+ */
+
+import { createHmac, randomUUID } from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { config } from '../config/index.mjs';
+import { saveDelivery } from '../store/index.mjs';
+
+// Loopback, private, link-local (cloud metadata), shared and reserved ranges
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const PRIVATE_RANGES = new BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is on the server's own host or network
+ * @param {string} address - IPv4 or IPv6
+ * @returns {boolean}
+ */
+export const isPrivateAddress = (address) => {
+    const version = isIP(address);
+    if (!version) return false;
+    return PRIVATE_RANGES.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check that a webhook URL is http(s) and, unless WEBHOOK_ALLOW_PRIVATE=true, that its host
+ * resolves to public addresses only: webhooks must not reach the server's own network
+ *
+ * @param {string} url
+ * @returns {Promise<string|null>} Error message
+ */
+export const checkWebhookUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error();
+    } catch {
+        return 'A valid webhookUrl (http or https) is required';
+    }
+
+    if (config.webhooks.allowPrivate) return null;
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = isIP(hostname) ? [hostname] : (await lookup(hostname, { all: true })).map(({ address }) => address);
+    } catch {
+        return `webhookUrl host ${hostname} cannot be resolved`;
+    }
+
+    if (addresses.some(isPrivateAddress)) {
+        return `webhookUrl host ${hostname} is a private or local address`;
+    }
+
+    return null;
+};
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Watch secret
+ * @param {string} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+export const signPayload = (secret, timestamp, body) => {
+    const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * Whether a failed attempt is worth retrying
+ * Network errors, timeouts, 408, 429 and 5xx are retried; other 4xx are permanent
+ */
+const isRetryable = (statusCode) => !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+/**
+ * Backoff before the next attempt: baseDelay * 2^(attempt-1), ±20% jitter
+ */
+const getRetryDelay = (attempt) => {
+    const delay = config.webhooks.retryDelay * 2 ** (attempt - 1);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Single POST attempt
+ * @returns {Promise<{statusCode: number|null, error: string|null}>}
+ */
+const postOnce = async (url, headers, body) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.webhooks.timeout);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body,
+            // A redirect could lead to a private address
+            redirect: 'manual',
+            signal: controller.signal
+        });
+
+        return {
+            statusCode: response.status,
+            error: response.ok ? null : `HTTP ${response.status}`
+        };
+    } catch (error) {
+        return {
+            statusCode: null,
+            error: error.name === 'AbortError' ? `Timeout after ${config.webhooks.timeout}ms` : error.message
+        };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+/**
+ * Deliver a webhook event for a watch, retrying with backoff
+ * Every attempt is recorded in the delivery log
+ *
+ * @param {object} watch - Watch (webhookUrl, secret)
+ * @param {string} event - Event name (e.g. "company.changed")
+ * @param {object} payload - Event-specific payload
+ * @param {object} options
+ * @param {number} options.maxAttempts - Attempts before giving up (default: WEBHOOK_MAX_ATTEMPTS)
+ * @returns {Promise<object>} Final delivery record
+ */
+export const deliverWebhook = async (watch, event, payload, { maxAttempts = config.webhooks.maxAttempts } = {}) => {
+    const now = new Date().toISOString();
+    const delivery = {
+        id: randomUUID(),
+        watchId: watch.id,
+        event,
+        webhookUrl: watch.webhookUrl,
+        status: 'pending',
+        attempts: [],
+        payload: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    delivery.payload = {
+        event,
+        deliveryId: delivery.id,
+        watchId: watch.id,
+        ...payload,
+        timestamp: now
+    };
+
+    const body = JSON.stringify(delivery.payload);
+
+    // The host may resolve elsewhere than when the watch was saved
+    const urlError = await checkWebhookUrl(watch.webhookUrl);
+    if (urlError) {
+        delivery.status = 'failed';
+        delivery.attempts.push({ attempt: 1, at: now, statusCode: null, error: urlError, durationMs: 0 });
+        await saveDelivery(delivery);
+        console.error(`[Webhooks] Not delivering ${event} for watch ${watch.id}: ${urlError}`);
+        return delivery;
+    }
+
+    await saveDelivery(delivery);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'CompanyIntelBot/1.0',
+            'X-CompanyIntel-Event': event,
+            'X-CompanyIntel-Delivery': delivery.id,
+            'X-CompanyIntel-Timestamp': timestamp,
+            'X-CompanyIntel-Signature': signPayload(watch.secret, timestamp, body)
+        };
+
+        const startedAt = Date.now();
+        const { statusCode, error } = await postOnce(watch.webhookUrl, headers, body);
+
+        delivery.attempts.push({
+            attempt,
+            at: new Date(startedAt).toISOString(),
+            statusCode,
+            error,
+            durationMs: Date.now() - startedAt
+        });
+        delivery.updatedAt = new Date().toISOString();
+
+        if (!error) {
+            delivery.status = 'success';
+            await saveDelivery(delivery);
+            console.log(`[Webhooks] Delivered ${event} for watch ${watch.id} (attempt ${attempt})`);
+            return delivery;
+        }
+
+        const willRetry = attempt < maxAttempts && isRetryable(statusCode);
+        if (!willRetry) {
+            delivery.status = 'failed';
+            await saveDelivery(delivery);
+            console.error(`[Webhooks] Giving up on ${event} for watch ${watch.id}: ${error}`);
+            return delivery;
+        }
+
+        await saveDelivery(delivery);
+
+        const delay = getRetryDelay(attempt);
+        console.log(`[Webhooks] ${event} for watch ${watch.id} failed (${error}), retrying in ${delay}ms`);
+        await sleep(delay);
+    }
+
+    return delivery;
+};
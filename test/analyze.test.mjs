@@ -0,0 +1,39 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+process.env.STORE_DRIVER = 'memory';
+const { getErrorStatusCode, runAnalysisWithTimeout } = await import('../src/pipeline/analyze.mjs');
+
+describe('runAnalysisWithTimeout', () => {
+    // Accepts connections and never answers
+    let server;
+    let url;
+
+    before(async () => {
+        server = createServer(() => { });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('fails as soon as the time is up, even inside a step that is still waiting', async () => {
+        const startedAt = Date.now();
+        const error = await runAnalysisWithTimeout(url, { useAI: false }, 300).then(() => null, error => error);
+
+        assert.match(error?.message, /Analysis timeout after 300ms/);
+        assert.ok(Date.now() - startedAt < 2000);
+        assert.equal(getErrorStatusCode(error), 504);
+    });
+
+    it('fails at once when the caller has already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort(new Error('Client went away'));
+
+        await assert.rejects(runAnalysisWithTimeout(url, { useAI: false, signal: controller.signal }, 10000), /Client went away/);
+    });
+});
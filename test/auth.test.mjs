@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+
+process.env.STORE_DRIVER = 'memory';
+process.env.API_KEYS = 'team-a:secret-a,secret-b';
+process.env.API_KEYS_FILE = '';
+process.env.RATE_LIMIT_PER_MINUTE = '2';
+process.env.DAILY_ANALYSIS_QUOTA = '3';
+const { authenticate, consumeQuota, refundQuota, getKeyUsage } = await import('../src/auth/index.mjs');
+const { getApiKeyById } = await import('../src/auth/keys.mjs');
+
+const createRequest = (headers = {}) => {
+    const lowercase = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { get: (name) => lowercase[name.toLowerCase()] };
+};
+
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) { res.headers[name] = value; return res; },
+        status(code) { res.statusCode = code; return res; },
+        json(body) { res.body = body; return res; }
+    };
+    return res;
+};
+
+/**
+ * Run the middleware, resolving with whether it called next()
+ */
+const run = async (req, res) => {
+    let passed = false;
+    await authenticate(req, res, (error) => {
+        if (error) throw error;
+        passed = true;
+    });
+    return passed;
+};
+
+describe('authenticate', () => {
+    it('rejects missing and unknown keys', async () => {
+        const missing = createResponse();
+        assert.equal(await run(createRequest(), missing), false);
+        assert.equal(missing.statusCode, 401);
+        assert.equal(missing.body.error, 'API key required');
+
+        const unknown = createResponse();
+        assert.equal(await run(createRequest({ 'X-API-Key': 'nope' }), unknown), false);
+        assert.equal(unknown.body.error, 'Invalid API key');
+    });
+
+    it('accepts Bearer and X-API-Key headers, and names unnamed keys by hash', async () => {
+        const bearer = createRequest({ Authorization: 'Bearer secret-a' });
+        assert.equal(await run(bearer, createResponse()), true);
+        assert.equal(bearer.apiKey.id, 'team-a');
+
+        const header = createRequest({ 'X-API-Key': 'secret-b' });
+        assert.equal(await run(header, createResponse()), true);
+        assert.match(header.apiKey.id, /^key-[0-9a-f]{8}$/);
+    });
+
+    it('applies the per-minute rate limit', async () => {
+        // secret-b has used 1 of its 2 requests above
+        const allowed = createResponse();
+        assert.equal(await run(createRequest({ 'X-API-Key': 'secret-b' }), allowed), true);
+        assert.equal(allowed.headers['X-RateLimit-Remaining'], '0');
+
+        const limited = createResponse();
+        assert.equal(await run(createRequest({ 'X-API-Key': 'secret-b' }), limited), false);
+        assert.equal(limited.statusCode, 429);
+        assert.ok(Number(limited.headers['Retry-After']) >= 1);
+    });
+});
+
+describe('consumeQuota', () => {
+    it('counts analyses until the daily quota, without counting refused ones', async () => {
+        const req = { apiKey: { id: 'quota-test', rateLimit: 0, dailyQuota: 3 } };
+
+        assert.equal(await consumeQuota(req, 2), null);
+        assert.match(await consumeQuota(req, 2), /Daily quota exceeded \(1 of 3 analyses left today, 2 requested\)/);
+        assert.equal(await consumeQuota(req), null);
+        assert.match(await consumeQuota(req), /Daily quota exceeded/);
+
+        const usage = await getKeyUsage(req.apiKey);
+        assert.equal(usage.dailyQuota.used, 3);
+        assert.equal(usage.dailyQuota.remaining, 0);
+    });
+
+    it('gives back refunded analyses', async () => {
+        const req = { apiKey: { id: 'refund-test', rateLimit: 0, dailyQuota: 3 } };
+
+        assert.equal(await consumeQuota(req, 3), null);
+        await refundQuota(req, 2);
+        await refundQuota(req, 0);
+
+        assert.equal((await getKeyUsage(req.apiKey)).dailyQuota.remaining, 2);
+        assert.equal(await consumeQuota(req, 2), null);
+    });
+
+    it('counts nothing without authentication', async () => {
+        assert.equal(await consumeQuota({}), null);
+        await refundQuota({}, 1);
+    });
+});
+
+describe('getApiKeyById', () => {
+    it('finds a key by name or hash prefix, never by the key itself', () => {
+        assert.deepEqual(getApiKeyById('team-a'), { id: 'team-a', rateLimit: 2, dailyQuota: 3 });
+        assert.equal(getApiKeyById(`key-${createHash('sha256').update('secret-b').digest('hex').slice(0, 8)}`).dailyQuota, 3);
+        assert.equal(getApiKeyById('secret-a'), null);
+        assert.equal(getApiKeyById(null), null);
+    });
+});
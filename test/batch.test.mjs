@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBatchInput } from '../src/pipeline/batch.mjs';
+import { mapWithConcurrency } from '../src/utils/concurrency.mjs';
+
+describe('parseBatchInput', () => {
+    it('reads a JSON list, normalizing and deduplicating URLs', () => {
+        assert.deepEqual(parseBatchInput({ urls: ['stripe.com', 'https://stripe.com/', 'not a domain', 'https://linear.app'] }), {
+            urls: ['https://stripe.com/', 'https://linear.app/'],
+            invalid: ['not a domain']
+        });
+    });
+
+    it('reads the url column of a CSV with a header', () => {
+        const csv = 'name,website\nStripe,stripe.com\n"Acme, Inc.",acme.com\n';
+        assert.deepEqual(parseBatchInput(csv, 'text/csv').urls, ['https://stripe.com/', 'https://acme.com/']);
+    });
+
+    it('reads the first CSV column without a header', () => {
+        assert.deepEqual(parseBatchInput('stripe.com;Stripe\nlinear.app;Linear', 'text/csv').urls, ['https://stripe.com/', 'https://linear.app/']);
+    });
+
+    it('reads JSONL strings and objects', () => {
+        const jsonl = '"stripe.com"\n{"url": "https://linear.app"}\n{"domain": "acme.com"}\nnot json';
+        assert.deepEqual(parseBatchInput(jsonl, 'application/x-ndjson'), {
+            urls: ['https://stripe.com/', 'https://linear.app/', 'https://acme.com/'],
+            invalid: [null]
+        });
+    });
+
+    it('returns nothing for an unknown body', () => {
+        assert.deepEqual(parseBatchInput({}), { urls: [], invalid: [] });
+    });
+});
+
+describe('mapWithConcurrency', () => {
+    it('keeps input order and never exceeds the limit', async () => {
+        let running = 0;
+        let peak = 0;
+
+        const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+            peak = Math.max(peak, ++running);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            running--;
+            return index;
+        });
+
+        assert.deepEqual(results, [0, 1, 2, 3, 4]);
+        assert.equal(peak, 2);
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBoilerplateFilter } from '../src/utils/boilerplate.mjs';
+
+const FOOTER = ['Company and careers at Acme', 'Privacy policy and terms', '© 2024 Acme Inc. All rights reserved'].join('\n');
+
+describe('createBoilerplateFilter', () => {
+    it('keeps the first page whole', () => {
+        const filter = createBoilerplateFilter();
+        const page = `Acme builds rockets\n\n${FOOTER}`;
+
+        assert.equal(filter.clean(page), page);
+    });
+
+    it('drops blocks seen on an earlier page, whatever their spacing and case', () => {
+        const filter = createBoilerplateFilter();
+        filter.clean(`Home page content\n\n${FOOTER}`);
+
+        const cleaned = filter.clean(`Pricing page content\n\n${FOOTER.toUpperCase().replace(/ /g, '  ')}\n\nLast line`);
+
+        assert.equal(cleaned, 'Pricing page content\n\nLast line');
+    });
+
+    it('drops a block repeated on the same page', () => {
+        const filter = createBoilerplateFilter();
+
+        assert.equal(filter.clean(`${FOOTER}\nMiddle\n${FOOTER}`), `${FOOTER}\nMiddle`);
+    });
+
+    it('keeps single recurring lines and short runs', () => {
+        const filter = createBoilerplateFilter();
+        filter.clean('Pro plan $29\nIntro text\n✓\n✓\n✓');
+
+        const page = 'Pro plan $29\nOther text\n✓\n✓\n✓';
+        assert.equal(filter.clean(page), page);
+    });
+
+    it('remembers pages per filter only', () => {
+        createBoilerplateFilter().clean(FOOTER);
+
+        assert.equal(createBoilerplateFilter().clean(FOOTER), FOOTER);
+    });
+});
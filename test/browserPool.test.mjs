@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// One slot, and a browser that can't launch: no Chrome is needed to test the queue
+process.env.BROWSER_MAX_CONCURRENCY = '1';
+process.env.BROWSER_ACQUIRE_TIMEOUT = '5000';
+const { acquireContext, closeBrowserPool, getPoolStats } = await import('../src/utils/browserPool.mjs');
+const { launchBrowser } = await import('../src/utils/browser.mjs');
+
+const launchError = await launchBrowser().then(browser => browser.close().then(() => null), error => error);
+
+describe('browser pool', { skip: !launchError && 'Chrome is installed' }, () => {
+    it('hands the slot to queued callers and frees it when launches fail', async () => {
+        const results = await Promise.allSettled([acquireContext(), acquireContext(), acquireContext()]);
+
+        assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected', 'rejected']);
+        assert.equal(getPoolStats().activeContexts, 0);
+        assert.equal(getPoolStats().queued, 0);
+    });
+
+    it('stops waiting in the queue when the signal aborts', async () => {
+        const controller = new AbortController();
+        const first = acquireContext();
+        const queued = acquireContext({ signal: controller.signal });
+
+        assert.equal(getPoolStats().queued, 1);
+        controller.abort(new Error('Client went away'));
+
+        await assert.rejects(queued, /Client went away/);
+        await assert.rejects(first);
+        assert.equal(getPoolStats().activeContexts, 0);
+        assert.equal(getPoolStats().queued, 0);
+    });
+
+    it('refuses new contexts once closed', async () => {
+        await closeBrowserPool();
+        await assert.rejects(acquireContext(), /Browser pool is closed/);
+    });
+});
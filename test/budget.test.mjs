@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AI_PROVIDER = 'claude';
+process.env.CLAUDE_MODEL = 'claude-sonnet-4-20250514'; // $3 / $15 per 1M tokens
+const { createBudget, estimateTokens } = await import('../src/ai/budget.mjs');
+
+// Usage tracker stand-in with a fixed spend (lastModel: who answered the latest call)
+const spent = (costUsd = 0, tokens = 0, { unpricedCalls = 0, lastModel = null } = {}) => ({
+    spent: () => ({ costUsd, tokens, unpricedCalls }),
+    lastModel: () => lastModel
+});
+const OVERHEAD = { inputTokens: 1000, outputTokens: 1000 };
+
+describe('estimateTokens', () => {
+    it('counts about 4 characters per token', () => {
+        assert.equal(estimateTokens(4000), 1000);
+        assert.equal(estimateTokens(1), 1);
+    });
+});
+
+describe('createBudget', () => {
+    it('allows everything without limits', () => {
+        const budget = createBudget({}, spent(100, 1_000_000));
+
+        assert.equal(budget.limited, false);
+        assert.equal(budget.canAfford({ inputTokens: 1e9, outputTokens: 1e9 }), true);
+        assert.equal(budget.contentLengthFor('https://example.com', OVERHEAD, 15000, 5), 15000);
+    });
+
+    it('checks estimated calls against the tokens left', () => {
+        const budget = createBudget({ maxTokens: 10000 }, spent(0, 1000));
+
+        assert.equal(budget.canAfford({ inputTokens: 8000, outputTokens: 1000 }), true);
+        assert.equal(budget.canAfford({ inputTokens: 8000, outputTokens: 1000 }, { inputTokens: 1, outputTokens: 0 }), false);
+    });
+
+    it('shares the tokens left between the pages still to extract', () => {
+        const budget = createBudget({ maxTokens: 10000 }, spent());
+
+        // (10000 / 2 - 2000 overhead) tokens × 4 characters
+        assert.equal(budget.contentLengthFor('https://example.com/pricing', OVERHEAD, 15000, 2), 12000);
+        assert.equal(budget.contentLengthFor('https://example.com', OVERHEAD, 15000, 1), 15000);
+        assert.deepEqual(budget.report().contentLimits, [{ url: 'https://example.com/pricing', maxContentLength: 12000 }]);
+    });
+
+    it('shares the dollars left, priced with the active model', () => {
+        const budget = createBudget({ maxCostUsd: 0.1 }, spent());
+
+        // ($0.025 - $0.018 overhead) / $3 per 1M input tokens × 4 characters
+        assert.equal(budget.contentLengthFor('https://example.com', OVERHEAD, 15000, 4), 9333);
+    });
+
+    it('prices with the model that answered last once a fallback took over', () => {
+        const budget = createBudget({ maxCostUsd: 0.1 }, spent(0, 0, { lastModel: 'claude-opus-4-20250514' }));
+
+        // At $15 / $75 per 1M the overhead alone ($0.09) is more than a quarter share: the minimum
+        // (priced with the first model, the same call would get 9333 characters)
+        assert.equal(budget.contentLengthFor('https://example.com', OVERHEAD, 15000, 4), 1000);
+        assert.equal(budget.report().costEnforced, true);
+    });
+
+    it('says when a model without a price kept maxCostUsd from being enforced', () => {
+        const budget = createBudget({ maxCostUsd: 0.01 }, spent(0, 0, { lastModel: 'mystery-model' }));
+
+        assert.equal(budget.contentLengthFor('https://example.com', OVERHEAD, 15000, 1), 15000);
+        assert.equal(budget.report().costEnforced, false);
+
+        const partly = createBudget({ maxCostUsd: 0.01 }, spent(0.001, 2000, { unpricedCalls: 1, lastModel: 'claude-sonnet-4-20250514' }));
+        assert.equal(partly.report().costEnforced, false);
+        assert.equal(createBudget({ maxTokens: 100 }, spent()).report().costEnforced, null);
+    });
+
+    it('is exhausted when not even a minimal extraction fits', () => {
+        const budget = createBudget({ maxTokens: 10000 }, spent(0, 9500));
+
+        assert.equal(budget.contentLengthFor('https://example.com', OVERHEAD, 15000, 1), 0);
+        assert.equal(budget.exhausted, true);
+    });
+
+    it('reports spend and skipped steps', () => {
+        const skips = [];
+        const budget = createBudget({ maxCostUsd: 0.05 }, spent(0.04, 9000), { onSkip: entry => skips.push(entry) });
+
+        budget.skip('discovery', 'Budget too low for AI page discovery');
+        budget.skip('page', 'Budget exhausted', 'https://example.com/features');
+
+        assert.deepEqual(skips[1], { step: 'page', url: 'https://example.com/features', reason: 'Budget exhausted' });
+        assert.deepEqual(budget.report(), {
+            maxCostUsd: 0.05,
+            maxTokens: null,
+            costEnforced: true,
+            spentUsd: 0.04,
+            spentTokens: 9000,
+            exhausted: false,
+            skipped: skips,
+            contentLimits: []
+        });
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+process.env.STORE_DRIVER = 'memory';
+const { getCacheKey, getCacheStats, runCachedAnalysis } = await import('../src/pipeline/cache.mjs');
+
+describe('getCacheKey', () => {
+    it('ignores case, www, trailing slashes and hashes', () => {
+        const key = getCacheKey('https://example.com/pricing');
+        assert.equal(getCacheKey('https://WWW.Example.com/pricing/#plans'), key);
+        assert.notEqual(getCacheKey('https://example.com/pricing?plan=pro'), key);
+        assert.notEqual(getCacheKey('http://example.com/pricing'), key);
+    });
+
+    it('changes with options that change the result', () => {
+        const key = getCacheKey('https://example.com', { useAI: true });
+        assert.notEqual(getCacheKey('https://example.com', { useAI: false }), key);
+        assert.notEqual(getCacheKey('https://example.com', { maxPages: 1 }), key);
+        assert.notEqual(getCacheKey('https://example.com', { maxCostUsd: 0.05 }), key);
+        assert.notEqual(getCacheKey('https://example.com', { screenshots: true }), key);
+    });
+
+    it('ignores AI options when AI is off', () => {
+        assert.equal(
+            getCacheKey('https://example.com', { useAI: false, maxChunks: 1, englishOutput: false }),
+            getCacheKey('https://example.com', { useAI: false, maxChunks: 5, englishOutput: true })
+        );
+    });
+});
+
+describe('runCachedAnalysis', () => {
+    // Accepts connections and never answers
+    let server;
+    let url;
+
+    before(async () => {
+        server = createServer(() => { });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('runs identical concurrent requests once', async () => {
+        const { misses, coalesced } = getCacheStats();
+
+        const results = await Promise.allSettled([
+            runCachedAnalysis(url, { useAI: false }, { timeout: 300 }),
+            runCachedAnalysis(url, { useAI: false }, { timeout: 300 })
+        ]);
+
+        assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+        assert.equal(results[0].reason, results[1].reason);
+        assert.equal(getCacheStats().misses, misses + 1);
+        assert.equal(getCacheStats().coalesced, coalesced + 1);
+        assert.equal(getCacheStats().inflight, 0);
+    });
+
+    it('starts a new run on refresh', async () => {
+        const { misses } = getCacheStats();
+
+        await Promise.allSettled([
+            runCachedAnalysis(url, { useAI: false }, { timeout: 300 }),
+            runCachedAnalysis(url, { useAI: false }, { refresh: true, timeout: 300 })
+        ]);
+
+        assert.equal(getCacheStats().misses, misses + 2);
+    });
+});
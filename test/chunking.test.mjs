@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoChunks } from '../src/ai/chunking.mjs';
+
+describe('splitIntoChunks', () => {
+    it('keeps a page that fits as one chunk', () => {
+        assert.deepEqual(splitIntoChunks('  Short page  ', 100, 3), { chunks: ['Short page'], truncated: false });
+        assert.deepEqual(splitIntoChunks('', 100, 3), { chunks: [], truncated: false });
+    });
+
+    it('splits on sections and packs neighbouring ones together', () => {
+        const page = ['Hero section', 'Features list', 'Pricing table', 'Customer logos'].join('\n\n');
+
+        assert.deepEqual(splitIntoChunks(page, 30, 5).chunks, [
+            'Hero section\n\nFeatures list',
+            'Pricing table\n\nCustomer logos'
+        ]);
+    });
+
+    it('falls back to lines, then sentences, for a section longer than a chunk', () => {
+        const { chunks } = splitIntoChunks('Line one\nLine two is longer. It has two sentences.\n\nEnd', 25, 10);
+
+        assert.ok(chunks.every(chunk => chunk.length <= 25));
+        assert.deepEqual(chunks, ['Line one', 'Line two is longer.', 'It has two sentences.', 'End']);
+    });
+
+    it('cuts a single sentence longer than a chunk', () => {
+        assert.deepEqual(splitIntoChunks('abcdefghij', 4, 5).chunks, ['abcd', 'efgh', 'ij']);
+    });
+
+    it('keeps the first maxChunks chunks and flags the rest as truncated', () => {
+        const page = ['One', 'Two', 'Three'].join('\n\n');
+
+        assert.deepEqual(splitIntoChunks(page, 5, 2), { chunks: ['One', 'Two'], truncated: true });
+    });
+});
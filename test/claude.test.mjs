@@ -0,0 +1,104 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+// Messages API server answering with the tool inputs queued in `answers`
+const answers = [];
+const requests = [];
+const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push(JSON.parse(body));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            id: 'msg_1',
+            type: 'message',
+            role: 'assistant',
+            model: 'claude-test',
+            content: [{ type: 'tool_use', id: `toolu_${requests.length}`, name: 'extraction_result', input: answers.shift() }],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 100, output_tokens: 10 }
+        }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+
+process.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.AI_PROVIDER = 'claude';
+process.env.CLAUDE_API_KEY = 'test-key';
+process.env.CLAUDE_MODEL = 'claude-test';
+process.env.AI_FALLBACKS = '';
+const { askAI } = await import('../src/ai/providers.mjs');
+const { validateSchema } = await import('../src/ai/validate.mjs');
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        employees: { type: ['integer', 'null'] },
+        tags: { type: 'array', items: { type: 'string', enum: ['b2b', 'b2c'] } }
+    },
+    required: ['name', 'employees']
+};
+
+describe('validateSchema', () => {
+    it('accepts a conforming value', () => {
+        assert.deepEqual(validateSchema({ name: 'Acme', employees: null, tags: ['b2b'] }, SCHEMA), []);
+    });
+
+    it('reports missing properties, wrong types and enum values with their path', () => {
+        assert.deepEqual(validateSchema({ employees: '50', tags: ['b2b', 'saas'] }, SCHEMA), [
+            'name: required',
+            'employees: expected integer or null, got string',
+            'tags[1]: must be one of "b2b", "b2c"'
+        ]);
+    });
+
+    it('accepts integers where a number is expected', () => {
+        assert.deepEqual(validateSchema(3, { type: 'number' }), []);
+        assert.deepEqual(validateSchema(3.5, { type: 'integer' }), ['root: expected integer, got number']);
+    });
+});
+
+describe('Claude structured output', () => {
+    it('forces the extraction tool with the schema as its input schema', async () => {
+        requests.length = 0;
+        answers.push({ name: 'Acme', employees: 50 });
+
+        const result = await askAI('System', 'Prompt', SCHEMA);
+
+        assert.deepEqual(JSON.parse(result.text), { name: 'Acme', employees: 50 });
+        assert.equal(requests.length, 1);
+        assert.deepEqual(requests[0].tool_choice, { type: 'tool', name: 'extraction_result' });
+        assert.deepEqual(requests[0].tools[0].input_schema, SCHEMA);
+    });
+
+    it('sends the validation errors back once to repair invalid input', async () => {
+        requests.length = 0;
+        answers.push({ name: 'Acme', employees: 'fifty' }, { name: 'Acme', employees: 50 });
+
+        const result = await askAI('System', 'Prompt', SCHEMA);
+
+        assert.deepEqual(JSON.parse(result.text), { name: 'Acme', employees: 50 });
+        assert.equal(requests.length, 2);
+
+        const [assistant, reply] = requests[1].messages.slice(1);
+        assert.equal(assistant.role, 'assistant');
+        assert.equal(reply.content[0].type, 'tool_result');
+        assert.equal(reply.content[0].tool_use_id, 'toolu_1');
+        assert.equal(reply.content[0].is_error, true);
+        assert.match(reply.content[0].content, /employees: expected integer or null, got string/);
+    });
+
+    it('returns the last answer when the repair is still invalid', async () => {
+        requests.length = 0;
+        answers.push({ employees: 'fifty' }, { employees: 'fifty' });
+
+        const result = await askAI('System', 'Prompt', SCHEMA);
+
+        assert.equal(requests.length, 2);
+        assert.deepEqual(JSON.parse(result.text), { employees: 'fifty' });
+    });
+});
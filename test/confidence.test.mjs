@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreIntelligence, filterByConfidence } from '../src/ai/confidence.mjs';
+
+const source = (verified, certainty = null) => ({ url: 'https://acme.com', quote: 'quote', verified, certainty });
+
+const PAGES = [
+    {
+        pricing: { found: true, plans: [{ name: 'Pro', source: source(true, 0.8) }, { name: 'Free', source: source(false) }] },
+        customers: { found: true, names: ['Stripe'], evidence: [{ name: 'Stripe', ...source(true) }] }
+    },
+    {
+        pricing: { found: true, plans: [{ name: 'Pro Plan', source: source(false, 0.6) }] },
+        customers: { found: true, names: ['Notion'], evidence: [{ name: 'Notion', ...source(false) }] }
+    },
+    { error: 'AI unavailable' }
+];
+
+const MERGED = {
+    pricing: { found: true, plans: [{ name: 'Pro', price: 29 }, { name: 'Free', price: 0 }] },
+    customers: {
+        found: true,
+        names: ['Stripe', 'Notion'],
+        evidence: [{ name: 'Stripe', ...source(true) }, { name: 'Notion', ...source(false) }]
+    }
+};
+
+describe('scoreIntelligence', () => {
+    const scored = scoreIntelligence(MERGED, PAGES, { imageTexts: ['Stripe logo', 'A long description of the team photo taken at our yearly offsite'] });
+
+    it('scores plans from mentions, verification and AI certainty', () => {
+        // Pro: 2 of 3 mentions, verified, certainty 0.8; Free: 1 mention, unverified, no certainty (0.5)
+        assert.deepEqual(scored.pricing.plans.map(plan => [plan.name, plan.mentions, plan.confidence]), [
+            ['Pro', 2, 0.82],
+            ['Free', 1, 0.25]
+        ]);
+    });
+
+    it('counts a logo naming a customer as a signal', () => {
+        const [stripe, notion] = scored.customers.evidence;
+
+        assert.deepEqual([stripe.logo, stripe.mentions, stripe.confidence], [true, 1, 0.67]);
+        assert.deepEqual([notion.logo, notion.mentions, notion.confidence], [false, 1, 0.22]);
+    });
+
+    it('ignores long image texts', () => {
+        const result = scoreIntelligence(MERGED, PAGES, { imageTexts: ['Our yearly offsite with the Notion team and a few friends of ours'] });
+
+        assert.equal(result.customers.evidence[1].logo, false);
+    });
+});
+
+describe('filterByConfidence', () => {
+    const scored = scoreIntelligence(MERGED, PAGES, { imageTexts: ['Stripe logo'] });
+
+    it('removes plans and names below the threshold, from the lists and the evidence', () => {
+        const { intelligence, removed } = filterByConfidence(scored, 0.5);
+
+        assert.equal(removed, 2);
+        assert.deepEqual(intelligence.pricing.plans.map(plan => plan.name), ['Pro']);
+        assert.deepEqual(intelligence.customers.names, ['Stripe']);
+        assert.deepEqual(intelligence.customers.evidence.map(entry => entry.name), ['Stripe']);
+        assert.equal(intelligence.customers.found, true);
+    });
+
+    it('marks a section left empty as not found', () => {
+        const { intelligence, removed } = filterByConfidence(scored, 0.9);
+
+        assert.equal(removed, 4);
+        assert.equal(intelligence.pricing.found, false);
+        assert.equal(intelligence.customers.found, false);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffAnalyses } from '../src/utils/diff.mjs';
+
+const analysis = ({ plans = [], customers = [], competitors = [], employeeCount = null, technologies = [], cms = null } = {}) => ({
+    intelligence: {
+        pricing: { plans },
+        customers: { names: customers },
+        competitors: { names: competitors },
+        linkedinData: { employeeCount }
+    },
+    detectedTechnologies: technologies,
+    cms
+});
+
+describe('diffAnalyses', () => {
+    it('finds no changes between identical analyses', () => {
+        const data = analysis({ plans: [{ name: 'Pro', price: 29 }], customers: ['Nike'], technologies: ['React'] });
+        const { hasChanges, intelligenceCompared } = diffAnalyses(data, structuredClone(data));
+
+        assert.equal(hasChanges, false);
+        assert.equal(intelligenceCompared, true);
+    });
+
+    it('matches plans by name and reports added, removed and repriced plans', () => {
+        const { changes } = diffAnalyses(
+            analysis({ plans: [{ name: 'Starter', price: 9 }, { name: 'Pro', price: 29, type: 'monthly' }] }),
+            analysis({ plans: [{ name: 'pro ', price: 39, type: 'monthly' }, { name: 'Enterprise', price: null }] })
+        );
+
+        assert.deepEqual(changes.pricing.added.map(plan => plan.name), ['Enterprise']);
+        assert.deepEqual(changes.pricing.removed.map(plan => plan.name), ['Starter']);
+        assert.deepEqual(changes.pricing.repriced, [{
+            name: 'pro ',
+            from: { price: 29, type: 'monthly' },
+            to: { price: 39, type: 'monthly' }
+        }]);
+    });
+
+    it('only compares price fields both analyses have', () => {
+        const { changes } = diffAnalyses(
+            analysis({ plans: [{ name: 'Pro', price: 29 }] }),
+            analysis({ plans: [{ name: 'Pro', price: 29, currency: 'USD', annualPrice: 24 }] })
+        );
+
+        assert.deepEqual(changes.pricing.repriced, []);
+    });
+
+    it('compares name lists ignoring case and whitespace', () => {
+        const { changes } = diffAnalyses(
+            analysis({ customers: ['Nike', 'Adidas'], technologies: ['React'] }),
+            analysis({ customers: [' nike', 'Puma'], technologies: ['React', 'Next.js'] })
+        );
+
+        assert.deepEqual(changes.customers, { added: ['Puma'], removed: ['Adidas'] });
+        assert.deepEqual(changes.technologies, { added: ['Next.js'], removed: [] });
+    });
+
+    it('reports CMS and employee count changes', () => {
+        const { hasChanges, changes } = diffAnalyses(
+            analysis({ employeeCount: 120, cms: 'WordPress' }),
+            analysis({ employeeCount: 150, cms: 'Webflow' })
+        );
+
+        assert.equal(hasChanges, true);
+        assert.deepEqual(changes.cms, { from: 'WordPress', to: 'Webflow' });
+        assert.deepEqual(changes.employeeCount, { from: 120, to: 150, delta: 30 });
+    });
+
+    it('leaves AI sections out when one analysis ran without AI', () => {
+        const withoutAI = { ...analysis({ technologies: ['React'] }), intelligence: null };
+        const { intelligenceCompared, changes } = diffAnalyses(withoutAI, analysis({ customers: ['Nike'], technologies: ['React'] }));
+
+        assert.equal(intelligenceCompared, false);
+        assert.deepEqual(changes.customers, { added: [], removed: [] });
+        assert.equal(changes.employeeCount, null);
+    });
+});
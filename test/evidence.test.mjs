@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachEvidence, nameKey } from '../src/ai/evidence.mjs';
+
+const URL = 'https://acme.com/pricing';
+const PAGE = `Acme Pricing
+Pro — $29 per month, billed “annually”.
+Trusted by Stripe,   Notion and many more teams.`;
+
+describe('nameKey', () => {
+    it('ignores case and surrounding spaces', () => {
+        assert.equal(nameKey('  Stripe '), nameKey('stripe'));
+    });
+});
+
+describe('attachEvidence', () => {
+    it('verifies quotes ignoring case, spacing and typographic punctuation', () => {
+        const result = attachEvidence({
+            pricing: { found: true, plans: [{ name: 'Pro', price: 29, quote: 'pro - $29 per month, billed "annually"', certainty: 0.9 }] }
+        }, PAGE, URL);
+
+        assert.deepEqual(result.pricing.plans[0], {
+            name: 'Pro',
+            price: 29,
+            source: { url: URL, quote: 'pro - $29 per month, billed "annually"', verified: true, certainty: 0.9 }
+        });
+        assert.deepEqual(result.evidenceSummary, { verified: 1, unverified: 0 });
+    });
+
+    it('accepts "..." for omitted text, as long as the parts come in order', () => {
+        const plan = (quote) => attachEvidence({ pricing: { plans: [{ name: 'Pro', quote }] } }, PAGE, URL).pricing.plans[0].source.verified;
+
+        assert.equal(plan('Acme Pricing ... $29 per month'), true);
+        assert.equal(plan('$29 per month … Acme Pricing'), false);
+    });
+
+    it('gives every listed name an evidence entry, unverified without a quote found on the page', () => {
+        const result = attachEvidence({
+            customers: {
+                found: true,
+                names: ['Stripe', 'Notion', 'Figma'],
+                evidence: [
+                    { name: 'stripe', quote: 'Trusted by Stripe, Notion', certainty: 1 },
+                    { name: 'Figma', quote: 'Figma loves Acme' }
+                ]
+            }
+        }, PAGE, URL);
+
+        assert.deepEqual(result.customers.evidence, [
+            { name: 'Stripe', url: URL, quote: 'Trusted by Stripe, Notion', verified: true, certainty: 1 },
+            { name: 'Notion', url: URL, quote: null, verified: false, certainty: null },
+            { name: 'Figma', url: URL, quote: 'Figma loves Acme', verified: false, certainty: null }
+        ]);
+        assert.deepEqual(result.evidenceSummary, { verified: 1, unverified: 2 });
+    });
+
+    it('covers both product and service lists', () => {
+        const result = attachEvidence({
+            whatTheySell: { products: ['Acme Pricing'], services: ['Consulting'], evidence: [] }
+        }, PAGE, URL);
+
+        assert.deepEqual(result.whatTheySell.evidence.map(entry => entry.name), ['Acme Pricing', 'Consulting']);
+    });
+
+    it('leaves sections without evidence and failed extractions alone', () => {
+        const custom = { competitors: { names: ['Globex'] } };
+        const failed = { error: 'AI unavailable' };
+
+        assert.deepEqual(attachEvidence(custom, PAGE, URL), { ...custom, evidenceSummary: { verified: 0, unverified: 0 } });
+        assert.equal(attachEvidence(failed, PAGE, URL), failed);
+    });
+});
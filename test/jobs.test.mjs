@@ -0,0 +1,57 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { setTimeout as sleep } from 'timers/promises';
+
+process.env.JOB_TIMEOUT = '300';
+const { createJob, getJob, serializeJob } = await import('../src/jobs/queue.mjs');
+
+/**
+ * Poll a job until it is finished
+ */
+const waitForJob = async (id, limit = 5000) => {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < limit) {
+        const job = getJob(id);
+        if (job.finishedAt) return job;
+        await sleep(20);
+    }
+    throw new Error(`Job ${id} did not finish within ${limit}ms`);
+};
+
+describe('job queue', () => {
+    // Accepts connections and never answers
+    let server;
+    let url;
+
+    before(async () => {
+        server = createServer(() => { });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('queues a job and reports its progress', () => {
+        const job = createJob(url, { useAI: false });
+        const serialized = serializeJob(job);
+
+        assert.match(serialized.id, /\S+/);
+        assert.equal(serialized.url, url);
+        assert.ok(['queued', 'crawling'].includes(serialized.status));
+        assert.equal(serialized.result, null);
+    });
+
+    it('fails a job with a 504 as soon as JOB_TIMEOUT is up, even inside a step that is still waiting', async () => {
+        const startedAt = Date.now();
+        const job = await waitForJob(createJob(url, { useAI: false }).id);
+
+        assert.equal(job.status, 'failed');
+        assert.equal(job.result.statusCode, 504);
+        assert.match(job.result.error, /Analysis timeout after 300ms/);
+        assert.ok(new Date(job.finishedAt) - startedAt < 2000);
+    });
+});
@@ -0,0 +1,13 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keys are read from the config once, at first use
+process.env.API_KEYS = 'sales:key-one,sales:key-two';
+process.env.API_KEYS_FILE = '';
+const { isAuthEnabled } = await import('../src/auth/keys.mjs');
+
+describe('API keys', () => {
+    it('rejects two keys with the same name', () => {
+        assert.throws(() => isAuthEnabled(), /API key name "sales" is used more than once/);
+    });
+});
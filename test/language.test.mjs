@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { primaryLanguage, detectLanguage, resolvePageLanguage, findEnglishAlternate } from '../src/utils/language.mjs';
+
+const ENGLISH = 'Get started with our platform. All the tools your team needs, and more for you: this is the plan that you have been looking for, with support from our team.';
+const FRENCH = 'Découvrez notre plateforme pour les équipes. Avec vous, nos experts sont dans la place pour votre succès et plus encore : une offre pour les entreprises et des outils sur mesure.';
+const GERMAN = 'Die Plattform für Ihre Teams. Wir sind mit Ihnen auf dem Weg, und das ist nicht alles: eine Lösung für mehr Wachstum, die Sie mit der Zeit nicht mehr missen wollen.';
+const DUTCH = 'Het platform voor uw team. Wij zijn er om u te helpen met een oplossing die niet alleen meer groei brengt, maar ook tijd bespaart bij van alles wat wordt gedaan.';
+
+// Full of "de" and "en", which Dutch uses too
+const FRENCH_DE_EN = 'Le logiciel de gestion de projet en ligne pour les équipes de vente et de marketing. Gagnez en productivité avec des outils de suivi en temps réel, des tableaux de bord et plus de cinquante intégrations pour votre entreprise.';
+const SPANISH_DE_EN = 'El software de gestión de proyectos en la nube para los equipos de ventas y de marketing. Nuestro panel está siempre al día: aumenta la productividad de las empresas en tiempo real, también en el móvil, y es compatible con más de cincuenta integraciones por equipo.';
+
+describe('primaryLanguage', () => {
+    it('keeps the primary subtag of a language tag', () => {
+        assert.equal(primaryLanguage('fr-FR'), 'fr');
+        assert.equal(primaryLanguage('en_US'), 'en');
+        assert.equal(primaryLanguage(' DE '), 'de');
+        assert.equal(primaryLanguage('x'), null);
+        assert.equal(primaryLanguage(null), null);
+    });
+});
+
+describe('detectLanguage', () => {
+    it('detects the language from common words', () => {
+        assert.equal(detectLanguage(ENGLISH), 'en');
+        assert.equal(detectLanguage(FRENCH), 'fr');
+        assert.equal(detectLanguage(GERMAN), 'de');
+        assert.equal(detectLanguage(DUTCH), 'nl');
+    });
+
+    it('does not count words other languages share as Dutch', () => {
+        assert.equal(detectLanguage(FRENCH_DE_EN), 'fr');
+        assert.equal(detectLanguage(SPANISH_DE_EN), 'es');
+    });
+
+    it('is unsure with too little text', () => {
+        assert.equal(detectLanguage('Pricing and plans'), null);
+        assert.equal(detectLanguage(''), null);
+    });
+});
+
+describe('resolvePageLanguage', () => {
+    it('trusts the text over the declared language', () => {
+        assert.equal(resolvePageLanguage(FRENCH, 'en'), 'fr');
+    });
+
+    it('falls back to the declared language', () => {
+        assert.equal(resolvePageLanguage('Preise', 'de-AT'), 'de');
+        assert.equal(resolvePageLanguage('Preise'), null);
+    });
+});
+
+describe('findEnglishAlternate', () => {
+    it('prefers the plain "en" alternate', () => {
+        assert.equal(findEnglishAlternate([
+            { hreflang: 'fr', href: 'https://acme.com/fr/' },
+            { hreflang: 'en-GB', href: 'https://acme.com/uk/' },
+            { hreflang: 'en', href: 'https://acme.com/en/' }
+        ], 'https://acme.com/fr/'), 'https://acme.com/en/');
+    });
+
+    it('never returns the page itself', () => {
+        assert.equal(findEnglishAlternate([{ hreflang: 'en', href: 'https://acme.com/' }], 'https://acme.com/'), null);
+        assert.equal(findEnglishAlternate([], 'https://acme.com/'), null);
+    });
+});
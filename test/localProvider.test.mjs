@@ -0,0 +1,80 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+// OpenAI-compatible server that rejects json_schema output, like older llama.cpp builds
+const requests = [];
+const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const request = JSON.parse(body);
+        requests.push(request);
+        res.setHeader('Content-Type', 'application/json');
+
+        if (request.response_format?.type === 'json_schema') {
+            res.statusCode = 400;
+            return res.end(JSON.stringify({ error: { message: 'response_format json_schema is not supported' } }));
+        }
+
+        res.end(JSON.stringify({
+            id: 'chatcmpl-1',
+            object: 'chat.completion',
+            model: request.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: '```json\n{"name": "Acme"}\n```' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 12, completion_tokens: 5 }
+        }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+
+process.env.AI_PROVIDER = 'local';
+process.env.AI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+process.env.AI_MODEL = 'llama3.1:8b';
+process.env.AI_FALLBACKS = '';
+const { askAI, parseAIJson } = await import('../src/ai/providers.mjs');
+const { createUsageTracker } = await import('../src/ai/usage.mjs');
+
+const SCHEMA = { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] };
+
+describe('local provider', () => {
+    it('falls back from json_schema to JSON mode, with the schema in the prompt', async () => {
+        requests.length = 0;
+        const usage = createUsageTracker();
+        const result = await askAI('Extract the company.', 'Acme makes anvils.', SCHEMA, { purpose: 'extraction', usage });
+
+        assert.deepEqual(parseAIJson(result.text), { name: 'Acme' });
+        assert.equal(result.provider, 'local');
+        assert.equal(result.model, 'llama3.1:8b');
+        assert.deepEqual(requests.map(request => request.response_format?.type), ['json_schema', 'json_object']);
+        assert.match(requests[1].messages[0].content, /You MUST respond with valid JSON matching this exact schema/);
+
+        // Local models are free
+        assert.equal(usage.summary().costUsd, 0);
+        assert.equal(usage.summary().totalTokens, 17);
+    });
+
+    it('remembers the mode that worked', async () => {
+        requests.length = 0;
+        await askAI('Extract the company.', 'Acme makes anvils.', SCHEMA);
+
+        assert.deepEqual(requests.map(request => request.response_format?.type), ['json_object']);
+    });
+
+    it('sends no response_format without a schema', async () => {
+        requests.length = 0;
+        await askAI('Say hi.', 'Hi');
+
+        assert.equal(requests[0].response_format, undefined);
+    });
+});
+
+describe('parseAIJson', () => {
+    it('reads JSON with or without a code fence', () => {
+        assert.deepEqual(parseAIJson('{"a": 1}'), { a: 1 });
+        assert.deepEqual(parseAIJson('```json\n{"a": 1}\n```'), { a: 1 });
+        assert.deepEqual(parseAIJson('```\n[1, 2]\n```'), [1, 2]);
+        assert.throws(() => parseAIJson('not json'));
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { nameFromFilename, nameFromLabel, nameFromLink, mergeLogoResults, toCustomerResult } from '../src/extractors/logos.mjs';
+
+describe('nameFromLabel', () => {
+    it('strips "logo"', () => {
+        assert.equal(nameFromLabel('Nike logo'), 'Nike');
+        assert.equal(nameFromLabel('Logo of Acme Corp'), 'Acme Corp');
+        assert.equal(nameFromLabel('Acme\'s logo'), 'Acme');
+    });
+
+    it('keeps color and size words of company names', () => {
+        assert.equal(nameFromLabel('Black Rifle Coffee'), 'Black Rifle Coffee');
+        assert.equal(nameFromLabel('Light & Wonder'), 'Light & Wonder');
+        assert.equal(nameFromLabel('Full Sail University'), 'Full Sail University');
+    });
+
+    it('names no company for generic labels', () => {
+        assert.equal(nameFromLabel('logo'), null);
+        assert.equal(nameFromLabel('Image'), null);
+        assert.equal(nameFromLabel('123'), null);
+        assert.equal(nameFromLabel(null), null);
+    });
+});
+
+describe('nameFromFilename', () => {
+    it('drops sizes, hashes and variants', () => {
+        assert.equal(nameFromFilename('/logos/acme-corp_white@2x.png'), 'Acme Corp');
+        assert.equal(nameFromFilename('/a/stripe-3f9a2c1b.png'), 'Stripe');
+        assert.equal(nameFromFilename('/a/logo-acme-full-color-200x80.png'), 'Acme');
+    });
+
+    it('keeps a variant word that starts the name', () => {
+        assert.equal(nameFromFilename('/img/black-rifle-coffee-logo-white.svg'), 'Black Rifle Coffee');
+    });
+
+    it('keeps mixed case and splits "Logo" suffixes', () => {
+        assert.equal(nameFromFilename('/a/HubSpotLogo.svg'), 'HubSpot');
+    });
+
+    it('follows image CDN URLs to the original file', () => {
+        assert.equal(nameFromFilename('/_next/image?url=%2Flogos%2Fnike-logo-dark.svg&w=256'), 'Nike');
+    });
+
+    it('names no company for variant-only files and data URLs', () => {
+        assert.equal(nameFromFilename('/a/logo-white.svg'), null);
+        assert.equal(nameFromFilename('data:image/png;base64,AAAA'), null);
+    });
+});
+
+describe('nameFromLink', () => {
+    const PAGE = 'https://acme.com/customers';
+
+    it('names the registered domain, not a subdomain', () => {
+        assert.equal(nameFromLink('https://www.nike.com/', PAGE), 'Nike');
+        assert.equal(nameFromLink('https://cloud.ibm.com/', PAGE), 'Ibm');
+        assert.equal(nameFromLink('https://app.box.com/login', PAGE), 'Box');
+    });
+
+    it('skips the second level of country domains', () => {
+        assert.equal(nameFromLink('https://www.tesco.co.uk/', PAGE), 'Tesco');
+        assert.equal(nameFromLink('https://shop.woolworths.com.au/', PAGE), 'Woolworths');
+    });
+
+    it('ignores links within the analyzed site and non-web links', () => {
+        assert.equal(nameFromLink('https://www.acme.com/case-studies/nike', PAGE), null);
+        assert.equal(nameFromLink('mailto:sales@nike.com', PAGE), null);
+        assert.equal(nameFromLink(null, PAGE), null);
+    });
+});
+
+describe('mergeLogoResults', () => {
+    it('merges names across pages ignoring case, and keeps each wall with its page', () => {
+        const merged = mergeLogoResults([
+            { url: 'https://acme.com/', walls: [{ heading: 'Trusted by', logos: 2 }], names: [{ name: 'Stripe', method: 'alt', label: 'Stripe' }, { name: 'Notion', method: 'filename', label: null }] },
+            { url: 'https://acme.com/customers', walls: [{ heading: 'Our customers', logos: 1 }], names: [{ name: 'stripe', method: 'alt', label: 'stripe' }] },
+            { url: 'https://acme.com/about', walls: [], names: [] }
+        ]);
+
+        assert.deepEqual(merged, {
+            found: true,
+            names: ['Stripe', 'Notion'],
+            walls: [
+                { url: 'https://acme.com/', heading: 'Trusted by', logos: 2 },
+                { url: 'https://acme.com/customers', heading: 'Our customers', logos: 1 }
+            ]
+        });
+    });
+});
+
+describe('toCustomerResult', () => {
+    it('turns a page\'s logos into customers with logo evidence', () => {
+        const result = toCustomerResult({
+            url: 'https://acme.com/',
+            names: [{ name: 'Hubspot', method: 'alt', label: 'Hubspot logo' }, { name: 'Globex', method: 'vision', label: null }]
+        }, ['HubSpot']);
+
+        assert.deepEqual(result.customers.names, ['HubSpot', 'Globex']);
+        assert.deepEqual(result.customers.evidence, [
+            { name: 'HubSpot', url: 'https://acme.com/', quote: 'Hubspot logo', verified: true, certainty: null, source: 'logo', method: 'alt' },
+            { name: 'Globex', url: 'https://acme.com/', quote: null, verified: false, certainty: null, source: 'logo', method: 'vision' }
+        ]);
+    });
+
+    it('returns null for a page without named logos', () => {
+        assert.equal(toCustomerResult({ url: 'https://acme.com/', names: [] }), null);
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCurrencyCode, planKey, deduplicatePlans, mergeIntelligence } from '../src/ai/extractor.mjs';
+
+describe('toCurrencyCode', () => {
+    it('maps symbols and codes to ISO 4217', () => {
+        assert.equal(toCurrencyCode('€'), 'EUR');
+        assert.equal(toCurrencyCode(' US$ '), 'USD');
+        assert.equal(toCurrencyCode('usd'), 'USD');
+        assert.equal(toCurrencyCode('zł'), 'PLN');
+    });
+
+    it('returns null when unrecognizable', () => {
+        assert.equal(toCurrencyCode('dollars'), null);
+        assert.equal(toCurrencyCode(null), null);
+    });
+});
+
+describe('planKey', () => {
+    it('matches billing variants of one plan', () => {
+        assert.equal(planKey('Pro'), 'pro');
+        assert.equal(planKey('Pro plan'), 'pro');
+        assert.equal(planKey('Pro (billed annually)'), 'pro');
+        assert.equal(planKey('Pro Monthly'), 'pro');
+    });
+
+    it('keeps plans that only differ by a plus apart', () => {
+        assert.notEqual(planKey('Pro+'), planKey('Pro'));
+    });
+
+    it('keeps a name made only of billing words', () => {
+        assert.equal(planKey('Annual'), 'annual');
+    });
+});
+
+describe('deduplicatePlans', () => {
+    it('merges variants, filling gaps and combining features', () => {
+        const plans = deduplicatePlans([
+            { name: 'Pro plan', price: 29, monthlyPrice: 29, annualPrice: null, features: ['SSO', 'API'], contactSales: false, certainty: 0.6 },
+            { name: 'Starter', price: 9 },
+            { name: 'Pro', price: 290, monthlyPrice: null, annualPrice: 290, features: ['api', 'Audit log'], contactSales: true, certainty: 0.9 }
+        ]);
+
+        assert.deepEqual(plans, [
+            { name: 'Pro', price: 29, monthlyPrice: 29, annualPrice: 290, features: ['SSO', 'API', 'Audit log'], contactSales: true, certainty: 0.9 },
+            { name: 'Starter', price: 9 }
+        ]);
+    });
+
+    it('builds on the verified variant', () => {
+        const [plan] = deduplicatePlans([
+            { name: 'Pro', price: 30, source: { verified: false } },
+            { name: 'Pro', price: 29, source: { verified: true } }
+        ]);
+
+        assert.equal(plan.price, 29);
+        assert.equal(plan.source.verified, true);
+    });
+});
+
+describe('mergeIntelligence', () => {
+    const SCHEMA = {
+        type: 'object',
+        properties: {
+            pricing: {
+                type: 'object',
+                properties: {
+                    found: { type: 'boolean' },
+                    plans: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, price: { type: ['number', 'null'] } } } }
+                },
+                required: ['found', 'plans']
+            },
+            customers: {
+                type: 'object',
+                properties: {
+                    found: { type: 'boolean' },
+                    names: { type: 'array', items: { type: 'string' } },
+                    summary: { type: 'string' }
+                },
+                required: ['found', 'names']
+            }
+        },
+        required: ['pricing', 'customers']
+    };
+
+    it('merges pages by schema, skipping failed pages and sections not found', () => {
+        const merged = mergeIntelligence([
+            { pricing: { found: true, plans: [{ name: 'Pro', price: 29 }] }, customers: { found: true, names: ['Stripe'], summary: 'First' } },
+            { error: 'AI unavailable', customers: { found: true, names: ['Globex'] } },
+            { pricing: { found: false, plans: [{ name: 'Ghost', price: 1 }] }, customers: { found: true, names: ['Stripe', 'Notion'], summary: 'Last' } },
+            { pricing: { found: true, plans: [{ name: 'Pro (billed annually)', price: null }] }, customers: { found: false, names: [] } }
+        ], SCHEMA);
+
+        assert.deepEqual(merged, {
+            pricing: { found: true, plans: [{ name: 'Pro', price: 29 }] },
+            customers: { found: true, names: ['Stripe', 'Notion'], summary: 'Last' }
+        });
+    });
+
+    it('returns the empty result without pages', () => {
+        assert.deepEqual(mergeIntelligence([], SCHEMA), {
+            pricing: { found: false, plans: [] },
+            customers: { found: false, names: [] }
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeToSchema, getSchemaDefault } from '../src/ai/validate.mjs';
+
+const PLAN = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        price: { type: ['number', 'null'] },
+        period: { type: ['string', 'null'], enum: ['monthly', 'yearly', 'one-time', null] },
+        model: { type: 'string', enum: ['flat', 'per-seat', 'other'] }
+    },
+    required: ['name', 'price']
+};
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        found: { type: 'boolean' },
+        employees: { type: ['integer', 'null'] },
+        markets: { type: 'array', items: { type: 'string' } },
+        plans: { type: 'array', items: PLAN }
+    },
+    required: ['found', 'employees', 'markets', 'plans']
+};
+
+describe('getSchemaDefault', () => {
+    it('builds the empty result of an object schema', () => {
+        assert.deepEqual(getSchemaDefault(SCHEMA), { found: false, employees: null, markets: [], plans: [] });
+    });
+
+    it('leaves out enums and numbers that have no neutral value', () => {
+        assert.equal(getSchemaDefault({ type: 'string', enum: ['a'] }), undefined);
+        assert.equal(getSchemaDefault({ type: 'number' }), undefined);
+        assert.equal(getSchemaDefault({ type: 'string' }), '');
+    });
+});
+
+describe('normalizeToSchema', () => {
+    it('keeps a conforming value unchanged, without warnings', () => {
+        const value = { found: true, employees: 50, markets: ['EU'], plans: [{ name: 'Pro', price: 29, period: 'monthly', model: 'flat' }] };
+
+        assert.deepEqual(normalizeToSchema(value, SCHEMA), { value, warnings: [] });
+    });
+
+    it('coerces scalars to the schema type', () => {
+        const { value } = normalizeToSchema({ found: 'yes', employees: '1,200', markets: [], plans: [{ name: 'Pro', price: '$29/mo' }, { name: 'Free', price: 'Free' }] }, SCHEMA);
+
+        assert.equal(value.found, true);
+        assert.equal(value.employees, 1200);
+        assert.deepEqual(value.plans.map(plan => plan.price), [29, 0]);
+    });
+
+    it('reads a null optional property that cannot be null as left out', () => {
+        const value = { found: true, employees: null, markets: [], plans: [{ name: 'Pro', price: 29, period: null, model: null }] };
+
+        assert.deepEqual(normalizeToSchema(value, SCHEMA), {
+            value: { ...value, plans: [{ name: 'Pro', price: 29, period: null }] },
+            warnings: []
+        });
+    });
+
+    it('reads number suffixes and null-like strings', () => {
+        assert.equal(normalizeToSchema({ ...getSchemaDefault(SCHEMA), employees: '4k' }, SCHEMA).value.employees, 4000);
+        assert.equal(normalizeToSchema({ ...getSchemaDefault(SCHEMA), employees: 'N/A' }, SCHEMA).value.employees, null);
+    });
+
+    it('matches enum values ignoring case and separators, else falls back to "other"', () => {
+        const { value, warnings } = normalizeToSchema({ found: true, employees: null, markets: [], plans: [
+            { name: 'A', price: 1, period: 'Monthly', model: 'Per Seat' },
+            { name: 'B', price: 2, model: 'usage-based' }
+        ] }, SCHEMA);
+
+        assert.deepEqual(value.plans, [
+            { name: 'A', price: 1, period: 'monthly', model: 'per-seat' },
+            { name: 'B', price: 2, model: 'other' }
+        ]);
+        assert.ok(warnings.includes('plans[0].period: coerced "Monthly" to "monthly"'));
+    });
+
+    it('wraps single values in arrays and turns null into an empty array', () => {
+        const { value, warnings } = normalizeToSchema({ found: true, employees: null, markets: 'EU', plans: null }, SCHEMA);
+
+        assert.deepEqual(value.markets, ['EU']);
+        assert.deepEqual(value.plans, []);
+        assert.ok(warnings.includes('markets: wrapped single value in an array'));
+    });
+
+    it('defaults missing properties and drops unknown ones', () => {
+        const { value, warnings } = normalizeToSchema({ found: true, ceo: 'Jane' }, SCHEMA);
+
+        assert.deepEqual(value, { found: true, employees: null, markets: [], plans: [] });
+        assert.ok(warnings.includes('ceo: unknown property dropped'));
+        assert.ok(warnings.includes('employees: missing, defaulted to null'));
+    });
+
+    it('drops array items whose required properties are unusable', () => {
+        const { value, warnings } = normalizeToSchema({ found: true, employees: null, markets: [], plans: [
+            { name: 'Pro', price: 29 },
+            { name: 'Enterprise', price: { amount: 'custom' } },
+            'Starter'
+        ] }, SCHEMA);
+
+        assert.deepEqual(value.plans, [{ name: 'Pro', price: 29 }]);
+        assert.ok(warnings.includes('plans[1]: dropped invalid item'));
+        assert.ok(warnings.includes('plans[2]: dropped invalid item'));
+    });
+
+    it('replaces unusable output with the empty result', () => {
+        const { value, warnings } = normalizeToSchema('I could not find anything', SCHEMA);
+
+        assert.deepEqual(value, getSchemaDefault(SCHEMA));
+        assert.equal(warnings.at(-1), 'root: unusable output, replaced with an empty result');
+    });
+});
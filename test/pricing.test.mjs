@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPeriod, parsePrice, mergeDomPricing, crossCheckPlans } from '../src/extractors/pricing.mjs';
+
+describe('detectPeriod', () => {
+    it('reads monthly prices', () => {
+        assert.equal(detectPeriod('$29/mo', ''), 'monthly');
+        assert.equal(detectPeriod('29 € par mois', ''), 'monthly');
+    });
+
+    it('does not take the English article "an" for French "an"', () => {
+        assert.equal(detectPeriod('$29 per month, an ideal start', ''), 'monthly');
+        assert.equal(detectPeriod('$29 a month for an entire team', ''), 'monthly');
+    });
+
+    it('reads short year words only after a slash or "per"', () => {
+        assert.equal(detectPeriod('29 € / an', ''), 'annual');
+        assert.equal(detectPeriod('29 € par an', ''), 'annual');
+        assert.equal(detectPeriod('29 € pro Jahr', ''), 'annual');
+        assert.equal(detectPeriod('29 € all\'anno', ''), 'annual');
+        assert.equal(detectPeriod('$290/yr', ''), 'annual');
+        assert.equal(detectPeriod('yr plan, $29/month', ''), 'monthly');
+        assert.equal(detectPeriod('Jahr 1: 29 € / Monat', ''), 'monthly');
+    });
+
+    it('prefers "billed annually" anywhere on the card', () => {
+        assert.equal(detectPeriod('$24/month', 'Pro $24/month billed annually'), 'annual');
+        assert.equal(detectPeriod('$29', 'Billed monthly'), 'monthly');
+    });
+
+    it('reads one-time prices and unknown periods', () => {
+        assert.equal(detectPeriod('$199 one-time', ''), 'one-time');
+        assert.equal(detectPeriod('$199', ''), null);
+    });
+});
+
+describe('parsePrice', () => {
+    it('reads symbols and codes', () => {
+        assert.deepEqual(parsePrice('$29'), { price: 29, currency: 'USD' });
+        assert.deepEqual(parsePrice('29,99 €'), { price: 29.99, currency: 'EUR' });
+        assert.deepEqual(parsePrice('CHF 49'), { price: 49, currency: 'CHF' });
+    });
+
+    it('reads thousands separators', () => {
+        assert.equal(parsePrice('$1,299').price, 1299);
+        assert.equal(parsePrice('1.299 €').price, 1299);
+        assert.equal(parsePrice('1 299 kr').price, 1299);
+        assert.equal(parsePrice('$1,299.50').price, 1299.5);
+    });
+
+    it('reads free plans', () => {
+        assert.equal(parsePrice('Free').price, 0);
+    });
+});
+
+describe('mergeDomPricing', () => {
+    it('merges the plans of pages that have some', () => {
+        const merged = mergeDomPricing([
+            { url: 'https://acme.com/', plans: [] },
+            { url: 'https://acme.com/pricing', plans: [{ name: 'Pro', price: 29, monthlyPrice: 29, annualPrice: null }] },
+            { url: 'https://acme.com/pricing/annual', plans: [{ name: 'Pro plan', price: 290, monthlyPrice: null, annualPrice: 290 }] }
+        ]);
+
+        assert.deepEqual(merged, {
+            found: true,
+            plans: [{ name: 'Pro', price: 29, monthlyPrice: 29, annualPrice: 290 }],
+            pages: ['https://acme.com/pricing', 'https://acme.com/pricing/annual']
+        });
+    });
+});
+
+describe('crossCheckPlans', () => {
+    it('checks each AI plan against the DOM plan of the same name', () => {
+        const { plans, summary } = crossCheckPlans([
+            { name: 'Pro', price: 24, annualPrice: 290 },
+            { name: 'Team plan', price: 49 },
+            { name: 'Enterprise', price: null },
+            { name: 'Ultimate', price: 99 }
+        ], [
+            { name: 'Pro', price: 290, monthlyPrice: null, annualPrice: 290 },
+            { name: 'Team', price: 59, monthlyPrice: 59, annualPrice: null },
+            { name: 'Enterprise', price: null, monthlyPrice: null, annualPrice: null },
+            { name: 'Starter', price: 9, monthlyPrice: 9, annualPrice: null }
+        ]);
+
+        assert.deepEqual(plans.map(plan => [plan.name, plan.domCheck.status, plan.domCheck.domPrices]), [
+            ['Pro', 'confirmed', [290]],
+            ['Team plan', 'price-mismatch', [59]],
+            ['Enterprise', 'confirmed', []],
+            ['Ultimate', 'not-found', []]
+        ]);
+        assert.deepEqual(summary, { confirmed: 2, priceMismatch: 1, notFound: 1, missingFromAI: ['Starter'] });
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+// OpenAI-compatible server answering with the status queued for each model
+const replies = {};
+const requests = [];
+const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const { model } = JSON.parse(body);
+        requests.push(model);
+        const status = replies[model]?.shift() ?? 200;
+        if (status === 'hang') return;
+
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(status === 200
+            ? { id: 'chatcmpl-1', object: 'chat.completion', model, choices: [{ index: 0, message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }], usage: { prompt_tokens: 1, completion_tokens: 1 } }
+            : { error: { message: `Error ${status}` } }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+
+process.env.AI_PROVIDER = 'local';
+process.env.AI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+process.env.AI_MODEL = 'primary';
+process.env.AI_FALLBACKS = 'local:backup, local:primary';
+process.env.AI_MAX_RETRIES = '2';
+process.env.AI_RETRY_DELAY = '10';
+const { askAI, getProviderChain } = await import('../src/ai/providers.mjs');
+
+const ask = (signal = null) => askAI('System', 'Prompt', null, { signal }).then(result => result, error => error);
+
+describe('provider chain', () => {
+    it('lists AI_PROVIDER then each distinct fallback', () => {
+        assert.deepEqual(getProviderChain(), [
+            { provider: 'local', model: 'primary' },
+            { provider: 'local', model: 'backup' }
+        ]);
+    });
+
+    it('retries retryable errors on the same provider', async () => {
+        requests.length = 0;
+        replies.primary = [503, 429];
+
+        const result = await ask();
+
+        assert.equal(result.model, 'primary');
+        assert.deepEqual(requests, ['primary', 'primary', 'primary']);
+        assert.deepEqual(result.failures.map(failure => failure.status), [503, 429]);
+    });
+
+    it('falls back once retries are used up', async () => {
+        requests.length = 0;
+        replies.primary = [500, 500, 500];
+
+        const result = await ask();
+
+        assert.equal(result.model, 'backup');
+        assert.deepEqual(requests, ['primary', 'primary', 'primary', 'backup']);
+    });
+
+    it('falls back at once on a permanent error', async () => {
+        requests.length = 0;
+        replies.primary = [401];
+
+        const result = await ask();
+
+        assert.equal(result.model, 'backup');
+        assert.deepEqual(requests, ['primary', 'backup']);
+    });
+
+    it('fails with every attempt when the whole chain fails', async () => {
+        replies.primary = [401];
+        replies.backup = [400];
+
+        const error = await ask();
+
+        assert.ok(error instanceof Error);
+        assert.match(error.message, /^All AI providers failed \(last: local\/backup: /);
+        assert.equal(error.status, 400);
+        assert.deepEqual(error.failures.map(failure => `${failure.model} ${failure.status}`), ['primary 401', 'backup 400']);
+    });
+
+    it('sends nothing once the signal is aborted', async () => {
+        requests.length = 0;
+
+        const error = await ask(AbortSignal.abort(new Error('Job timeout')));
+
+        assert.equal(error.message, 'Job timeout');
+        assert.deepEqual(requests, []);
+    });
+
+    it('cancels a pending request without retry or fallback', async () => {
+        requests.length = 0;
+        replies.primary = ['hang'];
+        const controller = new AbortController();
+
+        const pending = ask(controller.signal);
+        while (requests.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+        controller.abort(new Error('Batch cancelled'));
+
+        assert.equal((await pending).message, 'Batch cancelled');
+        assert.deepEqual(requests, ['primary']);
+    });
+});
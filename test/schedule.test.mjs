@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextRunAt, validateSchedule } from '../src/watches/schedule.mjs';
+
+const FROM = new Date('2024-01-15T10:30:00.000Z'); // A Monday
+
+describe('validateSchedule', () => {
+    it('accepts aliases and cron expressions', () => {
+        for (const schedule of ['hourly', 'daily', 'weekly', '0 9 * * 1', '*/15 * * * *']) {
+            assert.equal(validateSchedule(schedule), null, schedule);
+        }
+    });
+
+    it('rejects empty and invalid schedules', () => {
+        assert.equal(validateSchedule(''), 'schedule is required');
+        assert.equal(validateSchedule(undefined), 'schedule is required');
+        assert.match(validateSchedule('every tuesday'), /Invalid schedule "every tuesday"/);
+        assert.match(validateSchedule('61 * * * *'), /Invalid schedule/);
+    });
+});
+
+describe('getNextRunAt', () => {
+    it('adds the interval of an alias', () => {
+        assert.equal(getNextRunAt('hourly', FROM), '2024-01-15T11:30:00.000Z');
+        assert.equal(getNextRunAt('daily', FROM), '2024-01-16T10:30:00.000Z');
+        assert.equal(getNextRunAt('weekly', FROM), '2024-01-22T10:30:00.000Z');
+    });
+
+    it('gives the next cron occurrence in UTC', () => {
+        assert.equal(getNextRunAt('0 9 * * 1', FROM), '2024-01-22T09:00:00.000Z');
+        assert.equal(getNextRunAt('0 12 * * *', FROM), '2024-01-15T12:00:00.000Z');
+        assert.equal(getNextRunAt('*/15 * * * *', FROM), '2024-01-15T10:45:00.000Z');
+    });
+});
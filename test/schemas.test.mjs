@@ -0,0 +1,143 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { cpSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The shipped schemas plus two broken files
+const schemasDir = mkdtempSync(path.join(tmpdir(), 'schemas-'));
+cpSync(fileURLToPath(new URL('../schemas', import.meta.url)), schemasDir, { recursive: true });
+writeFileSync(path.join(schemasDir, 'broken.json'), '{ "schema": ');
+writeFileSync(path.join(schemasDir, 'empty.json'), '{}');
+after(() => rmSync(schemasDir, { recursive: true, force: true }));
+
+process.env.SCHEMAS_DIR = schemasDir;
+const { checkSchema, resolveExtraction } = await import('../src/ai/schemas.mjs');
+const { parseAnalysisOptions } = await import('../src/pipeline/options.mjs');
+const { toStrictSchema } = await import('../src/ai/providers.mjs');
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        integrations: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+describe('checkSchema', () => {
+    it('accepts the supported subset of JSON Schema', () => {
+        assert.deepEqual(checkSchema(SCHEMA), []);
+    });
+
+    it('reports each unusable part with its path', () => {
+        assert.deepEqual(checkSchema({
+            type: 'object',
+            properties: {
+                tags: { type: 'array' },
+                size: { type: 'decimal' },
+                tier: { type: 'string', enum: [] }
+            },
+            required: ['owner']
+        }), [
+            'schema.properties.tags.items is required for arrays',
+            'schema.properties.size.type must be one of object, array, string, number, integer, boolean, null',
+            'schema.properties.tier.enum must be a non-empty array',
+            'schema.required lists unknown property "owner"'
+        ]);
+    });
+
+    it('needs properties on objects', () => {
+        assert.deepEqual(checkSchema({ type: 'object' }), ['schema.properties must list the fields to extract']);
+    });
+});
+
+describe('resolveExtraction', () => {
+    it('uses the built-in schema when nothing is asked', () => {
+        assert.equal(resolveExtraction({}), null);
+    });
+
+    it('resolves an inline schema, also given as a JSON string', () => {
+        const inline = resolveExtraction({ schema: SCHEMA });
+        const fromQuery = resolveExtraction({ schema: JSON.stringify(SCHEMA) });
+
+        assert.equal(inline.name, 'custom');
+        assert.equal(inline.mode, 'extend');
+        assert.match(inline.key, /^[0-9a-f]{16}$/);
+        assert.equal(fromQuery.key, inline.key);
+    });
+
+    it('gives different keys to different instructions', () => {
+        const a = resolveExtraction({ schema: SCHEMA, instructions: 'Only official integrations' });
+        const b = resolveExtraction({ schema: SCHEMA });
+
+        assert.notEqual(a.key, b.key);
+    });
+
+    it('loads a named schema and appends the request instructions', () => {
+        const sales = resolveExtraction({ schemaName: 'sales', instructions: 'Skip partners' });
+
+        assert.equal(sales.name, 'sales');
+        assert.equal(sales.schema.type, 'object');
+        assert.ok(sales.instructions.endsWith('\nSkip partners'));
+    });
+
+    it('rejects invalid requests with a 400', () => {
+        const invalid = [
+            [{ schemaName: 'nope' }, /^Unknown schema "nope"$/],
+            [{ schemaName: '../package' }, /may only contain/],
+            [{ schemaName: 'broken' }, /^Schema "broken": file is not valid JSON/],
+            [{ schemaName: 'empty' }, /^Schema "empty": file has no "schema"$/],
+            [{ schema: SCHEMA, schemaName: 'sales' }, /either schema or schemaName/],
+            [{ schema: '{not json' }, /must be a JSON schema object/],
+            [{ schema: { type: 'string' } }, /schema.type must be "object"/],
+            [{ instructions: 'Be brief', schemaMode: 'replace' }, /"replace" needs a schema/],
+            [{ schema: SCHEMA, schemaMode: 'merge' }, /schemaMode must be "extend" or "replace"/]
+        ];
+
+        for (const [source, message] of invalid) {
+            assert.throws(() => resolveExtraction(source), error => error.status === 400 && message.test(error.message));
+        }
+    });
+});
+
+describe('parseAnalysisOptions', () => {
+    it('resolves the extraction schema with the other options', () => {
+        const options = parseAnalysisOptions({ schemaName: 'sales', useAI: 'false' });
+
+        assert.equal(options.extraction.name, 'sales');
+        assert.equal(options.useAI, false);
+    });
+
+    it('throws a 400 for an unknown schema', () => {
+        assert.throws(() => parseAnalysisOptions({ schemaName: 'nope' }), { status: 400 });
+    });
+});
+
+describe('toStrictSchema', () => {
+    it('closes objects and makes optional properties required but nullable', () => {
+        assert.deepEqual(toStrictSchema({
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                stage: { type: 'string', enum: ['seed', 'series-a'] },
+                rounds: {
+                    type: 'array',
+                    items: { type: 'object', properties: { amount: { type: ['number', 'null'] } } }
+                }
+            },
+            required: ['name']
+        }), {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                stage: { type: ['string', 'null'], enum: ['seed', 'series-a', null] },
+                rounds: {
+                    type: ['array', 'null'],
+                    items: { type: 'object', properties: { amount: { type: ['number', 'null'] } }, required: ['amount'], additionalProperties: false }
+                }
+            },
+            required: ['name', 'stage', 'rounds'],
+            additionalProperties: false
+        });
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const directory = mkdtempSync(join(tmpdir(), 'company-intel-screenshots-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+process.env.SCREENSHOT_STORAGE = 'disk';
+process.env.SCREENSHOT_DIR = directory;
+process.env.SCREENSHOT_FORMAT = 'webp';
+process.env.SCREENSHOT_MAX_HEIGHT = '5000';
+const { capturePage, getScreenshotPrefix } = await import('../src/screenshots/index.mjs');
+const { createDiskStorage } = await import('../src/screenshots/disk.mjs');
+
+/**
+ * Page whose CDP session reports a 1440x900 viewport on a 20000px page
+ * and returns the requested clip as the image
+ */
+const fakePage = ({ failCapture = false } = {}) => {
+    const captures = [];
+    const session = {
+        send: async (method, params) => {
+            if (method === 'Page.getLayoutMetrics') {
+                return { cssContentSize: { width: 1440, height: 20000 }, cssLayoutViewport: { clientWidth: 1440, clientHeight: 900 } };
+            }
+            if (failCapture) throw new Error('Target closed');
+            captures.push(params);
+            return { data: Buffer.from(`${params.clip.width}x${params.clip.height}`).toString('base64') };
+        },
+        detach: async () => { }
+    };
+    return { captures, context: () => ({ newCDPSession: async () => session }), evaluate: async () => { } };
+};
+
+describe('createDiskStorage', () => {
+    it('writes under the directory and links to /screenshots', async () => {
+        const saved = await createDiskStorage({ dir: directory }).save('example.com/run/00-home-fold.jpg', Buffer.from('image'));
+
+        assert.equal(saved.url, '/screenshots/example.com/run/00-home-fold.jpg');
+        assert.equal(saved.path, join(directory, 'example.com/run/00-home-fold.jpg'));
+        assert.equal(readFileSync(saved.path, 'utf8'), 'image');
+    });
+
+    it('links to the public URL when another server exposes the directory', async () => {
+        const saved = await createDiskStorage({ dir: directory, publicUrl: 'https://cdn.example.com/shots/' }).save('a.jpg', Buffer.from(''));
+
+        assert.equal(saved.url, 'https://cdn.example.com/shots/a.jpg');
+    });
+});
+
+describe('getScreenshotPrefix', () => {
+    it('groups an analysis under its domain, a file-safe timestamp and an unguessable token', () => {
+        assert.match(getScreenshotPrefix('https://www.Example.com/pricing'), /^example\.com\/\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{32}$/);
+        assert.notEqual(getScreenshotPrefix('https://example.com'), getScreenshotPrefix('https://example.com'));
+    });
+});
+
+describe('capturePage', () => {
+    it('saves the viewport and the full page, capped at SCREENSHOT_MAX_HEIGHT', async () => {
+        const page = fakePage();
+
+        const result = await capturePage(page, 'https://example.com/fr/Tarifs-été', { prefix: 'example.com/run', index: 3 });
+
+        assert.deepEqual(page.captures.map(capture => [capture.format, capture.captureBeyondViewport, capture.clip.height]), [
+            ['webp', false, 900],
+            ['webp', true, 5000]
+        ]);
+        assert.equal(result.error, null);
+        assert.equal(result.aboveFold.url, '/screenshots/example.com/run/03-fr-tarifs-ete-fold.webp');
+        assert.equal(result.fullPage.url, '/screenshots/example.com/run/03-fr-tarifs-ete-full.webp');
+        assert.deepEqual([result.fullPage.width, result.fullPage.height, result.fullPage.bytes], [1440, 5000, '1440x5000'.length]);
+        assert.equal(readFileSync(result.fullPage.path, 'utf8'), '1440x5000');
+    });
+
+    it('names the homepage "home"', async () => {
+        const result = await capturePage(fakePage(), 'https://example.com/', { prefix: 'example.com/run', index: 0 });
+
+        assert.equal(result.aboveFold.url, '/screenshots/example.com/run/00-home-fold.webp');
+    });
+
+    it('reports a failure instead of throwing', async () => {
+        const result = await capturePage(fakePage({ failCapture: true }), 'https://example.com/', { prefix: 'example.com/run', index: 0 });
+
+        assert.deepEqual(result, { url: 'https://example.com/', aboveFold: null, fullPage: null, error: 'Target closed' });
+    });
+});
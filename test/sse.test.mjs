@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { openEventStream } from '../src/utils/sse.mjs';
+
+/**
+ * Just enough of an Express response for the SSE writer
+ */
+const createResponse = () => {
+    const res = new EventEmitter();
+    Object.assign(res, {
+        statusCode: null,
+        headers: {},
+        chunks: [],
+        writableEnded: false,
+        writableFinished: false,
+        status(code) { res.statusCode = code; return res; },
+        setHeader(name, value) { res.headers[name.toLowerCase()] = value; },
+        flushHeaders() { },
+        write(chunk) { res.chunks.push(chunk); },
+        end() { res.writableEnded = true; res.writableFinished = true; res.emit('close'); }
+    });
+    return res;
+};
+
+describe('openEventStream', () => {
+    it('writes numbered named events with JSON data', () => {
+        const res = createResponse();
+        const stream = openEventStream({}, res);
+
+        stream.send('progress', { step: 'sitemap' });
+        stream.send('result', { ok: true });
+        stream.close();
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['content-type'], 'text/event-stream');
+        assert.deepEqual(res.chunks, [
+            'id: 1\nevent: progress\ndata: {"step":"sitemap"}\n\n',
+            'id: 2\nevent: result\ndata: {"ok":true}\n\n'
+        ]);
+        assert.equal(stream.signal.aborted, false);
+    });
+
+    it('aborts its signal when the client disconnects, and stops writing', () => {
+        const res = createResponse();
+        const stream = openEventStream({}, res);
+
+        res.writableEnded = true;
+        res.emit('close');
+        stream.send('progress', {});
+
+        assert.equal(stream.signal.aborted, true);
+        assert.match(stream.signal.reason.message, /Client disconnected/);
+        assert.deepEqual(res.chunks, []);
+    });
+});
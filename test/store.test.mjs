@@ -0,0 +1,71 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMemoryStore } from '../src/store/memory.mjs';
+import { createSqliteStore } from '../src/store/sqlite.mjs';
+
+const directory = mkdtempSync(join(tmpdir(), 'company-intel-store-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+const analysis = (domain, createdAt, data = {}) => ({ domain, url: `https://${domain}`, useAI: true, createdAt, data });
+
+// Both drivers implement the same contract
+for (const [driver, createStore] of [
+    ['memory', () => createMemoryStore()],
+    ['sqlite', () => createSqliteStore({ path: join(directory, `${Date.now()}-${Math.random()}.db`) })]
+]) {
+    describe(`${driver} store`, () => {
+        it('keeps the history of a domain, newest first', async () => {
+            const store = createStore();
+            const first = await store.saveAnalysis(analysis('example.com', '2024-01-01T00:00:00.000Z', { version: 1 }));
+            await store.saveAnalysis(analysis('other.com', '2024-01-02T00:00:00.000Z'));
+            const second = await store.saveAnalysis(analysis('example.com', '2024-01-03T00:00:00.000Z', { version: 2 }));
+
+            assert.deepEqual((await store.getLatestAnalysis('example.com')).data, { version: 2 });
+            assert.deepEqual((await store.getAnalysis('example.com', first.id)).data, { version: 1 });
+            assert.equal(await store.getAnalysis('other.com', first.id), null);
+            assert.equal(await store.getLatestAnalysis('missing.com'), null);
+
+            const { total, analyses } = await store.listAnalyses('example.com', { limit: 1, offset: 0 });
+            assert.equal(total, 2);
+            assert.deepEqual(analyses.map(record => record.id), [second.id]);
+
+            await store.close();
+        });
+
+        it('deletes a watch with its deliveries', async () => {
+            const store = createStore();
+            const watch = { id: 'w1', url: 'https://example.com', createdAt: '2024-01-01T00:00:00.000Z' };
+            await store.saveWatch(watch);
+            await store.saveDelivery({ id: 'd1', watchId: 'w1', createdAt: '2024-01-01T00:00:00.000Z', status: 'success' });
+            await store.saveDelivery({ id: 'd2', watchId: 'w1', createdAt: '2024-01-02T00:00:00.000Z', status: 'failed' });
+
+            assert.deepEqual((await store.listDeliveries('w1', { limit: 10, offset: 0 })).map(delivery => delivery.id), ['d2', 'd1']);
+            assert.equal((await store.getWatch('w1')).url, 'https://example.com');
+
+            await store.deleteWatch('w1');
+            assert.equal(await store.getWatch('w1'), null);
+            assert.deepEqual(await store.listDeliveries('w1', { limit: 10, offset: 0 }), []);
+
+            await store.close();
+        });
+
+        it('adds up usage per key and day', async () => {
+            const store = createStore();
+            await store.incrementUsage('team-a', '2024-01-01', { requests: 1, analyses: 1 });
+            const total = await store.incrementUsage('team-a', '2024-01-01', { requests: 2, analyses: 0 });
+            await store.incrementUsage('team-a', '2024-01-02', { requests: 1, analyses: 1 });
+            await store.incrementUsage('team-b', '2024-01-02', { requests: 5, analyses: 5 });
+
+            assert.deepEqual(total, { date: '2024-01-01', requests: 3, analyses: 1 });
+            assert.deepEqual(await store.listUsage('team-a', { limit: 30 }), [
+                { date: '2024-01-02', requests: 1, analyses: 1 },
+                { date: '2024-01-01', requests: 3, analyses: 1 }
+            ]);
+
+            await store.close();
+        });
+    });
+}
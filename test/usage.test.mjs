@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AI_PRICES = '{"my-model": {"input": 1, "output": 2}, "gpt-4o": {"input": 5, "output": 20}}';
+process.env.AI_MODEL = 'llama3.1:8b';
+const { calculateCost, createUsageTracker, getUsageMetrics, recordUsage } = await import('../src/ai/usage.mjs');
+
+describe('calculateCost', () => {
+    it('prices a model by the longest key it starts with', () => {
+        assert.equal(calculateCost('claude-sonnet-4-20250514', 1_000_000, 100_000), 4.5);
+        assert.equal(calculateCost('gpt-4o-mini-2024-07-18', 1_000_000, 1_000_000), 0.75);
+    });
+
+    it('uses AI_PRICES over the defaults, and prices local models at 0', () => {
+        assert.equal(calculateCost('gpt-4o-2024-08-06', 1_000_000, 0), 5);
+        assert.equal(calculateCost('my-model', 500_000, 250_000), 1);
+        assert.equal(calculateCost('llama3.1:8b', 1_000_000, 1_000_000), 0);
+    });
+
+    it('returns null for unknown models and lists them', () => {
+        assert.equal(calculateCost('mystery-model', 1000, 1000), null);
+        assert.ok(getUsageMetrics().unpricedModels.includes('mystery-model'));
+    });
+
+    it('rounds to a millionth of a dollar', () => {
+        assert.equal(calculateCost('claude-sonnet-4', 1, 1), 0.000018);
+    });
+});
+
+describe('createUsageTracker', () => {
+    it('sums calls in total and by purpose', () => {
+        const usage = createUsageTracker();
+        const before = getUsageMetrics().calls;
+
+        recordUsage({ provider: 'claude', model: 'claude-sonnet-4', purpose: 'discovery', url: null, inputTokens: 1000, outputTokens: 100 }, usage);
+        recordUsage({ provider: 'claude', model: 'claude-sonnet-4', purpose: 'extraction', url: 'https://example.com', inputTokens: 2000, outputTokens: 500 }, usage);
+        recordUsage({ provider: 'openai', model: 'mystery-model', purpose: 'extraction', url: 'https://example.com/pricing', inputTokens: 10, outputTokens: 10 }, usage);
+
+        const summary = usage.summary();
+        assert.equal(summary.totalTokens, 3620);
+        assert.equal(summary.costUsd, 0.018);
+        assert.deepEqual(summary.byPurpose.extraction, { calls: 2, inputTokens: 2010, outputTokens: 510, costUsd: 0.0135 });
+        assert.equal(summary.calls[2].costUsd, null);
+        assert.deepEqual(usage.spent(), { costUsd: 0.018, tokens: 3620, unpricedCalls: 1 });
+        assert.equal(usage.lastModel(), 'mystery-model');
+
+        assert.equal(getUsageMetrics().calls, before + 3);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.STORE_DRIVER = 'memory';
+process.env.API_KEYS = 'team-a:secret-a,team-b:secret-b';
+process.env.API_KEYS_FILE = '';
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+const { authenticate } = await import('../src/auth/index.mjs');
+const { watchesRouter } = await import('../src/routes/watches.mjs');
+
+describe('watch routes', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/watches', authenticate, watchesRouter);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/watches`;
+    });
+
+    after(() => server.close());
+
+    const call = async (key, path = '', { method = 'GET', body } = {}) => {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: { 'X-API-Key': key, 'Content-Type': 'application/json' },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: response.status === 204 ? null : await response.json() };
+    };
+
+    it('scopes watches to the API key that created them', async () => {
+        const created = await call('secret-a', '', {
+            method: 'POST',
+            body: { url: 'stripe.com', schedule: 'daily', webhookUrl: 'http://127.0.0.1:9/hook' }
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.data.keyId, 'team-a');
+        const id = created.body.data.id;
+
+        assert.equal((await call('secret-a')).body.data.total, 1);
+        assert.equal((await call('secret-b')).body.data.total, 0);
+
+        assert.equal((await call('secret-b', `/${id}`)).status, 404);
+        assert.equal((await call('secret-b', `/${id}`, { method: 'PATCH', body: { enabled: false } })).status, 404);
+        assert.equal((await call('secret-b', `/${id}/run`, { method: 'POST' })).status, 404);
+        assert.equal((await call('secret-b', `/${id}/deliveries`)).status, 404);
+        assert.equal((await call('secret-b', `/${id}`, { method: 'DELETE' })).status, 404);
+
+        assert.equal((await call('secret-a', `/${id}`)).status, 200);
+        assert.equal((await call('secret-a', `/${id}`, { method: 'DELETE' })).status, 204);
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkWebhookUrl, isPrivateAddress, signPayload } from '../src/watches/webhooks.mjs';
+
+describe('isPrivateAddress', () => {
+    it('flags loopback, private and link-local addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    it('lets public addresses through', () => {
+        for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+});
+
+describe('checkWebhookUrl', () => {
+    it('rejects other protocols', async () => {
+        assert.match(await checkWebhookUrl('ftp://example.com/hook'), /http or https/);
+        assert.match(await checkWebhookUrl('not a url'), /http or https/);
+    });
+
+    it('rejects private hosts, however they are written', async () => {
+        for (const url of ['http://127.0.0.1:8080/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest', 'http://2130706433/', 'http://localhost/hook']) {
+            assert.match(await checkWebhookUrl(url), /private or local/, url);
+        }
+    });
+
+    it('accepts public IP hosts', async () => {
+        assert.equal(await checkWebhookUrl('https://8.8.8.8/hook'), null);
+    });
+});
+
+describe('signPayload', () => {
+    it('signs timestamp and body with HMAC-SHA256', () => {
+        assert.equal(
+            signPayload('secret', '1700000000', '{"event":"ping"}'),
+            'sha256=4d39bd2442f073b6bc62e95d0297ce25475582a17389ab860abdc778fe1d9f77'
+        );
+    });
+});